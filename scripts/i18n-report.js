@@ -0,0 +1,56 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { SOURCE_LOCALE, checkCatalogs, contentMessages } from '../src/i18n/messages.js';
+
+// Translation status of the message catalogs in src/content/messages/ (see src/i18n/messages.js).
+// Runs standalone via `npm run i18n`: lists, per language, the keys still shown in English,
+// keys English no longer has, and translations that do not parse or use other arguments.
+// Exits non-zero for broken translations, and with --strict for missing ones too.
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+export const MESSAGES_DIR = path.join(ROOT, 'src/content/messages');
+const SITE_FILE = path.join(ROOT, 'src/content/site.json');
+const PROJECTS_FILE = path.join(ROOT, 'src/content/projects.json');
+
+const readJson = file => JSON.parse(fs.readFileSync(file, 'utf8'));
+
+// locale -> messages, as the site loads them (English with the content files' copy)
+export const readCatalogs = () => {
+  const catalogs = Object.fromEntries(fs.readdirSync(MESSAGES_DIR)
+    .filter(file => file.endsWith('.json'))
+    .map(file => [path.basename(file, '.json'), readJson(path.join(MESSAGES_DIR, file))]));
+  catalogs[SOURCE_LOCALE] = {
+    ...contentMessages(readJson(SITE_FILE), readJson(PROJECTS_FILE)),
+    ...catalogs[SOURCE_LOCALE],
+  };
+  return catalogs;
+};
+
+// Report lines for checkCatalogs(catalogs)
+export const formatReport = (report, catalogs) => {
+  const total = Object.keys(catalogs[SOURCE_LOCALE]).length;
+  const locales = Object.keys(report).sort((a, b) => (a === SOURCE_LOCALE ? -1 : b === SOURCE_LOCALE ? 1 : a.localeCompare(b)));
+  return locales.flatMap((locale) => {
+    const { missing, unused, invalid } = report[locale];
+    const heading = locale === SOURCE_LOCALE
+      ? `${locale} (source): ${total} messages`
+      : `${locale}: ${total - missing.length}/${total} translated`;
+    return [
+      heading,
+      ...missing.map(key => `  untranslated  ${key}`),
+      ...unused.map(key => `  unused        ${key}`),
+      ...invalid.map(([key, problem]) => `  invalid       ${key}: ${problem}`),
+    ];
+  });
+};
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  const catalogs = readCatalogs();
+  const report = checkCatalogs(catalogs);
+  console.log(formatReport(report, catalogs).join('\n'));
+  const results = Object.values(report);
+  const broken = results.some(({ invalid }) => invalid.length);
+  const incomplete = results.some(({ missing }) => missing.length);
+  if (broken || (incomplete && process.argv.includes('--strict'))) process.exit(1);
+}
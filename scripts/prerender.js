@@ -0,0 +1,308 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+// Build-time prerendering for crawlers and link previews. The site itself is a hash-routed
+// SPA, so every route would otherwise share the empty index.html. After `vite build` this
+// writes, for the home view, every project and every demo:
+//   dist/<path>/index.html - the built index.html with the page's title, description, Open
+//                            Graph / Twitter tags, JSON-LD and a static copy of its content
+//                            (replaced by React once the app starts; see adoptPathRoute in
+//                            src/router.js for how the app picks the route up from the path)
+//   dist/previews/*.png    - 1200x630 preview images: a frame of the page's canvas scene
+//   dist/sitemap.xml, dist/robots.txt
+// Social previews and the sitemap need absolute URLs: set SITE_URL (e.g.
+// SITE_URL=https://example.com npm run deploy). Without it the pages are still written, with
+// relative URLs, and the sitemap is skipped.
+//
+// Runs as a Vite plugin (see vite.config.js) and standalone via `npm run prerender` on an
+// existing dist/ (set BASE as well when the site is not served from '/').
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const PROJECTS_FILE = path.join(ROOT, 'src/content/projects.json');
+const SITE_FILE = path.join(ROOT, 'src/content/site.json');
+
+export const PREVIEW_WIDTH = 1200;
+export const PREVIEW_HEIGHT = 630;
+const PREVIEW_TIME = 2; // seconds into the scene
+const PREVIEW_OPACITY = 0.7; // the home canvas sits in an opacity-70 layer (see App.jsx)
+const DESCRIPTION_LENGTH = 160; // search engines cut descriptions around here
+
+const escapeHtml = value => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// JSON inside <script> must not be able to close the tag
+const scriptJson = value => JSON.stringify(value).replace(/</g, '\\u003c');
+
+// The first sentences of `text` that fit in `max` characters (or a cut word boundary)
+export const truncateDescription = (text, max = DESCRIPTION_LENGTH) => {
+  if (text.length <= max) return text;
+  const sentences = text.match(/[^.!?]+[.!?]+/g) || [];
+  let fitted = '';
+  for (const sentence of sentences) {
+    if ((fitted + sentence).trim().length > max) break;
+    fitted += sentence;
+  }
+  if (fitted) return fitted.trim();
+  return `${text.slice(0, max - 1).replace(/\s+\S*$/, '')}…`;
+};
+
+// Absolute URL of a site path ('/work/x/') under `base`, or a root-relative one without a site URL
+const urlFor = (sitePath, { siteUrl, base }) => `${siteUrl ? siteUrl.replace(/\/$/, '') : ''}${base}${sitePath.replace(/^\//, '')}`;
+
+// --- Page content ---
+
+const homeBody = (site, projects, link) => `
+<main class="max-w-3xl mx-auto px-8 pt-32 pb-24 space-y-12 text-ink">
+  <header class="text-center space-y-6">
+    <h1 class="text-7xl md:text-8xl font-light tracking-tight">${escapeHtml(site.wordmark)}</h1>
+    <p class="text-xl md:text-2xl font-light text-ink/80 tracking-wide">${escapeHtml(site.tagline)}</p>
+    <p class="text-lg text-ink/80 leading-relaxed">${escapeHtml(site.description)}</p>
+  </header>
+  <section class="space-y-8">
+    <h2 class="text-5xl font-light text-center">Selected Work</h2>
+    <ul class="space-y-8">
+${projects.map(project => `      <li><a href="${link(`/work/${project.slug}/`)}" class="block bg-shade/20 p-8 rounded-lg border border-ink/10">
+        <h3 class="text-2xl font-light mb-3">${escapeHtml(project.title)}</h3>
+        <p class="text-ink/60">${escapeHtml(project.summary)}</p>
+      </a></li>`).join('\n')}
+    </ul>
+  </section>
+</main>`;
+
+const projectBody = (project, link) => `
+<main class="max-w-3xl mx-auto px-8 pt-32 pb-24 space-y-12 text-ink">
+  <a href="${link('/')}" class="text-sm">← Back to Studio</a>
+  <header class="space-y-6">
+    <p class="text-sm font-mono text-ink/50">${project.year}</p>
+    <h1 class="text-5xl md:text-6xl font-light tracking-tight">${escapeHtml(project.title)}</h1>
+    <p class="text-xl md:text-2xl font-light text-ink/80">${escapeHtml(project.summary)}</p>
+    <ul class="flex flex-wrap gap-2 text-xs font-mono text-ink/60">
+${project.tags.map(tag => `      <li class="px-3 py-1 rounded-full border border-ink/10">${escapeHtml(tag)}</li>`).join('\n')}
+    </ul>
+  </header>
+  <div class="space-y-6 text-lg text-ink/80 leading-relaxed">
+${project.description.map(paragraph => `    <p>${escapeHtml(paragraph)}</p>`).join('\n')}
+  </div>
+${project.demo ? `  <a href="${link(`/work/${project.slug}/demo/`)}" class="inline-block px-8 py-4 border border-ink/30 rounded-full text-lg">→ View Interactive Demo</a>\n` : ''}</main>`;
+
+const demoBody = (project, link) => `
+<main class="max-w-3xl mx-auto px-8 pt-32 pb-24 space-y-12 text-ink">
+  <a href="${link(`/work/${project.slug}/`)}" class="text-sm">← ${escapeHtml(project.title)}</a>
+  <h1 class="text-5xl md:text-6xl font-light tracking-tight">${escapeHtml(project.title)}: interactive demo</h1>
+  <p class="text-xl md:text-2xl font-light text-ink/80">${escapeHtml(project.summary)}</p>
+</main>`;
+
+// Every prerendered page: { path, title, description, image, scene, body(link), jsonLd(url) }.
+// `image` names the preview PNG; `scene` says what to draw in it (see renderPreview).
+export const pageList = (site, projects) => {
+  const organization = url => ({ '@type': 'Organization', name: site.name, url: url('/') });
+
+  const home = {
+    path: '/',
+    title: site.title,
+    description: site.description,
+    image: 'home',
+    scene: { type: 'pointCloud' },
+    body: link => homeBody(site, projects, link),
+    jsonLd: url => ({
+      '@context': 'https://schema.org',
+      '@graph': [
+        { ...organization(url), description: site.description },
+        { '@type': 'WebSite', name: site.name, url: url('/'), description: site.tagline },
+      ],
+    }),
+  };
+
+  const projectPages = projects.flatMap((project) => {
+    const description = truncateDescription(`${project.summary}. ${project.description[0]}`);
+    const work = url => ({
+      '@type': 'CreativeWork',
+      name: project.title,
+      headline: project.summary,
+      description,
+      dateCreated: String(project.year),
+      keywords: project.tags.join(', '),
+      url: url(`/work/${project.slug}/`),
+      image: url(`/previews/${project.slug}.png`),
+      creator: organization(url),
+    });
+    const pages = [{
+      path: `/work/${project.slug}/`,
+      title: `${project.title} - ${site.name}`,
+      description,
+      image: project.slug,
+      scene: { type: 'pointCloud', formation: project.formation },
+      body: link => projectBody(project, link),
+      jsonLd: url => ({ '@context': 'https://schema.org', ...work(url) }),
+    }];
+    if (project.demo) {
+      pages.push({
+        path: `/work/${project.slug}/demo/`,
+        title: `${project.title}: interactive demo - ${site.name}`,
+        description,
+        image: `${project.slug}-demo`,
+        scene: { type: 'demo', demo: project.demo, formation: project.formation },
+        body: link => demoBody(project, link),
+        jsonLd: url => ({
+          '@context': 'https://schema.org',
+          '@type': 'WebPage',
+          name: `${project.title}: interactive demo`,
+          description,
+          url: url(`/work/${project.slug}/demo/`),
+          about: work(url),
+        }),
+      });
+    }
+    return pages;
+  });
+
+  return [home, ...projectPages];
+};
+
+// Injected markup is fenced with these comments, so a page that was already prerendered
+// can be used as the template again (e.g. running `npm run prerender` twice)
+const HEAD_START = '<!-- prerender:head -->';
+const HEAD_END = '<!-- /prerender:head -->';
+const BODY_START = '<!-- prerender -->';
+const BODY_END = '<!-- /prerender -->';
+const EARLIER_HEAD = /\s*<!-- prerender:head -->[\s\S]*?<!-- \/prerender:head -->/;
+const EARLIER_BODY = /<!-- prerender -->[\s\S]*?<!-- \/prerender -->/;
+
+// The built index.html with `page`'s metadata and static content filled in.
+// `options`: { siteUrl, base, siteName }
+export const renderPage = (template, page, options) => {
+  const clean = template.replace(EARLIER_HEAD, '').replace(EARLIER_BODY, '');
+  if (!clean.includes('<div id="root"></div>')) throw new Error('index.html has no empty <div id="root"></div> to fill');
+  const url = sitePath => urlFor(sitePath, options);
+  const link = sitePath => urlFor(sitePath, { base: options.base }); // root-relative, for the static links
+  const image = url(`/previews/${page.image}.png`);
+  const meta = [
+    `<link rel="canonical" href="${escapeHtml(url(page.path))}" />`,
+    `<meta property="og:type" content="${page.path === '/' ? 'website' : 'article'}" />`,
+    `<meta property="og:site_name" content="${escapeHtml(options.siteName)}" />`,
+    `<meta property="og:title" content="${escapeHtml(page.title)}" />`,
+    `<meta property="og:description" content="${escapeHtml(page.description)}" />`,
+    `<meta property="og:url" content="${escapeHtml(url(page.path))}" />`,
+    `<meta property="og:image" content="${escapeHtml(image)}" />`,
+    `<meta property="og:image:width" content="${PREVIEW_WIDTH}" />`,
+    `<meta property="og:image:height" content="${PREVIEW_HEIGHT}" />`,
+    '<meta name="twitter:card" content="summary_large_image" />',
+    `<meta name="twitter:title" content="${escapeHtml(page.title)}" />`,
+    `<meta name="twitter:description" content="${escapeHtml(page.description)}" />`,
+    `<meta name="twitter:image" content="${escapeHtml(image)}" />`,
+    `<script type="application/ld+json">${scriptJson(page.jsonLd(url))}</script>`,
+  ];
+
+  // Replacement functions, so a '$' in the content is never read as a pattern
+  return clean
+    .replace(/<title>[\s\S]*?<\/title>/, () => `<title>${escapeHtml(page.title)}</title>`)
+    .replace(/<meta name="description"[^>]*>/, () => `<meta name="description" content="${escapeHtml(page.description)}" />`)
+    .replace('</head>', () => `  ${HEAD_START}\n    ${meta.join('\n    ')}\n    ${HEAD_END}\n  </head>`)
+    .replace('<div id="root"></div>', () => `<div id="root">${BODY_START}${page.body(link)}\n${BODY_END}</div>`);
+};
+
+export const renderSitemap = (pages, { siteUrl, base, date }) => `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${pages.map(page => `  <url><loc>${escapeHtml(urlFor(page.path, { siteUrl, base }))}</loc><lastmod>${date}</lastmod></url>`).join('\n')}
+</urlset>
+`;
+
+// --- Preview images ---
+
+// Scene for a preview: the home point cloud (in a project's formation for project pages), or
+// the demo's own scene where it has one outside its component
+const createPreviewScene = async ({ type, demo, formation }) => {
+  if (type === 'demo' && demo === 'WaveFieldGenerator') {
+    const { createWaveFieldScene } = await import('../src/scenes/waveField.js');
+    const { DEFAULT_WAVE_PARAMS } = await import('../src/demos/waveParams.js');
+    return createWaveFieldScene({ params: { ...DEFAULT_WAVE_PARAMS }, clock: { current: DEFAULT_WAVE_PARAMS.seed } });
+  }
+  const {
+    createPointCloudScene, createCloudState, createCloudMotion, createCloudProps,
+  } = await import('../src/scenes/pointCloud.js');
+  const props = createCloudProps();
+  props.projectFormation = formation || null;
+  return createPointCloudScene({ state: createCloudState(), motion: createCloudMotion(), props });
+};
+
+// PNG bytes of a frame of `scene`, over the default theme's background
+const renderPreview = async (sceneSpec) => {
+  const { createCanvas } = await import('@napi-rs/canvas');
+  const { renderSceneAt } = await import('../src/engine/engine.js');
+  const { getPalette, DEFAULT_THEME } = await import('../src/palette.js');
+
+  const layer = createCanvas(PREVIEW_WIDTH, PREVIEW_HEIGHT);
+  renderSceneAt(await createPreviewScene(sceneSpec), layer.getContext('2d'), {
+    width: PREVIEW_WIDTH, height: PREVIEW_HEIGHT, time: PREVIEW_TIME,
+  });
+
+  const canvas = createCanvas(PREVIEW_WIDTH, PREVIEW_HEIGHT);
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = getPalette(DEFAULT_THEME).background;
+  ctx.fillRect(0, 0, PREVIEW_WIDTH, PREVIEW_HEIGHT);
+  ctx.globalAlpha = sceneSpec.type === 'pointCloud' ? PREVIEW_OPACITY : 1;
+  ctx.drawImage(layer, 0, 0);
+  return canvas.encode('png');
+};
+
+// --- Writing dist/ ---
+
+const readJson = file => JSON.parse(fs.readFileSync(file, 'utf8'));
+
+export const prerender = async ({ outDir, base = '/', siteUrl = process.env.SITE_URL, log = console } = {}) => {
+  const templateFile = path.join(outDir, 'index.html');
+  const template = fs.readFileSync(templateFile, 'utf8');
+  const site = readJson(SITE_FILE);
+  const pages = pageList(site, readJson(PROJECTS_FILE));
+  const options = { siteUrl, base, siteName: site.name };
+  if (!siteUrl) log.warn('[prerender] SITE_URL is not set: pages get relative URLs (link previews need absolute ones) and no sitemap.');
+
+  pages.forEach((page) => {
+    const file = path.join(outDir, page.path, 'index.html');
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, renderPage(template, page, options));
+  });
+
+  // Preview images are a nicety: a missing canvas binary should not fail the deploy
+  const previewDir = path.join(outDir, 'previews');
+  fs.mkdirSync(previewDir, { recursive: true });
+  for (const page of pages) {
+    try {
+      fs.writeFileSync(path.join(previewDir, `${page.image}.png`), await renderPreview(page.scene));
+    } catch (err) {
+      log.warn(`[prerender] no preview image for ${page.path}: ${err.message}`);
+    }
+  }
+
+  if (siteUrl) {
+    const date = new Date().toISOString().slice(0, 10);
+    fs.writeFileSync(path.join(outDir, 'sitemap.xml'), renderSitemap(pages, { siteUrl, base, date }));
+    fs.writeFileSync(path.join(outDir, 'robots.txt'), `User-agent: *\nAllow: /\n\nSitemap: ${urlFor('/sitemap.xml', options)}\n`);
+  }
+  log.info(`[prerender] ${pages.length} pages written to ${path.relative(ROOT, outDir) || '.'}`);
+  return pages;
+};
+
+// Vite plugin: prerenders into the output directory once the bundle has been written
+export const prerenderPlugin = () => {
+  let config;
+  return {
+    name: 'prerender',
+    apply: 'build',
+    configResolved(resolved) {
+      config = resolved;
+    },
+    async closeBundle() {
+      await prerender({ outDir: path.resolve(config.root, config.build.outDir), base: config.base });
+    },
+  };
+};
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  // BASE must match `base` in vite.config.js when that is not '/'
+  await prerender({ outDir: path.join(ROOT, 'dist'), base: process.env.BASE || '/' });
+}
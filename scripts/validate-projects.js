@@ -0,0 +1,86 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { FORMATIONS } from '../src/scenes/formations.js';
+
+// Build-time check for src/content/projects.json.
+// Runs as a Vite plugin (see vite.config.js) and standalone via `npm run validate`.
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+export const PROJECTS_FILE = path.join(ROOT, 'src/content/projects.json');
+export const DEMOS_DIR = path.join(ROOT, 'src/demos');
+
+// Field name -> predicate the value must satisfy
+const REQUIRED_FIELDS = {
+  slug: v => typeof v === 'string' && /^[a-z0-9-]+$/.test(v),
+  title: v => typeof v === 'string' && v.trim().length > 0,
+  summary: v => typeof v === 'string' && v.trim().length > 0,
+  description: v => Array.isArray(v) && v.length > 0 && v.every(p => typeof p === 'string'),
+  tags: v => Array.isArray(v) && v.length > 0 && v.every(tag => typeof tag === 'string'),
+  year: v => Number.isInteger(v),
+  media: v => Array.isArray(v) && v.every(m => m && typeof m.src === 'string' && ['image', 'video'].includes(m.type)),
+};
+
+// Returns a list of human-readable problems; empty when the catalog is valid.
+// `demoExists(name)` decides whether a referenced demo component is available.
+export const validateProjects = (projects, demoExists) => {
+  if (!Array.isArray(projects)) return ['projects.json must contain an array of projects'];
+
+  const errors = [];
+  const seen = new Set();
+
+  projects.forEach((project, i) => {
+    const label = project && project.slug ? `"${project.slug}"` : `#${i}`;
+    Object.entries(REQUIRED_FIELDS).forEach(([field, isValid]) => {
+      if (!project || project[field] === undefined) {
+        errors.push(`project ${label}: missing required field "${field}"`);
+      } else if (!isValid(project[field])) {
+        errors.push(`project ${label}: invalid value for "${field}"`);
+      }
+    });
+    if (project && project.slug) {
+      if (seen.has(project.slug)) errors.push(`project ${label}: duplicate slug`);
+      seen.add(project.slug);
+    }
+    if (project && project.demo !== undefined && !demoExists(project.demo)) {
+      errors.push(`project ${label}: demo "${project.demo}" not found in src/demos/`);
+    }
+    // Optional point cloud shape shown while the card is hovered (see scenes/formations.js)
+    if (project && project.formation !== undefined && !Object.hasOwn(FORMATIONS, project.formation)) {
+      errors.push(`project ${label}: unknown formation "${project.formation}"`);
+    }
+  });
+
+  return errors;
+};
+
+const demoFileExists = name => typeof name === 'string' && fs.existsSync(path.join(DEMOS_DIR, `${name}.jsx`));
+
+export const validateProjectsFile = () => {
+  let projects;
+  try {
+    projects = JSON.parse(fs.readFileSync(PROJECTS_FILE, 'utf8'));
+  } catch (err) {
+    return [`could not read ${path.relative(ROOT, PROJECTS_FILE)}: ${err.message}`];
+  }
+  return validateProjects(projects, demoFileExists);
+};
+
+// Vite plugin: fails the build (and reports in dev) when the catalog is invalid
+export const validateProjectsPlugin = () => ({
+  name: 'validate-projects',
+  buildStart() {
+    this.addWatchFile(PROJECTS_FILE);
+    const errors = validateProjectsFile();
+    if (errors.length) this.error(`Invalid project catalog:\n  ${errors.join('\n  ')}`);
+  },
+});
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  const errors = validateProjectsFile();
+  if (errors.length) {
+    console.error(`Invalid project catalog:\n  ${errors.join('\n  ')}`);
+    process.exit(1);
+  }
+  console.log('Project catalog OK');
+}
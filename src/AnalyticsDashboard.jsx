@@ -0,0 +1,82 @@
+import React, { useSyncExternalStore } from 'react';
+import { analytics, summariseEvents } from './analytics/tracker.js';
+
+const RECENT = 12; // latest events listed
+
+const buttonClass = 'px-3 py-1 bg-ink/10 text-ink/90 border border-ink/30 rounded-lg hover:bg-ink/20 transition-all';
+
+const getRevision = () => analytics.revision;
+
+// name -> value rows, largest first
+const Table = ({ title, rows, format = value => value }) => {
+  const entries = Object.entries(rows).sort((a, b) => (typeof b[1] === 'number' ? b[1] - a[1] : 0));
+  return (
+    <div className="space-y-1">
+      <h3 className="text-ink/60">{title}</h3>
+      {entries.length === 0 ? <p className="text-ink/40">–</p> : (
+        <table className="w-full">
+          <tbody>
+            {entries.map(([name, value]) => (
+              <tr key={name}>
+                <td className="pr-2 truncate max-w-[12rem]">{name}</td>
+                <td className="text-right tabular-nums">{format(value)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+// What the analytics (see analytics/tracker.js) have recorded on this device, opened via
+// #/?debug. Summarises the stored events, or this visit's when the transport keeps none.
+const AnalyticsDashboard = ({ onClose }) => {
+  useSyncExternalStore(analytics.subscribe, getRevision);
+  const events = analytics.events();
+  const summary = summariseEvents(events);
+  const demos = Object.fromEntries(Object.entries(summary.demos).map(([slug, { opened, seconds }]) => [
+    slug, `${opened} × ${opened ? Math.round(seconds / opened) : 0}s`,
+  ]));
+
+  return (
+    <div className="fixed top-4 right-4 z-50 w-80 max-h-[calc(100vh-2rem)] overflow-y-auto p-4 space-y-4 bg-shade/80 backdrop-blur-md border border-ink/10 rounded-lg text-ink text-xs font-mono">
+      <div className="flex items-center justify-between">
+        <h2 className="text-sm font-light text-ink/90">Analytics</h2>
+        <button onClick={onClose} className="text-ink/60 hover:text-ink" aria-label="Close analytics dashboard">×</button>
+      </div>
+
+      {!analytics.enabled && (
+        <p className="text-ink/70">Do Not Track is on in this browser, so nothing is recorded.</p>
+      )}
+      <p className="text-ink/60">
+        {summary.total} events · {summary.visits} {summary.visits === 1 ? 'visit' : 'visits'} · via {analytics.transport.name}
+        {analytics.transport.read ? '' : ' (this visit only)'}
+      </p>
+
+      <Table title="Sections reached" rows={summary.sections} />
+      <Table title="Project cards clicked" rows={summary.cards} />
+      <Table title="Demos (opened × average time)" rows={demos} />
+      <Table title="Slider changes" rows={summary.sliders} />
+      <Table title="Calls to action" rows={summary.ctas} />
+
+      <div className="space-y-1">
+        <h3 className="text-ink/60">Latest</h3>
+        <ol className="space-y-0.5">
+          {events.slice(-RECENT).reverse().map((event, i) => (
+            <li key={i} className="truncate" title={JSON.stringify(event.props)}>
+              <span className="text-ink/50">{new Date(event.at).toLocaleTimeString('en-GB')}</span> {event.name}
+            </li>
+          ))}
+        </ol>
+      </div>
+
+      <div className="flex gap-2">
+        <button onClick={analytics.flush} className={buttonClass}>Send queued</button>
+        <button onClick={analytics.clear} className={buttonClass}>Clear</button>
+      </div>
+    </div>
+  );
+};
+
+export default AnalyticsDashboard;
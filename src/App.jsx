@@ -1,47 +1,151 @@
 import React, { useEffect, useRef, useState } from 'react';
-import ComputationalWaveField from './WaveFieldGenerator.jsx';
+import NotFound from './NotFound.jsx';
+import ProjectDetail from './ProjectDetail.jsx';
+import { PROJECTS, TAGS, getProject } from './projects.js';
+import site from './content/site.json';
+import ExportPanel from './ExportPanel.jsx';
+import RenderStats, { defaultBackend } from './RenderStats.jsx';
+import MotionToggle from './MotionToggle.jsx';
+import ThemePicker from './ThemePicker.jsx';
+import LanguagePicker from './LanguagePicker.jsx';
+import ContactForm from './ContactForm.jsx';
+import { contactAdapter } from './contact/adapters.js';
+import CursorControls from './CursorControls.jsx';
+import AnalyticsDashboard from './AnalyticsDashboard.jsx';
+import { analytics, track } from './analytics/tracker.js';
+import { useReducedMotion } from './reducedMotion.js';
+import { useTheme, getTheme } from './theme.js';
+import { localizeProject, useI18n } from './i18n/locale.js';
+import { qualityGovernor, scaleCount, useQuality } from './quality.js';
+import { useRoute, navigate, goBack, projectPath, demoPath } from './router.js';
+import useCanvasScene from './engine/useCanvasScene.js';
+import {
+  POINTS,
+  POINT_COUNTS,
+  BASE_ROT_Y,
+  PULSE_RATE,
+  WAVE_RATE,
+  createPointCloudScene,
+  createCloudState,
+  createCloudMotion,
+  createCloudProps,
+  getColor,
+  pointCloudFrame,
+  pulseAt,
+  renderPointCloud,
+  symmetryFold,
+} from './scenes/pointCloud.js';
+import { DEFAULT_CURSOR_FORCE } from './scenes/pointCloudPhysics.js';
+import { attachPointCloudInput } from './scenes/pointCloudInput.js';
+import { loopRate } from './scenes/waveField.js';
 
 // Stable Ref for point cloud data (outside component to persist across renders)
-const stateRef = {
-  points: [],
-  RADIUS: 0,
-};
+const stateRef = createCloudState();
 
-// Ref for dynamic color changes
-const dynamicPropsRef = {
-  scrollDepth: 0,
-  sessionTime: 0,
-};
+// Ref for dynamic color and shape changes (formation: of the section marked data-formation below)
+const dynamicPropsRef = createCloudProps();
 
 // Ref for motion state
-const dynamicMotionRef = {
-  isDragging: false,
-  lastX: 0, 
-  lastY: 0,
-  velocityX: 0, 
-  velocityY: 0,
-  rotX: 0, 
-  rotY: 0,
-  baseRotY: 0.002,
-  mouse: { x: 0, y: 0, active: false },
+const dynamicMotionRef = createCloudMotion();
+
+// Cursor force on the points (repel / attract, radius, strength), tuned from the stats overlay
+const dynamicCursorRef = { ...DEFAULT_CURSOR_FORCE };
+
+// Scroll position of the home view, restored when returning from a project route
+const homeScrollRef = {
+  y: 0,
 };
 
-const PERSPECTIVE_DEPTH = 2000;
-const MAX_DOT_RADIUS = 3;
-const POINTS = 1500;
+// Home sections (data-section) already reported as reached during this visit
+const reachedSectionsRef = new Set();
+
+// The page canvas sits in an opacity-70 layer over the background; exports bake that in
+const CANVAS_OPACITY = 0.7;
+
+// Current frame of the point cloud at the given logical size
+const renderHomeFrame = (ctx, width, height) => renderPointCloud(ctx, {
+  width,
+  height,
+  ...pointCloudFrame({ state: stateRef, motion: dynamicMotionRef, props: dynamicPropsRef }),
+  color: getColor(dynamicPropsRef.scrollDepth, getTheme()),
+  background: getTheme().background,
+  opacity: CANVAS_OPACITY,
+});
+
+// Frame `frame` of a seamless loop: every rate is rounded to a whole number of cycles per loop
+const renderHomeLoopFrame = (ctx, width, height, frame, frameCount) => renderPointCloud(ctx, {
+  width,
+  height,
+  ...pointCloudFrame({ state: stateRef, motion: dynamicMotionRef, props: dynamicPropsRef }),
+  rotY: dynamicMotionRef.rotY + frame * loopRate(BASE_ROT_Y, frameCount),
+  wavePhase: frame * loopRate(WAVE_RATE, frameCount),
+  pulse: pulseAt(frame * loopRate(PULSE_RATE, frameCount)),
+  color: getColor(dynamicPropsRef.scrollDepth, getTheme()),
+  background: getTheme().background,
+  opacity: CANVAS_OPACITY,
+});
 
 const IntelligentEmergence = () => {
   // 1. ALL HOOKS MUST BE DECLARED AT THE TOP LEVEL (UNCONDITIONALLY)
   const canvasRef = useRef(null);
   const [scrollDepth, setScrollDepth] = useState(0);
   const [sessionTime, setSessionTime] = useState(0);
-  const [view, setView] = useState('home');
+  const [activeTag, setActiveTag] = useState(null);
+  const [backend, setBackend] = useState(defaultBackend);
+  const [pointCount, setPointCount] = useState(POINTS);
+  const [fps, setFps] = useState(null);
+  const [cursorForce, setCursorForce] = useState(() => ({ ...dynamicCursorRef }));
+  const reducedMotion = useReducedMotion();
+  const theme = useTheme();
+  const { t } = useI18n();
+  const { tier } = useQuality();
+  // Points actually drawn: the chosen density scaled by the adaptive quality tier
+  const drawnCount = scaleCount(pointCount, tier);
+  const route = useRoute();
+  // Renderer comparison overlay, opened via #/?stats
+  const showStats = 'stats' in route.query;
+  const project = route.params.slug ? getProject(route.params.slug) : null;
+  // Unknown slugs, and demo routes for projects without a demo, fall through to the 404 view
+  const isMissing = (route.name === 'project' && !project) || (route.name === 'demo' && !(project && project.Demo));
+  const view = isMissing ? 'notFound' : route.name;
+  const visibleProjects = activeTag ? PROJECTS.filter(p => p.tags.includes(activeTag)) : PROJECTS;
 
-  const handleGoHome = () => {
-    setView('home');
-    window.scrollTo({ top: 0, behavior: 'smooth' });
+  // Cards are real links (#/work/slug) so they can be focused, opened in a new tab or copied;
+  // a plain click is routed in-app so the scroll position can be remembered.
+  const handleOpenProject = (e, slug) => {
+    track('card_clicked', { slug, tag: activeTag });
+    if (e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+    e.preventDefault();
+    homeScrollRef.y = window.scrollY;
+    dynamicPropsRef.projectFormation = null;
+    navigate(projectPath(slug));
   };
 
+  const handleGoHome = () => goBack('/');
+
+  const updateCursorForce = (key, value) => {
+    setCursorForce(prev => ({ ...prev, [key]: value }));
+    dynamicCursorRef[key] = value;
+  };
+
+  // --- EFFECT 0: Scroll Restoration ---
+  // Project views start at the top; the home view returns to where the visitor left the list.
+  useEffect(() => {
+    window.history.scrollRestoration = 'manual';
+    if (view !== 'home') {
+      window.scrollTo(0, 0);
+      return;
+    }
+    // Wait a frame so the home sections have been laid out before scrolling
+    const frame = requestAnimationFrame(() => window.scrollTo(0, homeScrollRef.y));
+    return () => cancelAnimationFrame(frame);
+  }, [view, route.path]);
+
+  // --- EFFECT 0b: Quality override from the URL (#/?quality=low, #/?quality=auto) ---
+  useEffect(() => {
+    if (route.query.quality) qualityGovernor.force(route.query.quality);
+  }, [route.query.quality]);
+
   // --- EFFECT 1: Session Timer (Runs once on mount) ---
   useEffect(() => {
     const timer = setInterval(() => {
@@ -55,6 +159,8 @@ const IntelligentEmergence = () => {
   }, []);
 
   // --- EFFECT 2: Scroll Listener ---
+  // Also picks the point cloud formation: that of the last section whose top has passed the
+  // middle of the viewport, or of the very last section once the page is scrolled to the end
   useEffect(() => {
     const handleScroll = () => {
       const winScroll = document.documentElement.scrollTop;
@@ -62,203 +168,103 @@ const IntelligentEmergence = () => {
       const scrolled = height > 0 ? (winScroll / height) : 0;
       dynamicPropsRef.scrollDepth = scrolled;
       setScrollDepth(scrolled);
+
+      const middle = document.documentElement.clientHeight / 2;
+      // The footer is too short for its top to ever reach the middle
+      const atBottom = height > 0 && winScroll >= height - 1;
+      const sections = [...document.querySelectorAll('[data-formation]')];
+      sections.forEach((section, i) => {
+        if (section.getBoundingClientRect().top > middle && !(atBottom && i === sections.length - 1)) return;
+        dynamicPropsRef.formation = section.dataset.formation;
+        const name = section.dataset.section;
+        if (name && !reachedSectionsRef.has(name)) {
+          reachedSectionsRef.add(name);
+          track('section_reached', { section: name, depth: Math.round(scrolled * 100), time: dynamicPropsRef.sessionTime });
+        }
+      });
     };
+    handleScroll(); // the section in view on arrival counts as reached
     window.addEventListener('scroll', handleScroll);
     return () => window.removeEventListener('scroll', handleScroll);
   }, []);
 
-  // --- EFFECT 3: Point Cloud Initialization & Animation ---
+  // --- EFFECT 2b: Demo Time (reported when the demo closes, or the page does) ---
+  const demoSlug = view === 'demo' ? project.slug : null;
   useEffect(() => {
-    // GUARD: Only run this logic if we are on the 'home' view
-    if (view !== 'home') return;
-
-    const canvas = canvasRef.current;
-    if (!canvas) return;
-
-    const ctx = canvas.getContext("2d");
-    if (!ctx) return;
-
-    // 1. Resize Handler with DPI Scaling
-    const updateSize = () => {
-      const dpr = window.devicePixelRatio || 1;
-      // Set actual size in memory (scaled to account for extra pixel density)
-      canvas.width = window.innerWidth * dpr;
-      canvas.height = window.innerHeight * dpr;
-      
-      // Normalize coordinate system to use css pixels
-      ctx.scale(dpr, dpr);
-
-      // Set visible size in DOM
-      canvas.style.width = `${window.innerWidth}px`;
-      canvas.style.height = `${window.innerHeight}px`;
-
-      // Use logical window dimensions for calculations
-      const width = window.innerWidth;
-      const height = window.innerHeight;
-
-      stateRef.RADIUS = Math.min(width, height) * 0.4;
-      
-      // Initialize points if needed
-      if (stateRef.points.length !== POINTS) {
-        stateRef.points = [];
-        for (let i = 0; i < POINTS; i++) {
-          const theta = Math.acos(2 * Math.random() - 1);
-          const phi = 2 * Math.PI * Math.random();
-          const r = stateRef.RADIUS * Math.cbrt(Math.random());
-          stateRef.points.push({
-            x: r * Math.sin(theta) * Math.cos(phi),
-            y: r * Math.sin(theta) * Math.sin(phi),
-            z: r * Math.cos(theta),
-            offsetX: 0, offsetY: 0
-          });
-        }
-      }
+    if (!demoSlug) return;
+    track('demo_opened', { slug: demoSlug });
+    const openedAt = Date.now();
+    let reported = false;
+    const report = () => {
+      if (reported) return;
+      reported = true;
+      track('demo_closed', { slug: demoSlug, seconds: Math.round((Date.now() - openedAt) / 1000) });
     };
-    
-    // Initial setup
-    updateSize();
-    window.addEventListener('resize', updateSize);
-
-    // 2. Animation Loop Helpers
-    const getColor = () => {
-      const currentScrollDepth = dynamicPropsRef.scrollDepth;
-      // Hue shifts from Blue (220) -> Purple -> Pink
-      const hue = 220 - (currentScrollDepth * 80);
-      // Saturation increases with scroll
-      const saturation = 70 + (currentScrollDepth * 20);
-      // Fixed lightness at 30% for deep, rich colors (FIX: was previously using saturation var for lightness)
-      return `hsl(${hue}, ${saturation}%, 30%)`;
+    const handlePageHide = () => {
+      report();
+      analytics.flush();
     };
+    window.addEventListener('pagehide', handlePageHide);
+    return () => {
+      window.removeEventListener('pagehide', handlePageHide);
+      report();
+    };
+  }, [demoSlug]);
 
-    function project(p, rotY, rotX) {
-      const cosY = Math.cos(rotY);
-      const sinY = Math.sin(rotY);
-      let x = p.x * cosY + p.z * sinY;
-      let z = p.z * cosY - p.x * sinY;
-      let y = p.y;
-      const cosX = Math.cos(rotX);
-      const sinX = Math.sin(rotX);
-      let y2 = y * cosX - z * sinX;
-      let z2 = z * cosX + y * sinX;
-      const scale = PERSPECTIVE_DEPTH / (PERSPECTIVE_DEPTH + z2);
-      
-      // Project using logical window dimensions
-      const width = window.innerWidth;
-      const height = window.innerHeight;
-      
-      return { px: width / 2 + x * scale, py: height / 2 + y2 * scale, scale, z: z2 };
-    }
-
-    let t = 0;
-    let animationId;
-
-    // 3. The Draw Function
-    const draw = () => {
-      if (!ctx) return;
-      
-      // Clear canvas using logical dimensions
-      ctx.clearRect(0, 0, window.innerWidth, window.innerHeight);
-
-      // Access Refs
-      const { baseRotY, velocityX, velocityY, rotX, rotY, mouse } = dynamicMotionRef;
-      const pulse = Math.sin(t * 0.04 + dynamicPropsRef.sessionTime * 0.01) * 0.3 + 0.7;
-
-      // Update Motion
-      dynamicMotionRef.rotY += baseRotY + velocityX;
-      dynamicMotionRef.rotX += velocityX;
-      dynamicMotionRef.velocityX *= 0.96;
-      dynamicMotionRef.velocityY *= 0.96;
-      dynamicMotionRef.rotX = Math.max(Math.min(dynamicMotionRef.rotX, Math.PI / 3), -Math.PI / 3);
-
-      // Mouse Interaction
-      if (mouse.active) {
-        const width = window.innerWidth;
-        const height = window.innerHeight;
-        const cx = width / 2;
-        const cy = height / 2;
-        const dx = mouse.x - cx;
-        const dy = mouse.y - cy;
-        const d = Math.sqrt(dx * dx + dy * dy);
-        const proximity = Math.max(0, 1 - d / (Math.min(width, height) / 2));
-        const proximityBoost = 1 + proximity * 2;
-        dynamicMotionRef.rotY += dx * 0.000001 * proximity;
-        dynamicMotionRef.rotX -= dy * 0.000001 * proximity;
-      }
-
-      const COLOR = getColor();
-      const points = stateRef.points;
-      const RADIUS = stateRef.RADIUS;
+  // --- EFFECT 3: Point Cloud Animation (engine handles sizing, DPR and pausing) ---
+  useCanvasScene(canvasRef, () => createPointCloudScene({
+    state: stateRef,
+    motion: dynamicMotionRef,
+    props: dynamicPropsRef,
+    count: drawnCount,
+    reducedMotion,
+    theme,
+    cursor: dynamicCursorRef,
+    blending: tier.blending,
+    wordmark: site.wordmark,
+  }), [view, drawnCount, reducedMotion, theme, tier], { // Re-create the scene when 'view' changes (the canvas only exists on 'home')
+    backend,
+    quality: qualityGovernor,
+    onStats: showStats ? stats => setFps(stats.fps) : undefined,
+    onFallback: () => setBackend('2d'),
+  });
 
-      for (let i = 0; i < points.length; i++) {
-        const p = points[i];
-        const dist = Math.sqrt(p.x * p.x + p.y * p.y + p.z * p.z);
-        const wave = Math.sin(dist / 10 - t * 0.1);
-        const amp = wave * 6 * pulse;
-        
-        const pr = project({ x: p.x, y: p.y, z: p.z + amp }, dynamicMotionRef.rotY, dynamicMotionRef.rotX);
+  // --- EFFECT 4: Point Cloud Interaction (pointer drag / pinch / twist / click, keyboard when focused) ---
+  useEffect(() => {
+    // GUARD: Only run this logic if we are on the 'home' view
+    if (view !== 'home') return;
 
-        // Render Point
-        const depthBias = Math.pow(pr.scale, 1.5);
-        const size = MAX_DOT_RADIUS * pr.scale * (1 + depthBias * 0.8);
-        
-        ctx.beginPath();
-        ctx.fillStyle = COLOR;
-        ctx.globalAlpha = (0.25 + 0.75 * (1 - dist / RADIUS)) * pr.scale;
-        ctx.arc(pr.px + p.offsetX, pr.py + p.offsetY, size, 0, Math.PI * 2);
-        ctx.fill();
-      }
+    const canvas = canvasRef.current;
+    if (!canvas) return;
 
-      ctx.globalAlpha = 1;
-      t += 1;
-      animationId = requestAnimationFrame(draw);
-    };
+    return attachPointCloudInput(canvas, dynamicMotionRef);
+  }, [view, backend]); // Re-run this effect when 'view' changes or the canvas is replaced
 
-    // Start Animation
-    animationId = requestAnimationFrame(draw);
+  // --- CONDITIONAL RENDERING (AT THE END) ---
+  if (view === 'notFound') {
+    return <NotFound path={route.path} onGoHome={() => navigate('/')} />;
+  }
 
-    // Event Listeners for Interaction
-    const handleMouseMove = (e) => { 
-      const rect = canvas.getBoundingClientRect();
-      const mouse = dynamicMotionRef.mouse;
-      mouse.x = e.clientX - rect.left;
-      mouse.y = e.clientY - rect.top;
-      mouse.active = true;
-      if (dynamicMotionRef.isDragging) {
-        const dx = e.clientX - dynamicMotionRef.lastX;
-        const dy = e.clientY - dynamicMotionRef.lastY;
-        dynamicMotionRef.velocityY = -dx * 0.002;
-        dynamicMotionRef.velocityX = dy * 0.002;
-        dynamicMotionRef.lastX = e.clientX;
-        dynamicMotionRef.lastY = e.clientY;
-      }
-    };
-    const handleMouseDown = (e) => { dynamicMotionRef.isDragging = true; dynamicMotionRef.lastX = e.clientX; dynamicMotionRef.lastY = e.clientY; };
-    const handleMouseUp = () => { dynamicMotionRef.isDragging = false; };
-    
-    canvas.addEventListener("mousemove", handleMouseMove);
-    canvas.addEventListener("mousedown", handleMouseDown);
-    canvas.addEventListener("mouseup", handleMouseUp);
-    
-    // Cleanup function
-    return () => {
-      cancelAnimationFrame(animationId);
-      window.removeEventListener('resize', updateSize);
-      canvas.removeEventListener("mousemove", handleMouseMove);
-      canvas.removeEventListener("mousedown", handleMouseDown);
-      canvas.removeEventListener("mouseup", handleMouseUp);
-    };
-  }, [view]); // Re-run this effect when 'view' changes
+  if (view === 'project') {
+    return (
+      <ProjectDetail
+        project={project}
+        onBack={handleGoHome}
+        onOpenDemo={() => navigate(demoPath(project.slug))}
+      />
+    );
+  }
 
-  // --- CONDITIONAL RENDERING (AT THE END) ---
-  if (view === 'wave') {
+  if (view === 'demo') {
+    const { Demo } = project;
     return (
-      <div className="fixed inset-0 w-full h-full z-50 bg-[#0a0a0f]">
-        <ComputationalWaveField />
+      <div className="fixed inset-0 w-full h-full z-50 bg-page">
+        <Demo />
         <button
-          onClick={handleGoHome}
-          className="fixed top-4 left-4 z-50 px-4 py-2 bg-white/10 text-white border border-white/30 rounded-lg backdrop-blur-sm hover:bg-white/20 transition-all text-sm"
+          onClick={() => goBack(projectPath(project.slug))}
+          className="fixed top-4 left-4 z-50 px-4 py-2 bg-ink/10 text-ink border border-ink/30 rounded-lg backdrop-blur-sm hover:bg-ink/20 transition-all text-sm"
         >
-          ← Back to Studio
+          {t('nav.back')}
         </button>
       </div>
     );
@@ -266,60 +272,128 @@ const IntelligentEmergence = () => {
 
   // --- HOME VIEW RENDER ---
   return (
-    <div className="relative w-screen min-h-screen bg-[#0a0a0f] overflow-x-hidden">
+    <div className="relative w-screen min-h-screen bg-page overflow-x-hidden">
       <div className="fixed inset-0 flex items-center justify-center w-screen h-screen opacity-70" style={{ zIndex: 0 }}>
-        <canvas ref={canvasRef} style={{ cursor: "grab" }} />
+        {/* Keyed by backend: a canvas cannot switch between 2D and WebGL contexts.
+            touch-action pan-y: the canvas fills the screen behind the page, so a vertical one-finger swipe
+            has to keep scrolling it. The browser takes that swipe (and cancels the drag), so a finger can only
+            turn the cloud sideways; tilting on touch is a two-finger vertical drag (see pointCloudInput.js). */}
+        <canvas
+          key={backend}
+          ref={canvasRef}
+          tabIndex={0}
+          role="application"
+          aria-roledescription={t('home.canvas.roledescription')}
+          aria-label={t('home.canvas.label')}
+          aria-describedby="home-scene-description"
+          className="focus:outline-none focus-visible:outline focus-visible:outline-1 focus-visible:outline-ink/40"
+          style={{ cursor: "grab", touchAction: "pan-y" }}
+        />
+        <p id="home-scene-description" className="sr-only">
+          {t('home.canvas.description', {
+            count: drawnCount,
+            motion: reducedMotion ? 'reduced' : 'full',
+            fold: symmetryFold(scrollDepth, sessionTime),
+          })}
+        </p>
       </div>
-      <div className="relative z-10 text-white pointer-events-none">
-        <div className="min-h-screen flex flex-col items-center justify-center px-8">
+      <div className="fixed bottom-4 right-4 z-20 flex gap-2 text-xs font-mono">
+        <LanguagePicker />
+        <ThemePicker />
+        <MotionToggle />
+      </div>
+      {showStats && (
+        <RenderStats
+          fps={fps}
+          backend={backend}
+          onBackendChange={setBackend}
+          counts={POINT_COUNTS}
+          count={pointCount}
+          onCountChange={setPointCount}
+          drawn={drawnCount}
+        />
+      )}
+      {showStats && <CursorControls settings={cursorForce} onChange={updateCursorForce} />}
+      {/* What the analytics have recorded, opened via #/?debug */}
+      {'debug' in route.query && <AnalyticsDashboard onClose={() => navigate('/', { replace: true })} />}
+      {/* Internal export tools for client decks, opened via #/?export */}
+      {'export' in route.query && (
+        <ExportPanel
+          filename="studio-point-cloud"
+          renderFrame={renderHomeFrame}
+          renderLoopFrame={renderHomeLoopFrame}
+          onClose={() => navigate('/', { replace: true })}
+        />
+      )}
+      <div className="relative z-10 text-ink pointer-events-none">
+        <div data-section="intro" data-formation="sphere" className="min-h-screen flex flex-col items-center justify-center px-8">
           <div className="max-w-4xl text-center space-y-6">
-            <h1 className="text-7xl md:text-8xl font-light tracking-tight">s ‹ tudio › s</h1>
-            <p className="text-xl md:text-2xl font-light text-gray-300 tracking-wide">Systems · Emergence · Transformation</p>
-            <div className="pt-8 text-xl text-gray-500 font-mono">↓</div>
+            <h1 className="text-7xl md:text-8xl font-light tracking-tight">{site.wordmark}</h1>
+            <p className="text-xl md:text-2xl font-light text-ink/80 tracking-wide">{t('site.tagline')}</p>
+            <div className="pt-8 text-xl text-ink/50 font-mono">↓</div>
           </div>
         </div>
-        <div className="min-h-screen flex items-center justify-center px-8">
-          <div className="max-w-2xl space-y-8 bg-black/30 backdrop-blur-sm p-12 rounded-lg border border-white/10 pointer-events-auto">
-            <h2 className="text-4xl font-light">Intelligent Design</h2>
-            <p className="text-lg text-gray-300 leading-relaxed">We create systems that think, adapt, and evolve.</p>
-            <div className="pt-6 grid grid-cols-3 gap-6 text-sm font-mono text-gray-400">
-              <div>Symmetry: {Math.floor(3 + scrollDepth * 3 + Math.min(sessionTime / 60, 1) * 2)}-fold</div>
-              <div>Depth: {Math.floor(scrollDepth * 100)}%</div>
-              <div>Time: {Math.floor(sessionTime)}s</div>
+        <div data-section="about" data-formation="symmetry" className="min-h-screen flex items-center justify-center px-8">
+          <div className="max-w-2xl space-y-8 bg-shade/30 backdrop-blur-sm p-12 rounded-lg border border-ink/10 pointer-events-auto">
+            <h2 className="text-4xl font-light">{t('home.about.title')}</h2>
+            <p className="text-lg text-ink/80 leading-relaxed">{t('home.about.body')}</p>
+            <div className="pt-6 grid grid-cols-3 gap-6 text-sm font-mono text-ink/60">
+              <div>{t('home.readout.symmetry', { fold: symmetryFold(scrollDepth, sessionTime) })}</div>
+              <div>{t('home.readout.depth', { depth: Math.floor(scrollDepth * 100) / 100 })}</div>
+              <div>{t('home.readout.time', { seconds: Math.floor(sessionTime) })}</div>
             </div>
           </div>
         </div>
-        <div className="min-h-screen flex items-center justify-center px-8">
+        <div data-section="work" data-formation="grid" className="min-h-screen flex items-center justify-center px-8">
           <div className="max-w-3xl space-y-12">
-            <h2 className="text-5xl font-light text-center mb-16">Selected Work</h2>
+            <h2 className="text-5xl font-light text-center mb-16">{t('home.work.title')}</h2>
+            <div className="flex flex-wrap justify-center gap-2 text-xs font-mono pointer-events-auto">
+              {[null, ...TAGS].map(tag => (
+                <button
+                  key={tag || 'all'}
+                  onClick={() => setActiveTag(tag)}
+                  className={`px-3 py-1 rounded-full border transition-all ${activeTag === tag ? 'border-ink/60 text-ink bg-ink/10' : 'border-ink/10 text-ink/60 hover:border-ink/30'}`}
+                >
+                  {tag ? t(`tag.${tag}`) : t('home.work.allTags')}
+                </button>
+              ))}
+            </div>
             <div className="space-y-8 pointer-events-auto">
-              {[
-                { title: 'Adaptive Systems', desc: 'Platforms that learn and evolve with their users' },
-                { title: 'Emergent Interfaces', desc: 'UI that responds to context and intent' },
-                { title: 'Computational Design', desc: 'Where algorithm meets aesthetics', action: () => setView('wave') }
-              ].map((project, i) => (
-                <div 
-                  key={i}
-                  onClick={project.action || (() => {})} 
-                  className={`bg-black/20 backdrop-blur-sm p-8 rounded-lg border border-white/10 hover:border-white/30 transition-all cursor-pointer ${project.action ? 'hover:scale-[1.01] transition-transform' : ''}`}
+              {visibleProjects.map(source => localizeProject(source, t)).map((project) => (
+                <a
+                  key={project.slug}
+                  href={`#${projectPath(project.slug)}`}
+                  onClick={(e) => handleOpenProject(e, project.slug)}
+                  onMouseEnter={() => { dynamicPropsRef.projectFormation = project.formation || null; }}
+                  onMouseLeave={() => { dynamicPropsRef.projectFormation = null; }}
+                  onFocus={() => { dynamicPropsRef.projectFormation = project.formation || null; }}
+                  onBlur={() => { dynamicPropsRef.projectFormation = null; }}
+                  className={`block bg-shade/20 backdrop-blur-sm p-8 rounded-lg border border-ink/10 hover:border-ink/30 transition-all cursor-pointer focus:outline-none focus-visible:border-ink/60 focus-visible:ring-2 focus-visible:ring-accent ${project.Demo ? 'hover:scale-[1.01] focus-visible:scale-[1.01] transition-transform' : ''}`}
                 >
                   <h3 className="text-2xl font-light mb-3">{project.title}</h3>
-                  <p className="text-gray-400">{project.desc}</p>
-                  {project.action && <span className="mt-2 inline-block text-sm text-indigo-400">→ View Interactive Demo</span>}
-                </div>
+                  <p className="text-ink/60">{project.summary}</p>
+                  {project.Demo && <span className="mt-2 inline-block text-sm text-accent">{t('home.work.demo')}</span>}
+                </a>
               ))}
             </div>
           </div>
         </div>
-        <div className="min-h-screen flex items-center justify-center px-8">
-          <div className="max-w-2xl text-center space-y-8">
-            <h2 className="text-5xl font-light">Let's Build Something Intelligent</h2>
-            <div className="pt-8">
-              <a href="mailto:hello@studiostruweg.com" className="inline-block px-8 py-4 border border-white/30 rounded-full hover:bg-white/10 transition-all text-lg pointer-events-auto">Start a Conversation</a>
-            </div>
+        <div data-section="contact" data-formation="torus" className="min-h-screen flex items-center justify-center px-8">
+          <div className="w-full max-w-2xl text-center space-y-8">
+            <h2 className="text-5xl font-light">{t('home.contact.title')}</h2>
+            {/* Without a submission endpoint (see contact/adapters.js) the form would have nowhere to send to */}
+            {contactAdapter ? (
+              <div className="relative bg-shade/30 backdrop-blur-sm p-8 sm:p-12 rounded-lg border border-ink/10 pointer-events-auto">
+                <ContactForm />
+              </div>
+            ) : (
+              <div className="pt-8">
+                <a href={`mailto:${site.email}`} onClick={() => track('cta_clicked', { cta: 'email' })} className="inline-block px-8 py-4 border border-ink/30 rounded-full hover:bg-ink/10 transition-all text-lg pointer-events-auto">{t('home.contact.email')}</a>
+              </div>
+            )}
           </div>
         </div>
-        <div className="py-16 text-center text-gray-500 text-sm font-mono"><p>© 2025 Studio Struweg · Intelligent by Design</p></div>
+        <div data-section="footer" data-formation="wordmark" className="py-16 text-center text-ink/50 text-sm font-mono"><p>{t('home.footer', { year: 2025, studio: site.name })}</p></div>
       </div>
     </div>
   );
@@ -0,0 +1,195 @@
+import React, { useEffect, useRef, useState } from 'react';
+import {
+  BUDGET_RANGES,
+  PROJECT_TYPES,
+  EMPTY_ENQUIRY,
+  MESSAGE_MAX,
+  validateEnquiry,
+  normaliseEnquiry,
+} from './contact/enquiry.js';
+import { contactAdapter as adapter } from './contact/adapters.js';
+import { enqueueEnquiry, subscribeSent, watchQueue } from './contact/queue.js';
+import { track } from './analytics/tracker.js';
+import { useI18n } from './i18n/locale.js';
+
+// Submissions faster than this after the form appeared are almost certainly scripted (ms)
+const MIN_FILL_TIME = 3000;
+
+const FIELD_ORDER = ['name', 'email', 'budget', 'projectType', 'message'];
+
+// Resend enquiries queued on an earlier visit or page, whether or not the form is on screen
+if (adapter && typeof window !== 'undefined') watchQueue(adapter);
+
+const inputClass = 'w-full px-3 py-2 bg-ink/5 text-ink border rounded-lg focus:outline-none focus-visible:ring-2 focus-visible:ring-accent';
+const buttonClass = 'px-6 py-3 border border-ink/30 rounded-full hover:bg-ink/10 transition-all focus:outline-none focus-visible:ring-2 focus-visible:ring-accent disabled:opacity-50 disabled:cursor-wait';
+
+// Needs an adapter: the page shows a mailto: link instead when there is none (see App.jsx)
+const ContactForm = () => {
+  const { t } = useI18n();
+  const [values, setValues] = useState(EMPTY_ENQUIRY);
+  const [errors, setErrors] = useState({});
+  const [touched, setTouched] = useState({});
+  const [status, setStatus] = useState('idle'); // idle | sending | sent | queued | error
+  const [failure, setFailure] = useState(null); // HTTP status for the error state, if the server answered
+  const [resent, setResent] = useState(0); // queued enquiries delivered since the page loaded
+  const honeypotRef = useRef(null);
+  const startedAtRef = useRef(Date.now());
+  const formRef = useRef(null);
+
+  // --- Retry queue: report enquiries resent in the background (see contact/queue.js) ---
+  useEffect(() => subscribeSent((count) => {
+    setResent(prev => prev + count);
+    setStatus(prev => (prev === 'queued' ? 'sent' : prev));
+  }), []);
+
+  const update = (field, value) => {
+    const next = { ...values, [field]: value };
+    setValues(next);
+    // Once a field has been left, re-check it as the visitor types
+    if (touched[field]) setErrors(validateEnquiry(next));
+  };
+
+  const handleBlur = (field) => {
+    setTouched(prev => ({ ...prev, [field]: true }));
+    setErrors(validateEnquiry(values));
+  };
+
+  const send = async (enquiry) => {
+    setStatus('sending');
+    setFailure(null);
+    try {
+      await adapter.submit(enquiry);
+      setStatus('sent');
+      setValues(EMPTY_ENQUIRY);
+      setTouched({});
+    } catch (error) {
+      if (error.retryable && enqueueEnquiry(enquiry)) {
+        setStatus('queued');
+        setValues(EMPTY_ENQUIRY);
+        setTouched({});
+      } else {
+        setFailure(error.status);
+        setStatus('error');
+      }
+    }
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (status === 'sending') return;
+    track('cta_clicked', { cta: 'contact' });
+
+    const found = validateEnquiry(values);
+    setErrors(found);
+    setTouched(Object.fromEntries(FIELD_ORDER.map(field => [field, true])));
+    const firstInvalid = FIELD_ORDER.find(field => found[field]);
+    if (firstInvalid) {
+      formRef.current.elements[firstInvalid].focus();
+      return;
+    }
+
+    // Spam checks: bots fill the hidden field, or submit the instant the page loads.
+    // Both get the normal success message so there is nothing to learn from the response.
+    if (honeypotRef.current.value || Date.now() - startedAtRef.current < MIN_FILL_TIME) {
+      setStatus('sent');
+      return;
+    }
+
+    send(normaliseEnquiry(values));
+  };
+
+  const fieldProps = (field) => ({
+    id: `contact-${field}`,
+    name: field,
+    value: values[field],
+    onChange: e => update(field, e.target.value),
+    onBlur: () => handleBlur(field),
+    'aria-invalid': Boolean(touched[field] && errors[field]),
+    'aria-describedby': touched[field] && errors[field] ? `contact-${field}-error` : undefined,
+    className: `${inputClass} ${touched[field] && errors[field] ? 'border-red-400/70' : 'border-ink/20'}`,
+  });
+
+  const renderError = field => touched[field] && errors[field] && (
+    <p id={`contact-${field}-error`} className="mt-1 text-xs text-red-400">{t(errors[field].key, errors[field].values)}</p>
+  );
+
+  if (status === 'sent' || status === 'queued') {
+    return (
+      <div role="status" className="space-y-4">
+        <p className="text-lg text-ink/90">
+          {t(status === 'sent' ? 'contact.sent' : 'contact.queued')}
+        </p>
+        <button
+          type="button"
+          onClick={() => { startedAtRef.current = Date.now(); setStatus('idle'); }}
+          className="text-sm text-accent hover:underline focus:outline-none focus-visible:ring-2 focus-visible:ring-accent rounded"
+        >
+          {t('contact.another')}
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <form ref={formRef} onSubmit={handleSubmit} noValidate className="space-y-5 text-left">
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-5">
+        <div>
+          <label htmlFor="contact-name" className="block mb-1 text-sm font-mono text-ink/80">{t('contact.field.name')}</label>
+          <input type="text" autoComplete="name" {...fieldProps('name')} />
+          {renderError('name')}
+        </div>
+        <div>
+          <label htmlFor="contact-email" className="block mb-1 text-sm font-mono text-ink/80">{t('contact.field.email')}</label>
+          <input type="email" autoComplete="email" {...fieldProps('email')} />
+          {renderError('email')}
+        </div>
+        <div>
+          <label htmlFor="contact-budget" className="block mb-1 text-sm font-mono text-ink/80">{t('contact.field.budget')}</label>
+          <select {...fieldProps('budget')}>
+            <option value="" disabled>{t('contact.budget.choose')}</option>
+            {BUDGET_RANGES.map(value => <option key={value} value={value}>{t(`contact.budget.${value}`)}</option>)}
+          </select>
+          {renderError('budget')}
+        </div>
+        <div>
+          <label htmlFor="contact-projectType" className="block mb-1 text-sm font-mono text-ink/80">{t('contact.field.projectType')}</label>
+          <select {...fieldProps('projectType')}>
+            <option value="" disabled>{t('contact.projectType.choose')}</option>
+            {PROJECT_TYPES.map(value => <option key={value} value={value}>{t(`contact.projectType.${value}`)}</option>)}
+          </select>
+          {renderError('projectType')}
+        </div>
+      </div>
+      <div>
+        <label htmlFor="contact-message" className="block mb-1 text-sm font-mono text-ink/80">{t('contact.field.message')}</label>
+        <textarea rows={5} maxLength={MESSAGE_MAX} {...fieldProps('message')} />
+        {renderError('message')}
+      </div>
+
+      {/* Honeypot: hidden from people and assistive tech, irresistible to form-filling bots */}
+      <div aria-hidden="true" className="absolute -left-[10000px] w-px h-px overflow-hidden">
+        <label htmlFor="contact-website">{t('contact.field.website')}</label>
+        <input ref={honeypotRef} id="contact-website" name="website" type="text" tabIndex={-1} autoComplete="off" defaultValue="" />
+      </div>
+
+      {status === 'error' && (
+        <p role="alert" className="text-sm text-red-400">
+          {t('contact.failed', { status: failure || 'none' })}
+        </p>
+      )}
+      {resent > 0 && (
+        <p role="status" className="text-sm text-ink/60">
+          {t('contact.resent', { count: resent })}
+        </p>
+      )}
+
+      <div className="pt-2 text-center">
+        <button type="submit" disabled={status === 'sending'} className={buttonClass}>
+          {t(status === 'sending' ? 'contact.submit.sending' : status === 'error' ? 'contact.submit.retry' : 'contact.submit.idle')}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default ContactForm;
@@ -0,0 +1,39 @@
+import React from 'react';
+import { CURSOR_MODES, CURSOR_FORCE_SPECS } from './scenes/pointCloudPhysics.js';
+import { useI18n } from './i18n/locale.js';
+
+// Tuning for the cursor force on the home point cloud, shown with the renderer stats (#/?stats).
+// `settings` as in DEFAULT_CURSOR_FORCE; `onChange(key, value)` updates one field.
+const CursorControls = ({ settings, onChange }) => {
+  const { t, formatNumber } = useI18n();
+
+  return (
+    <div className="fixed top-16 left-1/2 -translate-x-1/2 z-50 flex flex-wrap items-center gap-3 px-3 py-2 bg-shade/60 backdrop-blur-md border border-ink/10 rounded-lg text-xs font-mono text-ink/80">
+      <select
+        aria-label={t('stats.cursor.label')}
+        value={settings.mode}
+        onChange={e => onChange('mode', e.target.value)}
+        className="px-2 py-0.5 bg-ink/10 border border-ink/10 rounded"
+      >
+        {CURSOR_MODES.map(mode => <option key={mode} value={mode}>{t(`stats.cursor.mode.${mode}`)}</option>)}
+      </select>
+      {Object.entries(CURSOR_FORCE_SPECS).map(([key, spec]) => (
+        <label key={key} className="flex items-center gap-2">
+          <span className="w-24">{t('stats.readout', { label: t(`stats.cursor.${key}`), value: formatNumber(settings[key], spec.digits) })}</span>
+          <input
+            type="range"
+            min={spec.min}
+            max={spec.max}
+            step={spec.step}
+            value={settings[key]}
+            disabled={settings.mode === 'off'}
+            onChange={e => onChange(key, parseFloat(e.target.value))}
+            className="w-24 h-1 bg-ink/20 rounded-lg appearance-none cursor-pointer disabled:opacity-40"
+          />
+        </label>
+      ))}
+    </div>
+  );
+};
+
+export default CursorControls;
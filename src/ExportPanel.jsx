@@ -0,0 +1,89 @@
+import React, { useState } from 'react';
+import { exportPng, exportSvg, recordLoop, downloadBlob, supportsVideoExport } from './exporter.js';
+import { useI18n } from './i18n/locale.js';
+
+const SCALES = [1, 2, 3, 4];
+const LOOP_LENGTHS = [4, 8, 12]; // seconds
+
+const buttonClass = 'px-3 py-1 bg-ink/10 text-ink/90 border border-ink/30 rounded-lg hover:bg-ink/20 transition-all disabled:opacity-40 disabled:cursor-not-allowed';
+const selectClass = 'px-3 py-1 bg-ink/10 text-ink/90 border border-ink/30 rounded-lg';
+
+// Export controls for a canvas scene. `renderFrame` / `renderLoopFrame` follow the
+// contract described in exporter.js; `filename` is used as the download basename.
+const ExportPanel = ({ filename, renderFrame, renderLoopFrame, onClose }) => {
+  const { t } = useI18n();
+  const [scale, setScale] = useState(2);
+  const [loopSeconds, setLoopSeconds] = useState(LOOP_LENGTHS[0]);
+  // null | { busy, key, values }: the status line as a message, so it follows a language change
+  const [status, setStatus] = useState(null);
+
+  // Exports render at the logical size of the viewport, so framing matches the screen
+  const width = window.innerWidth;
+  const height = window.innerHeight;
+  const busy = Boolean(status && status.busy);
+
+  // `kind`: png | svg | video (export.kind.<kind>)
+  const run = async (kind, task) => {
+    setStatus({ busy: true, key: 'export.running', values: { kind } });
+    try {
+      await task();
+      setStatus({ busy: false, key: 'export.done', values: { kind } });
+    } catch (err) {
+      setStatus({ busy: false, key: 'export.failed', values: { kind, reason: err.message } });
+    }
+  };
+
+  const handlePng = () => run('png', async () => {
+    downloadBlob(await exportPng(renderFrame, { width, height, scale }), `${filename}@${scale}x.png`);
+  });
+
+  const handleSvg = () => run('svg', async () => {
+    downloadBlob(exportSvg(renderFrame, { width, height }), `${filename}.svg`);
+  });
+
+  const handleVideo = () => run('video', async () => {
+    const blob = await recordLoop(renderLoopFrame, {
+      width,
+      height,
+      scale,
+      seconds: loopSeconds,
+      onProgress: p => setStatus({ busy: true, key: 'export.progress', values: { kind: 'video', progress: p } }),
+    });
+    downloadBlob(blob, `${filename}-loop-${loopSeconds}s.webm`);
+  });
+
+  return (
+    <div className="fixed top-4 right-4 z-50 w-72 p-4 space-y-4 bg-shade/70 backdrop-blur-md border border-ink/10 rounded-lg text-ink text-sm font-mono">
+      <div className="flex items-center justify-between">
+        <h2 className="font-light text-ink/90">{t('export.title')}</h2>
+        <button onClick={onClose} className="text-ink/60 hover:text-ink" aria-label={t('export.close')}>×</button>
+      </div>
+
+      <label className="flex items-center justify-between gap-2 text-ink/80">
+        {t('export.resolution')}
+        <select value={scale} onChange={e => setScale(Number(e.target.value))} className={selectClass}>
+          {SCALES.map(s => (
+            <option key={s} value={s}>{t('export.scale', { scale: s, width: Math.round(width * s), height: Math.round(height * s) })}</option>
+          ))}
+        </select>
+      </label>
+
+      <div className="flex gap-2">
+        <button onClick={handlePng} disabled={busy} className={buttonClass}>PNG</button>
+        <button onClick={handleSvg} disabled={busy} className={buttonClass}>SVG</button>
+      </div>
+
+      <div className="flex items-center gap-2">
+        <select value={loopSeconds} onChange={e => setLoopSeconds(Number(e.target.value))} className={selectClass} disabled={busy}>
+          {LOOP_LENGTHS.map(s => <option key={s} value={s}>{t('export.loop', { seconds: s })}</option>)}
+        </select>
+        <button onClick={handleVideo} disabled={busy || !supportsVideoExport()} className={buttonClass}>WebM</button>
+      </div>
+
+      {status && <p className="text-xs text-ink/60">{t(status.key, { ...status.values, kind: t(`export.kind.${status.values.kind}`) })}</p>}
+      {!supportsVideoExport() && <p className="text-xs text-ink/50">{t('export.unsupported')}</p>}
+    </div>
+  );
+};
+
+export default ExportPanel;
@@ -0,0 +1,21 @@
+import React from 'react';
+import { LOCALES, setLocale, useI18n } from './i18n/locale.js';
+
+// Language selector, shared by the home page and the demos. Each language is listed under its
+// own name, with its code as the option's lang so screen readers pronounce it correctly.
+const LanguagePicker = ({ className = '' }) => {
+  const { locale, t } = useI18n();
+
+  return (
+    <select
+      aria-label={t('language.label')}
+      value={locale}
+      onChange={e => setLocale(e.target.value)}
+      className={`px-3 py-1 bg-ink/10 text-ink/90 border border-ink/30 rounded-lg focus:outline-none focus-visible:ring-2 focus-visible:ring-accent ${className}`}
+    >
+      {LOCALES.map(({ locale: code, name }) => <option key={code} value={code} lang={code}>{name}</option>)}
+    </select>
+  );
+};
+
+export default LanguagePicker;
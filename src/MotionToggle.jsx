@@ -0,0 +1,22 @@
+import React from 'react';
+import { useReducedMotion, toggleReducedMotion } from './reducedMotion.js';
+import { useI18n } from './i18n/locale.js';
+
+// Manual override for prefers-reduced-motion, shared by the home page and the demos
+const MotionToggle = ({ className = '' }) => {
+  const reduced = useReducedMotion();
+  const { t } = useI18n();
+
+  return (
+    <button
+      type="button"
+      onClick={toggleReducedMotion}
+      aria-pressed={reduced}
+      className={`px-3 py-1 border rounded-lg transition-all focus:outline-none focus-visible:ring-2 focus-visible:ring-accent ${reduced ? 'border-ink/60 text-ink bg-ink/10' : 'border-ink/30 text-ink/80 bg-ink/5 hover:bg-ink/20'} ${className}`}
+    >
+      {reduced ? t('motion.reduced') : t('motion.reduce')}
+    </button>
+  );
+};
+
+export default MotionToggle;
@@ -0,0 +1,32 @@
+import React from 'react';
+import { useI18n } from './i18n/locale.js';
+
+// Stands in for {path} while the message is split, so the path can be set in its own span
+const PATH_MARK = '\u0000';
+
+const NotFound = ({ path, onGoHome }) => {
+  const { t } = useI18n();
+  const [before, after] = t('notFound.body', { path: PATH_MARK }).split(PATH_MARK);
+
+  return (
+    <div className="w-screen min-h-screen bg-page text-ink flex items-center justify-center px-8">
+      <div className="max-w-2xl text-center space-y-6">
+        <p className="text-sm font-mono text-ink/50">404</p>
+        <h1 className="text-5xl font-light">{t('notFound.title')}</h1>
+        <p className="text-lg text-ink/60">
+          {before}<span className="font-mono text-ink/80">{path}</span>{after}
+        </p>
+        <div className="pt-8">
+          <button
+            onClick={onGoHome}
+            className="inline-block px-8 py-4 border border-ink/30 rounded-full hover:bg-ink/10 transition-all text-lg"
+          >
+            {t('nav.back')}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default NotFound;
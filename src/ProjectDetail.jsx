@@ -0,0 +1,63 @@
+import React from 'react';
+import { localizeProject, useI18n } from './i18n/locale.js';
+
+const ProjectDetail = ({ project: source, onBack, onOpenDemo }) => {
+  const { t } = useI18n();
+  const project = localizeProject(source, t);
+
+  return (
+    <div className="relative w-screen min-h-screen bg-page text-ink overflow-x-hidden">
+      <button
+        onClick={onBack}
+        className="fixed top-4 left-4 z-50 px-4 py-2 bg-ink/10 text-ink border border-ink/30 rounded-lg backdrop-blur-sm hover:bg-ink/20 transition-all text-sm"
+      >
+        {t('nav.back')}
+      </button>
+
+      <div className="max-w-3xl mx-auto px-8 pt-32 pb-24 space-y-12">
+        <header className="space-y-6">
+          <p className="text-sm font-mono text-ink/50">{project.year}</p>
+          <h1 className="text-5xl md:text-6xl font-light tracking-tight">{project.title}</h1>
+          <p className="text-xl md:text-2xl font-light text-ink/80">{project.summary}</p>
+          <ul className="flex flex-wrap gap-2 text-xs font-mono text-ink/60">
+            {project.tags.map(tag => (
+              <li key={tag} className="px-3 py-1 rounded-full border border-ink/10">{t(`tag.${tag}`)}</li>
+            ))}
+          </ul>
+        </header>
+
+        <div className="space-y-6 text-lg text-ink/80 leading-relaxed">
+          {project.description.map((paragraph, i) => <p key={i}>{paragraph}</p>)}
+        </div>
+
+        {project.media.length > 0 && (
+          <div className="space-y-8">
+            {project.media.map((item, i) => (
+              <figure key={i} className="rounded-lg overflow-hidden border border-ink/10">
+                {item.type === 'video' ? (
+                  <video src={item.src} poster={item.poster} autoPlay muted loop playsInline className="w-full" />
+                ) : (
+                  <img src={item.src} alt={item.alt || ''} loading="lazy" className="w-full" />
+                )}
+                {item.caption && <figcaption className="p-4 text-sm text-ink/50">{item.caption}</figcaption>}
+              </figure>
+            ))}
+          </div>
+        )}
+
+        {project.Demo && (
+          <div className="pt-4">
+            <button
+              onClick={onOpenDemo}
+              className="inline-block px-8 py-4 border border-ink/30 rounded-full hover:bg-ink/10 transition-all text-lg"
+            >
+              {t('project.openDemo')}
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ProjectDetail;
@@ -0,0 +1,60 @@
+import React from 'react';
+import { supportsWebGL } from './engine/webgl.js';
+import { QUALITY_TIERS, qualityGovernor, useQuality } from './quality.js';
+import { useI18n } from './i18n/locale.js';
+
+const buttonClass = 'px-2 py-0.5 border rounded transition-all';
+const activeClass = 'border-ink/60 text-ink bg-ink/10';
+const idleClass = 'border-ink/10 text-ink/60 hover:border-ink/30 disabled:opacity-40 disabled:cursor-not-allowed';
+
+// Which backend to start with: WebGL when the browser has it, Canvas2D otherwise
+export const defaultBackend = () => (supportsWebGL() ? 'webgl' : '2d');
+
+// FPS readout with a renderer toggle and point density selector, for comparing the
+// Canvas2D and WebGL backends of a scene. Also shows the adaptive quality tier (see
+// quality.js) with the points actually drawn, and lets a tier be forced.
+const RenderStats = ({ fps, backend, onBackendChange, counts, count, onCountChange, drawn }) => {
+  const webgl = supportsWebGL();
+  const { tier, forced } = useQuality();
+  const { t } = useI18n();
+
+  return (
+    <div className="fixed top-4 left-1/2 -translate-x-1/2 z-50 flex items-center gap-3 px-3 py-2 bg-shade/60 backdrop-blur-md border border-ink/10 rounded-lg text-xs font-mono text-ink/80">
+      <span className="w-16 tabular-nums">{t('stats.fps', { fps: fps === null ? 'none' : Math.round(fps) })}</span>
+      <div className="flex gap-1">
+        <button onClick={() => onBackendChange('2d')} className={`${buttonClass} ${backend === '2d' ? activeClass : idleClass}`}>Canvas2D</button>
+        <button
+          onClick={() => onBackendChange('webgl')}
+          disabled={!webgl}
+          title={webgl ? undefined : t('stats.noWebgl')}
+          className={`${buttonClass} ${backend === 'webgl' ? activeClass : idleClass}`}
+        >
+          WebGL
+        </button>
+      </div>
+      <select value={count} onChange={e => onCountChange(Number(e.target.value))} className="px-2 py-0.5 bg-ink/10 border border-ink/10 rounded">
+        {counts.map(n => <option key={n} value={n}>{t('stats.points', { count: n })}</option>)}
+      </select>
+      <select
+        aria-label={t('stats.tier.label')}
+        value={forced || 'auto'}
+        onChange={e => qualityGovernor.force(e.target.value === 'auto' ? null : e.target.value)}
+        className="px-2 py-0.5 bg-ink/10 border border-ink/10 rounded"
+      >
+        <option value="auto">{t('stats.tier.auto')}</option>
+        {QUALITY_TIERS.map(({ name }) => <option key={name} value={name}>{t(`stats.tier.${name}`)}</option>)}
+      </select>
+      <span className="tabular-nums text-ink/60" title={t('stats.summary.title')}>
+        {t('stats.summary', {
+          tier: t(`stats.tier.${tier.name}`),
+          forced: forced ? 'yes' : 'no',
+          count: drawn,
+          dpr: Number.isFinite(tier.maxDpr) ? tier.maxDpr : 'full',
+          blending: tier.blending ? 'yes' : 'no',
+        })}
+      </span>
+    </div>
+  );
+};
+
+export default RenderStats;
@@ -0,0 +1,23 @@
+import React from 'react';
+import { THEMES } from './palette.js';
+import { useTheme, setTheme } from './theme.js';
+import { useI18n } from './i18n/locale.js';
+
+// Theme selector, shared by the home page and the demos
+const ThemePicker = ({ className = '' }) => {
+  const theme = useTheme();
+  const { t } = useI18n();
+
+  return (
+    <select
+      aria-label={t('theme.label')}
+      value={theme.name}
+      onChange={e => setTheme(e.target.value)}
+      className={`px-3 py-1 bg-ink/10 text-ink/90 border border-ink/30 rounded-lg focus:outline-none focus-visible:ring-2 focus-visible:ring-accent ${className}`}
+    >
+      {Object.keys(THEMES).map(name => <option key={name} value={name}>{t(`theme.${name}`)}</option>)}
+    </select>
+  );
+};
+
+export default ThemePicker;
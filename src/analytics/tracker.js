@@ -0,0 +1,171 @@
+import { createAnalyticsTransport } from './transports.js';
+
+// Local-first engagement analytics. No cookies and no stored identifiers: every event
+// carries a random id for the current page load only, so events of one visit can be grouped
+// but visits cannot be linked. Nothing is recorded when the browser asks not to be tracked.
+//
+// Events are { name, props, at, visit }, `at` in ms since the epoch. The ones the site records:
+//   section_reached { section, depth, time } - a home section scrolled into view, once per
+//                                              visit; depth (%) and time (s) on the page
+//   card_clicked    { slug, tag }            - a project card opened (tag: the active filter)
+//   demo_opened     { slug }
+//   demo_closed     { slug, seconds }        - also sent if the page is closed on the demo
+//   slider_changed  { demo, control, value } - the value a slider settled on
+//   cta_clicked     { cta }                  - the contact form's submit button ('contact') or the
+//                                              mailto: link shown instead of it ('email')
+//
+// Events are queued and handed to the transport (see transports.js) in batches: when
+// BATCH_SIZE have built up, FLUSH_DELAY after the first of a batch, and when the page is hidden.
+
+const BATCH_SIZE = 20;
+const FLUSH_DELAY = 5000; // ms
+const SETTLE_DELAY = 1000; // ms without changes before a settled event is queued
+const LOG_LIMIT = 500; // events of this visit kept in memory for the dashboard
+
+// True when the visitor has asked not to be tracked (Do Not Track or Global Privacy Control)
+export const doNotTrack = () => {
+  if (typeof navigator === 'undefined') return false;
+  const dnt = navigator.doNotTrack || (typeof window !== 'undefined' && window.doNotTrack) || navigator.msDoNotTrack;
+  return dnt === '1' || dnt === 'yes' || navigator.globalPrivacyControl === true;
+};
+
+const visitId = () => (typeof crypto !== 'undefined' && crypto.randomUUID
+  ? crypto.randomUUID()
+  : Math.random().toString(36).slice(2) + Date.now().toString(36));
+
+// `enabled: false` turns track() into a no-op. `now` is injectable for tests.
+export const createTracker = ({ transport, enabled = true, batchSize = BATCH_SIZE, now = Date.now } = {}) => {
+  const visit = visitId();
+  let queue = [];
+  let log = [];
+  let timer = null;
+  const settling = new Map(); // key -> { timer, event }
+  const listeners = new Set();
+  let revision = 0;
+
+  const changed = () => {
+    revision++;
+    listeners.forEach(listener => listener());
+  };
+
+  const remember = (event) => {
+    log.push(event);
+    if (log.length > LOG_LIMIT) log.shift();
+  };
+
+  const flush = () => {
+    if (timer !== null) clearTimeout(timer);
+    timer = null;
+    settling.forEach(({ timer: settle, event }) => {
+      clearTimeout(settle);
+      remember(event);
+      queue.push(event);
+    });
+    settling.clear();
+    if (!queue.length) return;
+    const batch = queue;
+    queue = [];
+    transport.send(batch);
+    changed();
+  };
+
+  const enqueue = (event) => {
+    remember(event);
+    queue.push(event);
+    if (queue.length >= batchSize) flush();
+    else if (timer === null) timer = setTimeout(flush, FLUSH_DELAY);
+    changed();
+  };
+
+  const createEvent = (name, props) => ({ name, props, at: now(), visit });
+
+  return {
+    enabled,
+    transport,
+    get revision() {
+      return revision;
+    },
+
+    track(name, props = {}) {
+      if (enabled) enqueue(createEvent(name, props));
+    },
+
+    // For continuous input (sliders): repeated calls with the same `key` replace each other,
+    // and only the last is recorded, once SETTLE_DELAY has passed without another
+    trackSettled(key, name, props = {}) {
+      if (!enabled) return;
+      const pending = settling.get(key);
+      if (pending) clearTimeout(pending.timer);
+      const event = createEvent(name, props);
+      settling.set(key, {
+        event,
+        timer: setTimeout(() => {
+          settling.delete(key);
+          enqueue(event);
+        }, SETTLE_DELAY),
+      });
+    },
+
+    flush,
+
+    // Events for the dashboard: everything the transport has kept on this device plus the
+    // queue, or this visit's events when the transport keeps nothing
+    events() {
+      return transport.read ? [...transport.read(), ...queue] : log;
+    },
+
+    clear() {
+      if (transport.clear) transport.clear();
+      log = [];
+      changed();
+    },
+
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+  };
+};
+
+// Totals for the dashboard, from a list of events
+export const summariseEvents = (events) => {
+  const count = (map, key) => { map[key] = (map[key] || 0) + 1; };
+  const summary = {
+    total: events.length,
+    visits: new Set(events.map(event => event.visit)).size,
+    sections: {},
+    cards: {},
+    demos: {}, // slug -> { opened, seconds }
+    sliders: {}, // 'demo / control' -> changes
+    ctas: {},
+  };
+  events.forEach(({ name, props }) => {
+    if (name === 'section_reached') count(summary.sections, props.section);
+    else if (name === 'card_clicked') count(summary.cards, props.slug);
+    else if (name === 'demo_opened' || name === 'demo_closed') {
+      const demo = summary.demos[props.slug] || (summary.demos[props.slug] = { opened: 0, seconds: 0 });
+      if (name === 'demo_opened') demo.opened++;
+      else demo.seconds += props.seconds;
+    } else if (name === 'slider_changed') count(summary.sliders, `${props.demo} / ${props.control}`);
+    else if (name === 'cta_clicked') count(summary.ctas, props.cta);
+  });
+  return summary;
+};
+
+// --- The tracker shared by the site ---
+
+export const analytics = createTracker({
+  transport: createAnalyticsTransport(),
+  enabled: !doNotTrack(),
+});
+
+export const track = (name, props) => analytics.track(name, props);
+export const trackSettled = (key, name, props) => analytics.trackSettled(key, name, props);
+
+// Hand over whatever is queued before the page goes away (pagehide covers the bfcache)
+if (typeof window !== 'undefined') {
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden') analytics.flush();
+  });
+  window.addEventListener('pagehide', analytics.flush);
+}
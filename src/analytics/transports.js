@@ -0,0 +1,68 @@
+// Delivery for batches of analytics events (see tracker.js). A transport is a plain object:
+//   name            - shown in the debug dashboard
+//   send(events)    - hands over an array of events; fire and forget
+//   read(), clear() - optional: transports that keep events on this device expose them to
+//                     the dashboard
+//
+// The site picks one at build time: VITE_ANALYTICS_ENDPOINT set -> beacon to that URL,
+// otherwise VITE_ANALYTICS_TRANSPORT ('console' | 'localStorage'), defaulting to the console
+// in development and to localStorage in a build. Nothing leaves the browser unless an
+// endpoint is configured.
+
+const STORAGE_KEY = 'analyticsEvents';
+const MAX_STORED = 1000; // oldest events are dropped beyond this
+
+export const createConsoleTransport = () => ({
+  name: 'console',
+  send(events) {
+    console.info(`[analytics] ${events.length} event${events.length === 1 ? '' : 's'}:`, events);
+  },
+});
+
+const readStored = () => {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+    return Array.isArray(stored) ? stored : [];
+  } catch {
+    return [];
+  }
+};
+
+export const createStorageTransport = ({ limit = MAX_STORED } = {}) => ({
+  name: 'localStorage',
+  send(events) {
+    try {
+      window.localStorage.setItem(STORAGE_KEY, JSON.stringify([...readStored(), ...events].slice(-limit)));
+    } catch {
+      // Storage blocked or full; the events are lost, which is fine for analytics
+    }
+  },
+  read: readStored,
+  clear() {
+    try {
+      window.localStorage.removeItem(STORAGE_KEY);
+    } catch {
+      // Nothing stored to clear
+    }
+  },
+});
+
+// POSTs each batch as JSON with navigator.sendBeacon, which survives the page being closed;
+// browsers without it (or refusing the payload) fall back to a keepalive fetch.
+export const createBeaconTransport = url => ({
+  name: 'beacon',
+  send(events) {
+    const body = JSON.stringify({ events });
+    const queued = typeof navigator !== 'undefined' && navigator.sendBeacon
+      && navigator.sendBeacon(url, new Blob([body], { type: 'application/json' }));
+    if (queued) return;
+    fetch(url, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body, keepalive: true })
+      .catch(() => {}); // offline: this batch is dropped
+  },
+});
+
+export const createAnalyticsTransport = (env = import.meta.env) => {
+  if (env.VITE_ANALYTICS_ENDPOINT) return createBeaconTransport(env.VITE_ANALYTICS_ENDPOINT);
+  const choice = env.VITE_ANALYTICS_TRANSPORT || (env.DEV ? 'console' : 'localStorage');
+  return choice === 'console' ? createConsoleTransport() : createStorageTransport();
+};
@@ -0,0 +1,80 @@
+// Submission adapters for the contact form. An adapter is a plain object:
+//   name              - identifies the adapter (tests, devtools)
+//   submit(enquiry)   - resolves when the enquiry has been accepted; rejects with an Error
+//                       whose `retryable` flag says whether resending later could succeed
+//                       (offline, timeouts, 5xx) or not (the target rejected the data),
+//                       and whose `status` is the HTTP status when the server answered
+//
+// The site picks one at build time: VITE_CONTACT_ENDPOINT set -> endpoint adapter (a hosted
+// form endpoint or our own serverless function), otherwise the mock in development. A build
+// without an endpoint has no adapter at all, and the page offers a mailto: link instead of
+// the form, so no enquiry is ever accepted and then lost.
+
+const TIMEOUT = 10000; // ms before a request counts as a network failure
+
+const submissionError = (message, retryable, status = null) => {
+  const error = new Error(message);
+  error.retryable = retryable;
+  error.status = status;
+  return error;
+};
+
+// POSTs the enquiry to `url`, as JSON (serverless functions, most form services) or as
+// urlencoded fields (classic form endpoints).
+export const createEndpointAdapter = (url, { format = 'json' } = {}) => ({
+  name: 'endpoint',
+  async submit(enquiry) {
+    const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+    const timer = controller && setTimeout(() => controller.abort(), TIMEOUT);
+    let response;
+    try {
+      response = await fetch(url, {
+        method: 'POST',
+        headers: {
+          Accept: 'application/json',
+          'Content-Type': format === 'json' ? 'application/json' : 'application/x-www-form-urlencoded',
+        },
+        body: format === 'json' ? JSON.stringify(enquiry) : new URLSearchParams(enquiry).toString(),
+        signal: controller ? controller.signal : undefined,
+      });
+    } catch {
+      // fetch only rejects when the request never completed (offline, DNS, CORS, abort)
+      throw submissionError('The enquiry could not reach the server.', true);
+    } finally {
+      if (timer) clearTimeout(timer);
+    }
+
+    if (!response.ok) {
+      const retryable = response.status >= 500 || response.status === 429;
+      throw submissionError(`The server answered ${response.status}.`, retryable, response.status);
+    }
+  },
+});
+
+// Development stand-in: accepts the enquiry after a short delay. Fails like a real network
+// request when the browser is offline, so the retry queue can be tried from devtools.
+export const createMockAdapter = ({ delay = 600 } = {}) => ({
+  name: 'mock',
+  submit() {
+    return new Promise((resolve, reject) => {
+      setTimeout(() => {
+        if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+          reject(submissionError('Offline (mock adapter).', true));
+          return;
+        }
+        resolve();
+      }, delay);
+    });
+  },
+});
+
+// The adapter for `env`, or null when enquiries have nowhere to go (a build without an endpoint)
+export const createContactAdapter = (env = import.meta.env) => {
+  if (env.VITE_CONTACT_ENDPOINT) {
+    return createEndpointAdapter(env.VITE_CONTACT_ENDPOINT, { format: env.VITE_CONTACT_FORMAT || 'json' });
+  }
+  return env.DEV ? createMockAdapter() : null;
+};
+
+// Where the site's enquiries go; chosen once per page load
+export const contactAdapter = createContactAdapter();
@@ -0,0 +1,61 @@
+// Fields, options and validation for the contact form. Kept free of React so the same rules
+// can run before a queued enquiry is resent.
+
+// Option values; their labels are the messages contact.budget.<value> and contact.projectType.<value>
+export const BUDGET_RANGES = ['under-10k', '10-25k', '25-50k', '50k-plus', 'unsure'];
+
+export const PROJECT_TYPES = [
+  'adaptive-system',
+  'interactive-installation',
+  'data-visualisation',
+  'product-interface',
+  'other',
+];
+
+export const EMPTY_ENQUIRY = {
+  name: '',
+  email: '',
+  budget: '',
+  projectType: '',
+  message: '',
+};
+
+export const MESSAGE_MIN = 20;
+export const MESSAGE_MAX = 5000;
+const NAME_MAX = 100;
+
+// Deliberately loose: one @, something on both sides, a dot in the domain
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Returns { field: { key, values } } for every invalid field, `key` naming the message to show
+// (contact.error.*) and `values` its arguments; empty when the enquiry can be sent
+export const validateEnquiry = (enquiry) => {
+  const errors = {};
+  const name = enquiry.name.trim();
+  const message = enquiry.message.trim();
+  const error = (key, values) => ({ key: `contact.error.${key}`, values });
+
+  if (!name) errors.name = error('nameMissing');
+  else if (name.length > NAME_MAX) errors.name = error('nameTooLong', { max: NAME_MAX });
+
+  if (!enquiry.email.trim()) errors.email = error('emailMissing');
+  else if (!EMAIL_PATTERN.test(enquiry.email.trim())) errors.email = error('emailInvalid');
+
+  if (!BUDGET_RANGES.includes(enquiry.budget)) errors.budget = error('budgetMissing');
+  if (!PROJECT_TYPES.includes(enquiry.projectType)) errors.projectType = error('projectTypeMissing');
+
+  if (message.length < MESSAGE_MIN) errors.message = error('messageTooShort', { min: MESSAGE_MIN });
+  else if (message.length > MESSAGE_MAX) errors.message = error('messageTooLong', { max: MESSAGE_MAX });
+
+  return errors;
+};
+
+// Trimmed copy with a timestamp, as handed to the submission adapter
+export const normaliseEnquiry = enquiry => ({
+  name: enquiry.name.trim(),
+  email: enquiry.email.trim(),
+  budget: enquiry.budget,
+  projectType: enquiry.projectType,
+  message: enquiry.message.trim(),
+  sentAt: new Date().toISOString(),
+});
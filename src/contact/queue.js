@@ -0,0 +1,121 @@
+// Retry queue for enquiries that could not be sent: the browser was offline or the server
+// failed (5xx, 429, timeouts). Entries live in localStorage so they survive a reload, and are
+// resent on the next page load, when the browser comes back online, and on a backoff timer
+// while any are left, since a server error does not come with an 'online' event.
+
+const STORAGE_KEY = 'contactQueue';
+const MAX_ATTEMPTS = 5; // retryable failures before an entry is given up on
+const RETRY_DELAY = 30000; // ms before the first timed retry...
+const MAX_RETRY_DELAY = 10 * 60000; // ...doubling after each unsuccessful one, up to this
+
+const readQueue = () => {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+    return Array.isArray(stored) ? stored : [];
+  } catch {
+    return [];
+  }
+};
+
+const writeQueue = (entries) => {
+  try {
+    if (entries.length) window.localStorage.setItem(STORAGE_KEY, JSON.stringify(entries));
+    else window.localStorage.removeItem(STORAGE_KEY);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+const queuedListeners = new Set(); // watchers, told when an entry is added
+const sentListeners = new Set(); // onSent subscribers
+
+// false when the enquiry could not be stored (storage blocked or full)
+export const enqueueEnquiry = (enquiry) => {
+  const stored = writeQueue([...readQueue(), { enquiry, attempts: 0 }]);
+  if (stored) queuedListeners.forEach(listener => listener());
+  return stored;
+};
+
+export const pendingEnquiries = () => readQueue().length;
+
+let flushing = null;
+
+// Resend everything in the queue with `adapter`. Sent entries and entries the target rejected
+// outright are removed; the rest stay for the next attempt. Resolves to the number sent.
+export const flushQueue = (adapter) => {
+  if (flushing) return flushing;
+  flushing = (async () => {
+    let sent = 0;
+    const remaining = [];
+    const snapshot = readQueue();
+    for (const entry of snapshot) {
+      try {
+        await adapter.submit(entry.enquiry);
+        sent++;
+      } catch (error) {
+        // Otherwise the entry is dropped: rejected outright, or out of attempts
+        if (error.retryable && entry.attempts + 1 < MAX_ATTEMPTS) {
+          remaining.push({ ...entry, attempts: entry.attempts + 1 });
+        }
+      }
+    }
+    // Entries queued while this flush was running were not in the snapshot above
+    const added = readQueue().slice(snapshot.length);
+    writeQueue([...remaining, ...added]);
+    return sent;
+  })().finally(() => { flushing = null; });
+  return flushing;
+};
+
+// `listener(count)` hears how many queued enquiries each flush delivered. Returns a function
+// that unsubscribes.
+export const subscribeSent = (listener) => {
+  sentListeners.add(listener);
+  return () => sentListeners.delete(listener);
+};
+
+// Keep resending the queue with `adapter`: now (the page load), on every 'online' event, and
+// RETRY_DELAY after an entry is queued, backing off while entries keep failing. Returns a
+// function that stops.
+export const watchQueue = (adapter, { retryDelay = RETRY_DELAY, maxRetryDelay = MAX_RETRY_DELAY } = {}) => {
+  let timer = null;
+  let delay = retryDelay;
+
+  const schedule = () => {
+    if (timer !== null || !pendingEnquiries()) return;
+    timer = setTimeout(() => {
+      timer = null;
+      flush();
+    }, delay);
+  };
+
+  const flush = async () => {
+    if (!pendingEnquiries()) return;
+    const offline = typeof navigator !== 'undefined' && navigator.onLine === false;
+    const count = offline ? 0 : await flushQueue(adapter);
+    if (count) sentListeners.forEach(listener => listener(count));
+    if (pendingEnquiries()) {
+      // Still failing (or offline): wait longer before the next timed attempt
+      if (!offline) delay = Math.min(delay * 2, maxRetryDelay);
+      schedule();
+    } else {
+      delay = retryDelay;
+    }
+  };
+
+  const handleOnline = () => {
+    delay = retryDelay;
+    flush();
+  };
+
+  flush();
+  queuedListeners.add(schedule);
+  window.addEventListener('online', handleOnline);
+  return () => {
+    if (timer !== null) clearTimeout(timer);
+    timer = null;
+    queuedListeners.delete(schedule);
+    window.removeEventListener('online', handleOnline);
+  };
+};
@@ -0,0 +1,335 @@
+import React, { useEffect, useRef, useState } from 'react';
+import useCanvasScene from '../engine/useCanvasScene.js';
+import { createFixedStepper } from '../engine/engine.js';
+import { createRandom } from '../engine/random.js';
+import { useTheme } from '../theme.js';
+import { useReducedMotion } from '../reducedMotion.js';
+import { useI18n } from '../i18n/locale.js';
+import { trackSettled } from '../analytics/tracker.js';
+import MotionToggle from '../MotionToggle.jsx';
+
+// Configuration constants
+const AGENT_COUNT = 350; // Number of agents in the flock
+const AGENT_RADIUS = 2; // Base radius of the drawn agents
+const MAX_SPEED = 2.5; // Cruising speed limit (pixels per frame) when the flock is calm
+const MAX_FORCE = 0.06; // Steering force limit per frame
+const NEIGHBOR_RADIUS = 50; // Agents within this distance influence each other
+const SEPARATION_RADIUS = 16; // Agents closer than this push apart
+const DANGER_CELL = 40; // Size of a cell in the learned danger map (pixels)
+const FLOCK_SEED = 350; // Seed for the starting positions and headings
+
+// Stable Ref for the flock parameters the animation loop reads every frame.
+const dynamicFlockPropsRef = {
+  cohesion: 1.0,
+  alignment: 1.0,
+  separation: 1.5,
+  adaptation: 0.5, // How quickly the flock learns from (and forgets) the visitor
+};
+
+// Clamp a vector {x, y} to a maximum length, in place
+const limit = (v, max) => {
+  const len = Math.sqrt(v.x * v.x + v.y * v.y);
+  if (len > max) {
+    v.x = (v.x / len) * max;
+    v.y = (v.y / len) * max;
+  }
+  return v;
+};
+
+const AdaptiveFlock = () => {
+  const canvasRef = useRef(null);
+  // State is only used to update the UI labels next to the sliders
+  const [cohesion, setCohesion] = useState(dynamicFlockPropsRef.cohesion);
+  const [alignment, setAlignment] = useState(dynamicFlockPropsRef.alignment);
+  const [separation, setSeparation] = useState(dynamicFlockPropsRef.separation);
+  const [adaptation, setAdaptation] = useState(dynamicFlockPropsRef.adaptation);
+  const theme = useTheme();
+  const reducedMotion = useReducedMotion();
+  const { t, formatNumber } = useI18n();
+
+  // Agents and the learned danger map, stable across renders
+  const flockRef = useRef(null);
+  const dangerRef = useRef({ cols: 0, rows: 0, cells: new Float32Array(0) });
+
+  // Visitor input: position, speed of the last move and whether the pointer is held down (feeding)
+  const pointerRef = useRef({ x: 0, y: 0, speed: 0, active: false, down: false });
+
+  // Flock-wide alertness (0 = calm, 1 = panicked), raised by fast cursor movement
+  const alertnessRef = useRef(0);
+
+  // Builds a slider handler that updates both state (UI) and ref (animation)
+  const sliderHandler = (key, setter) => (e) => {
+    const value = parseFloat(e.target.value);
+    setter(value);
+    dynamicFlockPropsRef[key] = value;
+    trackSettled(`adaptive-flock:${key}`, 'slider_changed', { demo: 'adaptive-flock', control: key, value });
+  };
+
+  // --- 1. Pointer Input ---
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+
+    const pointer = pointerRef.current;
+    const handleMove = (e) => {
+      const rect = canvas.getBoundingClientRect();
+      const x = e.clientX - rect.left;
+      const y = e.clientY - rect.top;
+      pointer.speed = pointer.active ? Math.hypot(x - pointer.x, y - pointer.y) : 0;
+      pointer.x = x;
+      pointer.y = y;
+      pointer.active = true;
+    };
+    const handleDown = (e) => { handleMove(e); pointer.down = true; };
+    const handleUp = () => { pointer.down = false; };
+    const handleLeave = () => { pointer.active = false; pointer.down = false; };
+
+    canvas.addEventListener('pointermove', handleMove);
+    canvas.addEventListener('pointerdown', handleDown);
+    window.addEventListener('pointerup', handleUp);
+    canvas.addEventListener('pointerleave', handleLeave);
+
+    return () => {
+      canvas.removeEventListener('pointermove', handleMove);
+      canvas.removeEventListener('pointerdown', handleDown);
+      window.removeEventListener('pointerup', handleUp);
+      canvas.removeEventListener('pointerleave', handleLeave);
+    };
+  }, []);
+
+  // --- 2. Simulation + Rendering (engine handles sizing, DPR and pausing) ---
+  useCanvasScene(canvasRef, () => {
+    const size = { width: 0, height: 0 };
+
+    // Learned danger at a screen position (0 outside the map)
+    const dangerAt = (x, y) => {
+      const { cols, rows, cells } = dangerRef.current;
+      const c = Math.floor(x / DANGER_CELL);
+      const r = Math.floor(y / DANGER_CELL);
+      if (c < 0 || r < 0 || c >= cols || r >= rows) return 0;
+      return cells[r * cols + c];
+    };
+
+    // One simulation step; the flocking rules are tuned per 60fps frame
+    const step = () => {
+      const { width, height } = size;
+      const agents = flockRef.current;
+      const danger = dangerRef.current;
+      const pointer = pointerRef.current;
+      const { cohesion: wCoh, alignment: wAli, separation: wSep, adaptation } = dynamicFlockPropsRef;
+
+      // --- Learning: the flock remembers where the visitor has been and how agitated they were ---
+      if (pointer.active && !pointer.down) {
+        const c = Math.floor(pointer.x / DANGER_CELL);
+        const r = Math.floor(pointer.y / DANGER_CELL);
+        if (c >= 0 && r >= 0 && c < danger.cols && r < danger.rows) {
+          const idx = r * danger.cols + c;
+          danger.cells[idx] = Math.min(1, danger.cells[idx] + 0.02 * adaptation);
+        }
+        alertnessRef.current = Math.min(1, alertnessRef.current + pointer.speed * 0.002 * adaptation);
+      }
+      // Holding the pointer down offers food: the flock gradually learns to trust the visitor again
+      const forget = pointer.down ? 0.97 : 1 - 0.004 * adaptation;
+      for (let i = 0; i < danger.cells.length; i++) danger.cells[i] *= forget;
+      alertnessRef.current *= pointer.down ? 0.97 : 0.995;
+      pointer.speed *= 0.8;
+
+      const alertness = alertnessRef.current;
+      const maxSpeed = MAX_SPEED * (1 + alertness);
+      const fleeRadius = 80 + 160 * alertness;
+
+      for (let i = 0; i < agents.length; i++) {
+        const a = agents[i];
+
+        // --- Classic flocking rules (cohesion, alignment, separation) ---
+        let cx = 0, cy = 0, ax = 0, ay = 0, sx = 0, sy = 0, neighbors = 0;
+        for (let j = 0; j < agents.length; j++) {
+          if (i === j) continue;
+          const b = agents[j];
+          const dx = b.x - a.x;
+          const dy = b.y - a.y;
+          const d2 = dx * dx + dy * dy;
+          if (d2 > NEIGHBOR_RADIUS * NEIGHBOR_RADIUS) continue;
+          neighbors++;
+          cx += b.x; cy += b.y;
+          ax += b.vx; ay += b.vy;
+          if (d2 < SEPARATION_RADIUS * SEPARATION_RADIUS && d2 > 0) {
+            sx -= dx / d2;
+            sy -= dy / d2;
+          }
+        }
+
+        const steer = { x: 0, y: 0 };
+        if (neighbors > 0) {
+          // Alert flocks huddle tighter
+          const coh = limit({ x: cx / neighbors - a.x, y: cy / neighbors - a.y }, MAX_FORCE);
+          const ali = limit({ x: ax / neighbors - a.vx, y: ay / neighbors - a.vy }, MAX_FORCE);
+          const sep = limit({ x: sx * 100, y: sy * 100 }, MAX_FORCE);
+          steer.x += coh.x * wCoh * (1 + alertness) + ali.x * wAli + sep.x * wSep;
+          steer.y += coh.y * wCoh * (1 + alertness) + ali.y * wAli + sep.y * wSep;
+        }
+
+        // --- Visitor interaction: flee the cursor, or approach it while it offers food ---
+        if (pointer.active) {
+          const dx = pointer.x - a.x;
+          const dy = pointer.y - a.y;
+          const d = Math.sqrt(dx * dx + dy * dy) || 1;
+          if (pointer.down) {
+            steer.x += (dx / d) * MAX_FORCE * 1.5;
+            steer.y += (dy / d) * MAX_FORCE * 1.5;
+          } else if (d < fleeRadius) {
+            const strength = (1 - d / fleeRadius) * MAX_FORCE * 4;
+            steer.x -= (dx / d) * strength;
+            steer.y -= (dy / d) * strength;
+          }
+        }
+
+        // --- Learned avoidance: steer down the danger gradient ---
+        const gx = dangerAt(a.x + DANGER_CELL, a.y) - dangerAt(a.x - DANGER_CELL, a.y);
+        const gy = dangerAt(a.x, a.y + DANGER_CELL) - dangerAt(a.x, a.y - DANGER_CELL);
+        steer.x -= gx * MAX_FORCE * 2;
+        steer.y -= gy * MAX_FORCE * 2;
+
+        limit(steer, MAX_FORCE * 3);
+        const velocity = limit({ x: a.vx + steer.x, y: a.vy + steer.y }, maxSpeed);
+        a.vx = velocity.x;
+        a.vy = velocity.y;
+      }
+
+      // Integrate after all steering so every agent sees the same step
+      for (let i = 0; i < agents.length; i++) {
+        const a = agents[i];
+        a.x += a.vx;
+        a.y += a.vy;
+        // Wrap around the screen edges
+        if (a.x < 0) a.x += width; else if (a.x >= width) a.x -= width;
+        if (a.y < 0) a.y += height; else if (a.y >= height) a.y -= height;
+      }
+    };
+
+    return {
+      init({ width, height }) {
+        size.width = width;
+        size.height = height;
+
+        // The danger map covers the screen, so it is rebuilt (and forgotten) on resize
+        const cols = Math.ceil(width / DANGER_CELL);
+        const rows = Math.ceil(height / DANGER_CELL);
+        dangerRef.current = { cols, rows, cells: new Float32Array(cols * rows) };
+
+        // Initialize the flock only once
+        if (!flockRef.current) {
+          const random = createRandom(FLOCK_SEED);
+          const agents = [];
+          for (let i = 0; i < AGENT_COUNT; i++) {
+            const angle = random() * Math.PI * 2;
+            agents.push({
+              x: random() * width,
+              y: random() * height,
+              vx: Math.cos(angle) * MAX_SPEED,
+              vy: Math.sin(angle) * MAX_SPEED,
+            });
+          }
+          flockRef.current = agents;
+        }
+      },
+
+      // With reduced motion the flock holds still: the frame shows where it last was
+      update: reducedMotion ? undefined : createFixedStepper(step),
+
+      render(ctx, { width, height }) {
+        const agents = flockRef.current;
+        const danger = dangerRef.current;
+        const maxSpeed = MAX_SPEED * (1 + alertnessRef.current);
+
+        // Clear the canvas
+        ctx.fillStyle = theme.background;
+        ctx.fillRect(0, 0, width, height);
+
+        // Draw the learned danger map faintly so visitors can see what the flock remembers
+        ctx.fillStyle = theme.accent;
+        for (let r = 0; r < danger.rows; r++) {
+          for (let c = 0; c < danger.cols; c++) {
+            const value = danger.cells[r * danger.cols + c];
+            if (value < 0.02) continue;
+            ctx.globalAlpha = value * 0.25;
+            ctx.fillRect(c * DANGER_CELL, r * DANGER_CELL, DANGER_CELL, DANGER_CELL);
+          }
+        }
+
+        for (let i = 0; i < agents.length; i++) {
+          const a = agents[i];
+
+          // Color based on speed relative to the current limit
+          const speedFactor = Math.min(1, Math.sqrt(a.vx * a.vx + a.vy * a.vy) / maxSpeed);
+
+          ctx.beginPath();
+          ctx.fillStyle = theme.wave.css(speedFactor);
+          ctx.globalAlpha = 0.9;
+          ctx.arc(a.x, a.y, AGENT_RADIUS * (1 + speedFactor * 0.5), 0, Math.PI * 2);
+          ctx.fill();
+        }
+
+        ctx.globalAlpha = 1;
+      },
+    };
+  }, [theme, reducedMotion]);
+
+  const sliders = [
+    { key: 'cohesion', value: cohesion, setter: setCohesion, min: 0, max: 3, step: 0.05 },
+    { key: 'alignment', value: alignment, setter: setAlignment, min: 0, max: 3, step: 0.05 },
+    { key: 'separation', value: separation, setter: setSeparation, min: 0, max: 4, step: 0.05 },
+    { key: 'adaptation', value: adaptation, setter: setAdaptation, min: 0, max: 2, step: 0.05 },
+  ];
+
+  return (
+    <div className="w-screen h-screen bg-page text-ink relative flex flex-col overflow-hidden">
+
+      {/* Canvas Layer (Takes full screen) */}
+      <canvas
+        ref={canvasRef}
+        role="img"
+        aria-label={t('flock.canvas', { count: AGENT_COUNT })}
+        aria-describedby="adaptive-flock-description"
+        className="absolute inset-0 z-0"
+        style={{ cursor: "crosshair" }}
+      />
+      <p id="adaptive-flock-description" className="sr-only">
+        {t('flock.description', { motion: reducedMotion ? 'reduced' : 'full' })}
+      </p>
+
+      {/* UI Controls (Fixed at the bottom) */}
+      <div className="absolute bottom-0 left-0 right-0 z-10 p-4 sm:p-8 bg-shade/50 backdrop-blur-md border-t border-ink/10">
+        <div className="max-w-5xl mx-auto flex flex-col lg:flex-row gap-6 lg:gap-12 items-center">
+
+          <div className="flex-1 min-w-[200px]">
+            <h1 className="text-xl font-light text-ink/90">{t('flock.title')}</h1>
+            <p className="text-sm text-ink/60">{t('flock.subtitle')}</p>
+            <MotionToggle className="mt-3 text-sm" />
+          </div>
+
+          <div className="w-full lg:w-auto flex-[2] grid grid-cols-2 gap-4 sm:gap-6">
+            {sliders.map(s => (
+              <div key={s.key} className="flex flex-col items-start sm:items-end">
+                <label htmlFor={`flock-${s.key}`} className="text-sm font-mono text-ink/80 mb-1">{t('flock.readout', { label: t(`flock.param.${s.key}`), value: formatNumber(s.value, 2) })}</label>
+                <input
+                  id={`flock-${s.key}`}
+                  type="range"
+                  min={s.min}
+                  max={s.max}
+                  step={s.step}
+                  value={s.value}
+                  onChange={sliderHandler(s.key, s.setter)}
+                  className="w-full h-2 bg-ink/20 rounded-lg appearance-none cursor-pointer range-lg"
+                />
+              </div>
+            ))}
+          </div>
+
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AdaptiveFlock;
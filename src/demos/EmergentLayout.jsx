@@ -0,0 +1,265 @@
+import React, { useEffect, useRef, useState } from 'react';
+import useCanvasScene from '../engine/useCanvasScene.js';
+import { createFixedStepper } from '../engine/engine.js';
+import { useTheme } from '../theme.js';
+import { useReducedMotion } from '../reducedMotion.js';
+import { useI18n } from '../i18n/locale.js';
+import { trackSettled } from '../analytics/tracker.js';
+import MotionToggle from '../MotionToggle.jsx';
+
+// Configuration constants
+// Panel names; each is labelled with the message layout.panel.<name>
+const PANELS = ['Search', 'Inbox', 'Calendar', 'Files', 'Notes', 'Tasks', 'People', 'Insights', 'Settings'];
+const PANEL_GAP = 8; // Space between panels (pixels)
+const BASE_WEIGHT = 1; // Weight every panel keeps, so unused panels shrink but never vanish
+const CONTROLS_HEIGHT = 140; // Space reserved for the control bar at the bottom
+
+// Stable Ref for the layout parameters the animation loop reads every frame.
+const dynamicLayoutPropsRef = {
+  sensitivity: 1.0, // How fast lingering attention accumulates
+  memory: 0.6, // How long attention is remembered (0 = forget instantly, 1 = never forget)
+  fluidity: 0.08, // How quickly panels glide towards their new layout
+};
+
+// Squarified-ish treemap: recursively split the rect along its longer side,
+// balancing the summed weights on each side. Returns [{ index, x, y, w, h }].
+const layoutPanels = (items, x, y, w, h) => {
+  if (items.length === 0) return [];
+  if (items.length === 1) return [{ index: items[0].index, x, y, w, h }];
+
+  const total = items.reduce((sum, item) => sum + item.weight, 0);
+  // Take items from the front until the next one would pass the halfway weight (at least one)
+  let acc = items[0].weight;
+  let split = 1;
+  while (split < items.length - 1 && acc + items[split].weight <= total / 2) {
+    acc += items[split].weight;
+    split++;
+  }
+  const ratio = acc / total;
+
+  const first = items.slice(0, split);
+  const rest = items.slice(split);
+  if (w >= h) {
+    const w1 = w * ratio;
+    return [...layoutPanels(first, x, y, w1, h), ...layoutPanels(rest, x + w1, y, w - w1, h)];
+  }
+  const h1 = h * ratio;
+  return [...layoutPanels(first, x, y, w, h1), ...layoutPanels(rest, x, y + h1, w, h - h1)];
+};
+
+const EmergentLayout = () => {
+  const canvasRef = useRef(null);
+  // State is only used to update the UI labels next to the sliders
+  const [sensitivity, setSensitivity] = useState(dynamicLayoutPropsRef.sensitivity);
+  const [memory, setMemory] = useState(dynamicLayoutPropsRef.memory);
+  const [fluidity, setFluidity] = useState(dynamicLayoutPropsRef.fluidity);
+  const theme = useTheme();
+  const reducedMotion = useReducedMotion();
+  const { t, formatNumber } = useI18n();
+
+  // Panel state (attention + current animated rect), stable across renders
+  const panelsRef = useRef(PANELS.map((name, index) => ({
+    index,
+    label: name,
+    attention: 0,
+    rect: null,
+  })));
+
+  const pointerRef = useRef({ x: 0, y: 0, active: false });
+
+  // Panel labels in the visitor's language; the canvas picks them up on the next frame
+  useEffect(() => {
+    panelsRef.current.forEach((panel) => {
+      panel.label = t(`layout.panel.${PANELS[panel.index]}`);
+    });
+  }, [t]);
+
+  // Builds a slider handler that updates both state (UI) and ref (animation)
+  const sliderHandler = (key, setter) => (e) => {
+    const value = parseFloat(e.target.value);
+    setter(value);
+    dynamicLayoutPropsRef[key] = value;
+    trackSettled(`emergent-layout:${key}`, 'slider_changed', { demo: 'emergent-layout', control: key, value });
+  };
+
+  // --- 1. Pointer Input ---
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+
+    const pointer = pointerRef.current;
+    const handleMove = (e) => {
+      const rect = canvas.getBoundingClientRect();
+      pointer.x = e.clientX - rect.left;
+      pointer.y = e.clientY - rect.top;
+      pointer.active = true;
+    };
+    const handleLeave = () => { pointer.active = false; };
+
+    canvas.addEventListener('pointermove', handleMove);
+    canvas.addEventListener('pointerdown', handleMove);
+    canvas.addEventListener('pointerleave', handleLeave);
+
+    return () => {
+      canvas.removeEventListener('pointermove', handleMove);
+      canvas.removeEventListener('pointerdown', handleMove);
+      canvas.removeEventListener('pointerleave', handleLeave);
+    };
+  }, []);
+
+  // --- 2. Layout + Rendering (engine handles sizing, DPR and pausing) ---
+  useCanvasScene(canvasRef, () => {
+    const size = { width: 0, height: 0 };
+    let hovered = null;
+
+    // One layout step; attention and easing rates are tuned per 60fps frame.
+    // `fluid` is the share of the way each panel moves towards its target (1 = jump there).
+    const step = (fluid = dynamicLayoutPropsRef.fluidity) => {
+      const { width, height } = size;
+      const panels = panelsRef.current;
+      const pointer = pointerRef.current;
+      const { sensitivity: sens, memory: mem } = dynamicLayoutPropsRef;
+
+      // --- Attention: the panel under a lingering cursor gains weight, all others slowly forget ---
+      hovered = pointer.active
+        ? panels.find(p => p.rect && pointer.x >= p.rect.x && pointer.x <= p.rect.x + p.rect.w && pointer.y >= p.rect.y && pointer.y <= p.rect.y + p.rect.h)
+        : null;
+      const decay = 1 - (1 - mem) * 0.01;
+      panels.forEach(p => {
+        p.attention *= decay;
+        if (p === hovered) p.attention += 0.02 * sens;
+      });
+
+      // --- Layout: most-attended panels first, so they claim the top-left of the treemap ---
+      const area = { x: PANEL_GAP, y: PANEL_GAP, w: width - PANEL_GAP * 2, h: height - CONTROLS_HEIGHT - PANEL_GAP * 2 };
+      const ordered = [...panels]
+        .sort((a, b) => b.attention - a.attention || a.index - b.index)
+        .map(p => ({ index: p.index, weight: BASE_WEIGHT + p.attention }));
+      const targets = layoutPanels(ordered, area.x, area.y, area.w, Math.max(area.h, 0));
+
+      targets.forEach(target => {
+        const p = panels[target.index];
+        // Ease the current rect towards the target so the layout reorganises smoothly
+        if (!p.rect) p.rect = { ...target };
+        p.rect.x += (target.x - p.rect.x) * fluid;
+        p.rect.y += (target.y - p.rect.y) * fluid;
+        p.rect.w += (target.w - p.rect.w) * fluid;
+        p.rect.h += (target.h - p.rect.h) * fluid;
+      });
+    };
+
+    return {
+      init({ width, height }) {
+        size.width = width;
+        size.height = height;
+        // With reduced motion nothing animates: lay the panels out once, fitted to the screen
+        if (reducedMotion) step(1);
+      },
+
+      update: reducedMotion ? undefined : createFixedStepper(() => step()),
+
+      render(ctx, { width, height }) {
+        const panels = panelsRef.current;
+
+        // Clear the canvas
+        ctx.fillStyle = theme.background;
+        ctx.fillRect(0, 0, width, height);
+
+        const maxAttention = Math.max(...panels.map(p => p.attention), 0.001);
+
+        panels.forEach(p => {
+          if (!p.rect) return;
+          const { x, y, w, h } = p.rect;
+          const heat = p.attention / maxAttention; // Normalize from 0 to 1
+          const innerW = Math.max(w - PANEL_GAP, 0);
+          const innerH = Math.max(h - PANEL_GAP, 0);
+
+          // Panel body
+          ctx.globalAlpha = 0.25 + heat * 0.35;
+          ctx.fillStyle = theme.wave.css(heat * 0.5);
+          ctx.beginPath();
+          ctx.roundRect(x, y, innerW, innerH, 8);
+          ctx.fill();
+
+          // Border (brighter on the hovered panel)
+          ctx.globalAlpha = p === hovered ? 0.6 : 0.15;
+          ctx.strokeStyle = theme.ink;
+          ctx.lineWidth = 1;
+          ctx.stroke();
+
+          // Label scales with the panel it sits in
+          const fontSize = Math.max(10, Math.min(innerW / 8, innerH / 4, 42));
+          ctx.globalAlpha = 0.9;
+          ctx.fillStyle = theme.ink;
+          ctx.font = `300 ${fontSize}px sans-serif`;
+          ctx.textBaseline = 'top';
+          ctx.fillText(p.label, x + 16, y + 16);
+
+          // Attention meter along the bottom edge
+          ctx.globalAlpha = 0.7;
+          ctx.fillStyle = theme.wave.css(heat);
+          ctx.fillRect(x + 16, y + innerH - 12, Math.max(innerW - 32, 0) * heat, 2);
+        });
+
+        ctx.globalAlpha = 1;
+      },
+    };
+  }, [theme, reducedMotion]);
+
+  const sliders = [
+    { key: 'sensitivity', value: sensitivity, setter: setSensitivity, min: 0.1, max: 3, step: 0.05 },
+    { key: 'memory', value: memory, setter: setMemory, min: 0, max: 1, step: 0.01 },
+    { key: 'fluidity', value: fluidity, setter: setFluidity, min: 0.01, max: 0.3, step: 0.01 },
+  ];
+
+  return (
+    <div className="w-screen h-screen bg-page text-ink relative flex flex-col overflow-hidden">
+
+      {/* Canvas Layer (Takes full screen) */}
+      <canvas
+        ref={canvasRef}
+        role="img"
+        aria-label={t('layout.canvas', { count: PANELS.length })}
+        aria-describedby="emergent-layout-description"
+        className="absolute inset-0 z-0"
+      />
+      <p id="emergent-layout-description" className="sr-only">
+        {t('layout.description', {
+          panels: PANELS.map(name => t(`layout.panel.${name}`)).join(', '),
+          motion: reducedMotion ? 'reduced' : 'full',
+        })}
+      </p>
+
+      {/* UI Controls (Fixed at the bottom) */}
+      <div className="absolute bottom-0 left-0 right-0 z-10 p-4 sm:p-8 bg-shade/50 backdrop-blur-md border-t border-ink/10">
+        <div className="max-w-5xl mx-auto flex flex-col sm:flex-row gap-6 sm:gap-12 items-center">
+
+          <div className="flex-1 min-w-[200px]">
+            <h1 className="text-xl font-light text-ink/90">{t('layout.title')}</h1>
+            <p className="text-sm text-ink/60">{t('layout.subtitle')}</p>
+            <MotionToggle className="mt-3 text-sm" />
+          </div>
+
+          {sliders.map(s => (
+            <div key={s.key} className="w-full sm:w-auto flex-1 flex flex-col items-start sm:items-end">
+              <label htmlFor={`layout-${s.key}`} className="text-sm font-mono text-ink/80 mb-1">{t('layout.readout', { label: t(`layout.param.${s.key}`), value: formatNumber(s.value, 2) })}</label>
+              <input
+                id={`layout-${s.key}`}
+                type="range"
+                min={s.min}
+                max={s.max}
+                step={s.step}
+                value={s.value}
+                onChange={sliderHandler(s.key, s.setter)}
+                className="w-full h-2 bg-ink/20 rounded-lg appearance-none cursor-pointer range-lg"
+              />
+            </div>
+          ))}
+
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default EmergentLayout;
@@ -0,0 +1,768 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { queryFromHash, replaceQuery } from '../router.js';
+import {
+  WAVE_PARAM_SPECS,
+  DEFAULT_WAVE_PARAMS,
+  WAVE_PRESETS,
+  encodeWaveParams,
+  decodeWaveParams,
+  encodeWaveView,
+  decodeWaveView,
+  hasWaveParams,
+  matchPreset,
+} from './waveParams.js';
+import {
+  GRID_SIZE,
+  GRID_SIZES,
+  CAMERA_LIMITS,
+  DEFAULT_CAMERA,
+  createWaveGrid,
+  createWaveFieldScene,
+  createModulation,
+  renderWaveField,
+  loopWaveParams,
+  waveGridCellAt,
+  REDUCED_TIME_SCALE,
+} from '../scenes/waveField.js';
+import {
+  BOUNDARIES,
+  DEFAULT_SIM_SETTINGS,
+  MAX_WAVE_SPEED,
+  createWaveSim,
+  exciteWaveSim,
+  resetWaveSim,
+} from '../scenes/waveSim.js';
+import {
+  AUDIO_BANDS,
+  AUDIO_DEPTH_SPECS,
+  DEFAULT_AUDIO_MAPPING,
+  createAudioInput,
+  createAudioModulator,
+  resetModulation,
+  supportsAudioInput,
+} from './audioReactive.js';
+import useCanvasScene from '../engine/useCanvasScene.js';
+import ExportPanel from '../ExportPanel.jsx';
+import RenderStats, { defaultBackend } from '../RenderStats.jsx';
+import MotionToggle from '../MotionToggle.jsx';
+import ThemePicker from '../ThemePicker.jsx';
+import LanguagePicker from '../LanguagePicker.jsx';
+import { useReducedMotion } from '../reducedMotion.js';
+import { useTheme } from '../theme.js';
+import { qualityGovernor, scaleGridSize, useQuality } from '../quality.js';
+import { trackSettled } from '../analytics/tracker.js';
+import { useI18n } from '../i18n/locale.js';
+
+// Configuration constants
+const URL_SYNC_DELAY = 250; // Debounce (ms) before slider changes are written to the URL
+const LEVEL_METER_INTERVAL = 100; // How often (ms) the audio band meters refresh
+
+// Stable Ref for point cloud data and parameters that should not be recalculated on every scroll update.
+// This ref holds the dynamic values the animation loop needs. It lives outside the component,
+// so the field keeps its configuration (and time origin) when the demo is closed and reopened.
+const dynamicWavePropsRef = { ...DEFAULT_WAVE_PARAMS };
+
+// Analytic (three closed-form terms) or simulated (wave equation) field, and the simulation
+// settings; read live by the scene
+const dynamicSimPropsRef = { mode: 'analytic', ...DEFAULT_SIM_SETTINGS };
+
+// Ripples injected by the pointer (grid cells / height units)
+const CLICK_RIPPLE = { radius: 2.5, strength: 1.5 };
+const DRAG_RIPPLE = { radius: 1.5, strength: 0.4 };
+
+// Slider ranges for the simulation settings, labelled by the messages wave.sim.<key>
+const SIM_SPECS = {
+  speed: { min: 0.05, max: MAX_WAVE_SPEED, step: 0.01, digits: 2 },
+  damping: { min: 0, max: 0.05, step: 0.001, digits: 3 },
+};
+
+// Orbit camera (see DEFAULT_CAMERA in scenes/waveField.js); read live by the scene
+const dynamicCameraRef = { ...DEFAULT_CAMERA };
+
+// Radians of yaw / tilt per pixel dragged, and zoom factor per wheel pixel
+const ORBIT_SPEED = 0.005;
+const WHEEL_ZOOM = 0.001;
+
+// Slider ranges for the camera, labelled by the messages wave.camera.<key>
+const CAMERA_SPECS = {
+  tilt: { ...CAMERA_LIMITS.tilt, step: 0.01, digits: 2 },
+  yaw: { min: -Math.PI, max: Math.PI, step: 0.01, digits: 2 },
+  zoom: { ...CAMERA_LIMITS.zoom, step: 0.05, digits: 2 },
+  perspective: { ...CAMERA_LIMITS.perspective, step: 50, digits: 0 },
+};
+
+const clampCamera = (key, value) => {
+  if (key === 'yaw') return Math.atan2(Math.sin(value), Math.cos(value)); // wrapped to -π..π
+  const limits = CAMERA_LIMITS[key];
+  return limits ? Math.min(Math.max(value, limits.min), limits.max) : value;
+};
+
+// Band-to-term mapping for the audio-reactive mode; kept across visits like the parameters
+const dynamicAudioMappingRef = {
+  terms: DEFAULT_AUDIO_MAPPING.terms.map(term => ({ ...term })),
+  smoothing: DEFAULT_AUDIO_MAPPING.smoothing,
+};
+
+// The three wave terms, grouped for the advanced controls
+const WAVE_TERMS = [
+  ['scale1', 'speed1', 'phase1'],
+  ['scale2', 'speed2', 'phase2'],
+  ['scale3', 'speed3', 'phase3'],
+];
+
+// Analytics: the value a slider settles on (see analytics/tracker.js)
+const trackSlider = (control, value) => trackSettled(`wave-field:${control}`, 'slider_changed', { demo: 'wave-field', control, value });
+
+const audioSliderClass = 'w-full h-2 bg-ink/20 rounded-lg appearance-none cursor-pointer focus:outline-none focus-visible:ring-2 focus-visible:ring-accent';
+
+// Audio-reactive controls: source buttons, band meters and the band -> term mapping
+// `source`: { microphone: true } or { file: name } while listening; `error`: a message key
+const AudioPanel = ({ source, error, levels, mapping, onMicrophone, onFile, onStop, onMappingChange }) => {
+  const fileInputRef = useRef(null);
+  const { t, formatNumber } = useI18n();
+
+  const updateTerm = (i, key, value) => onMappingChange({
+    ...mapping,
+    terms: mapping.terms.map((term, j) => (j === i ? { ...term, [key]: value } : term)),
+  });
+
+  const renderDepth = (id, key, value, onChange) => {
+    const spec = AUDIO_DEPTH_SPECS[key];
+    return (
+      <div className="flex flex-col gap-1">
+        <label htmlFor={id} className="text-xs font-mono text-ink/60">{t('wave.readout', { label: t(`wave.audio.${key}`), value: formatNumber(value, 2) })}</label>
+        <input
+          id={id}
+          type="range"
+          min={spec.min}
+          max={spec.max}
+          step={spec.step}
+          value={value}
+          onChange={e => onChange(parseFloat(e.target.value))}
+          className={audioSliderClass}
+        />
+      </div>
+    );
+  };
+
+  return (
+    <div className="max-w-4xl mx-auto mb-6 space-y-4 text-sm font-mono">
+      <div className="flex flex-wrap items-center gap-2">
+        <button
+          onClick={onMicrophone}
+          className="px-3 py-1 bg-ink/10 text-ink/90 border border-ink/30 rounded-lg hover:bg-ink/20 transition-all"
+        >
+          {t('wave.audio.microphone')}
+        </button>
+        <button
+          onClick={() => fileInputRef.current.click()}
+          className="px-3 py-1 bg-ink/10 text-ink/90 border border-ink/30 rounded-lg hover:bg-ink/20 transition-all"
+        >
+          {t('wave.audio.file')}
+        </button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept="audio/*"
+          className="hidden"
+          onChange={(e) => { if (e.target.files[0]) onFile(e.target.files[0]); e.target.value = ''; }}
+        />
+        {source && (
+          <button
+            onClick={onStop}
+            className="px-3 py-1 bg-ink/10 text-ink/90 border border-ink/30 rounded-lg hover:bg-ink/20 transition-all"
+          >
+            {t('wave.audio.stop')}
+          </button>
+        )}
+        <span role="status" className="text-ink/60">
+          {error ? t(error) : source
+            ? t('wave.audio.listening', { source: source.microphone ? t('wave.audio.microphone') : source.file })
+            : t('wave.audio.hint')}
+        </span>
+      </div>
+
+      {/* Smoothed band levels */}
+      <div className="grid grid-cols-3 gap-4" aria-hidden="true">
+        {Object.keys(AUDIO_BANDS).map(name => (
+          <div key={name} className="flex items-center gap-2">
+            <span className="w-12 text-xs text-ink/60">{t(`wave.audio.band.${name}`)}</span>
+            <div className="flex-1 h-1 bg-ink/10 rounded">
+              <div className="h-1 bg-accent rounded" style={{ width: `${Math.round(levels[name] * 100)}%` }} />
+            </div>
+          </div>
+        ))}
+      </div>
+
+      <div className="grid grid-cols-1 sm:grid-cols-4 gap-4">
+        {mapping.terms.map((term, i) => (
+          <div key={i} className="flex flex-col gap-2">
+            <label className="flex items-center justify-between gap-2 text-xs text-ink/80">
+              {t('wave.audio.term', { term: i })}
+              <select
+                value={term.band}
+                onChange={e => updateTerm(i, 'band', e.target.value)}
+                className="px-2 py-0.5 bg-ink/10 text-ink/90 border border-ink/30 rounded"
+              >
+                {Object.keys(AUDIO_BANDS).map(name => <option key={name} value={name}>{t(`wave.audio.band.${name}`)}</option>)}
+              </select>
+            </label>
+            {renderDepth(`audio-amplitude-${i}`, 'amplitude', term.amplitude, value => updateTerm(i, 'amplitude', value))}
+            {renderDepth(`audio-speed-${i}`, 'speed', term.speed, value => updateTerm(i, 'speed', value))}
+          </div>
+        ))}
+        {renderDepth('audio-smoothing', 'smoothing', mapping.smoothing, value => onMappingChange({ ...mapping, smoothing: value }))}
+      </div>
+    </div>
+  );
+};
+
+const ComputationalWaveField = () => {
+  const canvasRef = useRef(null);
+  // State mirrors the ref for the UI labels. A shared link (#/work/...?f=..&s=..) wins over
+  // the values from the last visit.
+  const [params, setParams] = useState(() => {
+    const query = queryFromHash(window.location.hash);
+    return hasWaveParams(query) ? decodeWaveParams(query, dynamicWavePropsRef) : { ...dynamicWavePropsRef };
+  });
+  const [showTerms, setShowTerms] = useState(false);
+  const [copyStatus, setCopyStatus] = useState(null); // null | 'copied' | 'failed'
+  const [showExport, setShowExport] = useState(false);
+  const [backend, setBackend] = useState(defaultBackend);
+  const [gridDensity, setGridDensity] = useState(GRID_SIZE); // chosen in the stats overlay
+  // Renderer comparison overlay, opened via ?stats on the demo URL (as on the home page)
+  const [showStats] = useState(() => 'stats' in queryFromHash(window.location.hash));
+  const [fps, setFps] = useState(null);
+  const reducedMotion = useReducedMotion();
+  const theme = useTheme();
+  const { t, formatNumber } = useI18n();
+  const { tier } = useQuality();
+  // Grid actually drawn: the chosen density scaled by the adaptive quality tier
+  const gridSize = scaleGridSize(gridDensity, tier);
+  const [showAudio, setShowAudio] = useState(false);
+  const [audioSource, setAudioSource] = useState(null); // active input (see AudioPanel), or null
+  const [audioError, setAudioError] = useState(null); // message key
+  const [audioMapping, setAudioMapping] = useState(() => dynamicAudioMappingRef);
+  const [audioLevels, setAudioLevels] = useState(() => Object.fromEntries(Object.keys(AUDIO_BANDS).map(name => [name, 0])));
+
+  // A shared link's camera and mode win over the last visit's as well. Written to the refs
+  // here, so the camera state below and the scene start from them.
+  const [simSettings, setSimSettings] = useState(() => {
+    const view = decodeWaveView(queryFromHash(window.location.hash), { camera: dynamicCameraRef, mode: dynamicSimPropsRef.mode });
+    Object.assign(dynamicCameraRef, view.camera);
+    dynamicSimPropsRef.mode = view.mode;
+    return { ...dynamicSimPropsRef };
+  });
+  // Simulation buffers, rebuilt (flat) when the grid density changes
+  const sim = useMemo(() => createWaveSim(gridSize), [gridSize]);
+  const simulated = simSettings.mode === 'simulated';
+  const [camera, setCamera] = useState(() => ({ ...dynamicCameraRef }));
+  const [showCamera, setShowCamera] = useState(false);
+
+  // Audio modulation of the wave terms, read by the renderers every frame
+  const modulationRef = useRef(null);
+  if (!modulationRef.current) modulationRef.current = createModulation();
+  // { input, modulator } while an audio source is active
+  const audioRef = useRef(null);
+  // Counts audio starts and stops, so an input that finishes connecting late can tell it is stale
+  const audioRequestRef = useRef(0);
+
+  // Store the grid state stably across renders (rebuilt only when the density changes)
+  const grid = useMemo(() => createWaveGrid(gridSize), [gridSize]);
+
+  // Ref for continuous time (t, in reference frames) in the animation loop, starting from the seeded time origin
+  const tRef = useRef(params.seed);
+
+  // Updates both state (UI) and ref (animation) for a single parameter
+  const updateParam = (key, value) => {
+    setParams(prev => ({ ...prev, [key]: value }));
+    dynamicWavePropsRef[key] = value;
+  };
+
+  const applyPreset = (name) => {
+    const preset = WAVE_PRESETS[name];
+    if (!preset) return;
+    const terms = {};
+    Object.keys(WAVE_PARAM_SPECS).forEach(key => { terms[key] = preset[key]; });
+    setParams(prev => ({ ...prev, ...terms }));
+    Object.assign(dynamicWavePropsRef, terms);
+  };
+
+  // Current parameters and view, with the live frame counter as the time origin, plus the
+  // overlay flag so mirroring them into the URL keeps it open
+  const snapshotQuery = () => ({
+    ...encodeWaveParams({ ...dynamicWavePropsRef, seed: tRef.current }),
+    ...encodeWaveView({ camera: dynamicCameraRef, mode: dynamicSimPropsRef.mode }),
+    ...(showStats ? { stats: '' } : {}),
+  });
+
+  const handleCopyLink = async () => {
+    replaceQuery(snapshotQuery());
+    try {
+      await navigator.clipboard.writeText(window.location.href);
+      setCopyStatus('copied');
+    } catch {
+      setCopyStatus('failed');
+    }
+  };
+
+  // Clear the copy feedback after a moment
+  useEffect(() => {
+    if (!copyStatus) return;
+    const timer = setTimeout(() => setCopyStatus(null), 2000);
+    return () => clearTimeout(timer);
+  }, [copyStatus]);
+
+  // --- 0. URL Sync: mirror the parameters into the URL so the address bar is always shareable ---
+  useEffect(() => {
+    Object.assign(dynamicWavePropsRef, params);
+    const timer = setTimeout(() => replaceQuery(snapshotQuery()), URL_SYNC_DELAY);
+    return () => clearTimeout(timer);
+  }, [params, camera, simSettings.mode]);
+
+  // --- Audio: start / stop an input (called from clicks and drops, so the AudioContext may start) ---
+  const stopAudio = () => {
+    audioRequestRef.current++; // an input still connecting is stale now (see startAudio)
+    if (audioRef.current) audioRef.current.input.destroy();
+    audioRef.current = null;
+    resetModulation(modulationRef.current);
+    setAudioSource(null);
+  };
+
+  const startAudio = async (source, connect) => {
+    stopAudio();
+    setAudioError(null);
+    const request = audioRequestRef.current;
+    const input = createAudioInput();
+    try {
+      await connect(input);
+    } catch (err) {
+      input.destroy();
+      if (request === audioRequestRef.current) {
+        setAudioError(err && err.name === 'NotAllowedError' ? 'wave.audio.denied' : 'wave.audio.failed');
+      }
+      return;
+    }
+    // Stopped, replaced or unmounted while the permission prompt or the file was pending:
+    // release this input rather than leave its context (and the microphone) running
+    if (request !== audioRequestRef.current) {
+      input.destroy();
+      return;
+    }
+    audioRef.current = {
+      input,
+      modulator: createAudioModulator({ input, mapping: dynamicAudioMappingRef, modulation: modulationRef.current }),
+    };
+    setAudioSource(source);
+  };
+
+  const handleMicrophone = () => startAudio({ microphone: true }, input => input.useMicrophone());
+  const handleAudioFile = file => startAudio({ file: file.name }, input => input.useFile(file));
+
+  const updateAudioMapping = (mapping) => {
+    setAudioMapping(mapping);
+    Object.assign(dynamicAudioMappingRef, mapping);
+  };
+
+  // Dropping an audio file anywhere on the demo starts the audio-reactive mode
+  const handleDragOver = (e) => {
+    if (supportsAudioInput() && [...e.dataTransfer.types].includes('Files')) e.preventDefault();
+  };
+  const handleDrop = (e) => {
+    // Always: dragover accepted the drop, and the browser would otherwise open the file itself
+    e.preventDefault();
+    const file = [...e.dataTransfer.files].find(f => f.type.startsWith('audio/'));
+    if (!file) return;
+    setShowAudio(true);
+    handleAudioFile(file);
+  };
+
+  // Release the microphone / stop playback when the demo closes
+  useEffect(() => () => {
+    audioRequestRef.current++;
+    if (audioRef.current) audioRef.current.input.destroy();
+    audioRef.current = null;
+  }, []);
+
+  // Refresh the band meters while audio is running
+  useEffect(() => {
+    if (!audioSource || !showAudio) return;
+    const timer = setInterval(() => {
+      if (audioRef.current) setAudioLevels({ ...audioRef.current.modulator.levels });
+    }, LEVEL_METER_INTERVAL);
+    return () => clearInterval(timer);
+  }, [audioSource, showAudio]);
+
+  const updateSim = (key, value) => {
+    setSimSettings(prev => ({ ...prev, [key]: value }));
+    dynamicSimPropsRef[key] = value;
+  };
+
+  // Updates both state (UI) and ref (animation) for camera settings
+  const updateCamera = (changes) => {
+    Object.entries(changes).forEach(([key, value]) => { dynamicCameraRef[key] = clampCamera(key, value); });
+    setCamera({ ...dynamicCameraRef });
+  };
+
+  // --- Pointer: drag to orbit, wheel to zoom. In the simulated mode a plain drag sends out
+  // ripples instead, and orbiting moves to shift-drag or the right button. ---
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+    let drag = null; // { mode: 'orbit' | 'excite', x, y } while a pointer is down
+
+    const excite = (e, ripple) => {
+      const rect = canvas.getBoundingClientRect();
+      const cell = waveGridCellAt(rect.width, rect.height, gridSize, e.clientX - rect.left, e.clientY - rect.top, dynamicCameraRef);
+      if (cell) exciteWaveSim(sim, cell.x, cell.y, ripple);
+    };
+    const handleDown = (e) => {
+      if (e.button !== 0 && e.button !== 2) return;
+      drag = { mode: simulated && e.button === 0 && !e.shiftKey ? 'excite' : 'orbit', x: e.clientX, y: e.clientY };
+      canvas.setPointerCapture(e.pointerId);
+      if (drag.mode === 'excite') excite(e, CLICK_RIPPLE);
+    };
+    const handleMove = (e) => {
+      if (!drag) return;
+      if (drag.mode === 'excite') {
+        excite(e, DRAG_RIPPLE);
+        return;
+      }
+      // Written straight to the ref; the sliders catch up when the drag ends
+      dynamicCameraRef.yaw = clampCamera('yaw', dynamicCameraRef.yaw - (e.clientX - drag.x) * ORBIT_SPEED);
+      dynamicCameraRef.tilt = clampCamera('tilt', dynamicCameraRef.tilt + (e.clientY - drag.y) * ORBIT_SPEED);
+      drag.x = e.clientX;
+      drag.y = e.clientY;
+    };
+    const handleUp = () => {
+      if (drag && drag.mode === 'orbit') setCamera({ ...dynamicCameraRef });
+      drag = null;
+    };
+    const handleWheel = (e) => {
+      e.preventDefault();
+      updateCamera({ zoom: dynamicCameraRef.zoom * Math.exp(-e.deltaY * WHEEL_ZOOM) });
+    };
+    // Right-drag orbits, so keep the context menu out of the way
+    const handleContextMenu = (e) => e.preventDefault();
+
+    canvas.addEventListener('pointerdown', handleDown);
+    canvas.addEventListener('pointermove', handleMove);
+    canvas.addEventListener('pointerup', handleUp);
+    canvas.addEventListener('pointercancel', handleUp);
+    canvas.addEventListener('wheel', handleWheel, { passive: false });
+    canvas.addEventListener('contextmenu', handleContextMenu);
+    return () => {
+      canvas.removeEventListener('pointerdown', handleDown);
+      canvas.removeEventListener('pointermove', handleMove);
+      canvas.removeEventListener('pointerup', handleUp);
+      canvas.removeEventListener('pointercancel', handleUp);
+      canvas.removeEventListener('wheel', handleWheel);
+      canvas.removeEventListener('contextmenu', handleContextMenu);
+    };
+  }, [simulated, sim, gridSize, backend]); // The canvas is replaced when the backend changes
+
+  // --- 1. Animation: the engine handles sizing, DPR and pausing ---
+  useCanvasScene(canvasRef, () => createWaveFieldScene({
+    params: dynamicWavePropsRef,
+    clock: tRef,
+    grid,
+    gridSize,
+    timeScale: reducedMotion ? REDUCED_TIME_SCALE : 1,
+    theme,
+    modulation: modulationRef.current,
+    simulation: simulated ? { sim, settings: dynamicSimPropsRef } : null,
+    camera: dynamicCameraRef,
+    terms: tier.waveTerms,
+    blending: tier.blending,
+    onUpdate: (steps) => { if (audioRef.current) audioRef.current.modulator.update(steps); },
+    // Remember where time stopped for the next visit
+    onDestroy: () => { dynamicWavePropsRef.seed = Math.round(tRef.current); },
+  }), [grid, reducedMotion, theme, simulated, sim, tier], {
+    backend,
+    quality: qualityGovernor,
+    // Only while the overlay shows it: each reading re-renders the whole demo
+    onStats: showStats ? stats => setFps(stats.fps) : undefined,
+    onFallback: () => setBackend('2d'),
+  });
+
+  const renderSlider = (key) => {
+    const spec = WAVE_PARAM_SPECS[key];
+    return (
+      <div key={key} className="w-full sm:w-auto flex-1 flex flex-col items-start sm:items-end">
+        <label htmlFor={`wave-${key}`} className="text-sm font-mono text-ink/80 mb-1">
+          {t('wave.readout', { label: t(`wave.param.${key}`), value: formatNumber(params[key], spec.digits) })}
+        </label>
+        {/* Native range input: arrow keys step, Page Up/Down and Home/End jump */}
+        <input
+          id={`wave-${key}`}
+          type="range"
+          min={spec.min}
+          max={spec.max}
+          step={spec.step}
+          value={params[key]}
+          aria-valuetext={formatNumber(params[key], spec.digits)}
+          onChange={(e) => {
+            const value = parseFloat(e.target.value);
+            updateParam(key, value);
+            trackSlider(key, value);
+          }}
+          className="w-full h-2 bg-ink/20 rounded-lg appearance-none cursor-pointer range-lg focus:outline-none focus-visible:ring-2 focus-visible:ring-accent"
+        />
+      </div>
+    );
+  };
+
+  const activePreset = matchPreset(params);
+
+  // Export callbacks (see exporter.js): the live frame, and a loop with speeds rounded to whole cycles
+  // (loops always use the analytic field; a simulation never repeats exactly)
+  const renderExportFrame = (ctx, width, height) => renderWaveField(ctx, {
+    width, height, t: tRef.current, params: dynamicWavePropsRef, grid, gridSize, theme,
+    modulation: modulationRef.current, heights: simulated ? sim.current : null, camera: dynamicCameraRef,
+  });
+  const renderExportLoopFrame = (ctx, width, height, frame, frameCount) => renderWaveField(ctx, {
+    width, height, t: frame, params: loopWaveParams(dynamicWavePropsRef, frameCount), grid, gridSize, theme,
+    camera: dynamicCameraRef,
+  });
+
+  return (
+    <div
+      className="w-screen h-screen bg-page text-ink relative flex flex-col overflow-hidden"
+      onDragOver={handleDragOver}
+      onDrop={handleDrop}
+    >
+      
+      {/* Canvas Layer (Takes full screen) */}
+      {/* Keyed by backend: a canvas cannot switch between 2D and WebGL contexts */}
+      <canvas
+        key={backend}
+        ref={canvasRef}
+        role="img"
+        aria-label={simulated
+          ? t('wave.canvas.simulated', { count: gridSize * gridSize })
+          : t('wave.canvas.analytic', { count: gridSize * gridSize, preset: activePreset ? t(`wave.preset.${activePreset}`) : 'none' })}
+        aria-describedby="wave-field-description"
+        className="absolute inset-0 z-0"
+        style={{ cursor: simulated ? 'crosshair' : 'grab', touchAction: 'none' }}
+      />
+      <p id="wave-field-description" className="sr-only">
+        {t('wave.description', {
+          frequency: formatNumber(params.frequency, WAVE_PARAM_SPECS.frequency.digits),
+          amplitude: formatNumber(params.amplitude, WAVE_PARAM_SPECS.amplitude.digits),
+          theme: t(`theme.${theme.name}`),
+          motion: reducedMotion ? 'reduced' : 'full',
+        })}
+      </p>
+
+      {showStats && (
+        <RenderStats
+          fps={fps}
+          backend={backend}
+          onBackendChange={setBackend}
+          counts={GRID_SIZES.map(n => n * n)}
+          count={gridDensity * gridDensity}
+          onCountChange={n => setGridDensity(Math.round(Math.sqrt(n)))}
+          drawn={gridSize * gridSize}
+        />
+      )}
+
+      {showExport && (
+        <ExportPanel
+          filename="wave-field"
+          renderFrame={renderExportFrame}
+          renderLoopFrame={renderExportLoopFrame}
+          onClose={() => setShowExport(false)}
+        />
+      )}
+      
+      {/* UI Controls (Fixed at the bottom) */}
+      <div className="absolute bottom-0 left-0 right-0 z-10 p-4 sm:p-8 bg-shade/50 backdrop-blur-md border-t border-ink/10">
+
+        {/* Audio-reactive mode */}
+        {showAudio && (
+          <AudioPanel
+            source={audioSource}
+            error={audioError}
+            levels={audioLevels}
+            mapping={audioMapping}
+            onMicrophone={handleMicrophone}
+            onFile={handleAudioFile}
+            onStop={stopAudio}
+            onMappingChange={updateAudioMapping}
+          />
+        )}
+
+        {/* Simulated mode settings */}
+        {simulated && (
+          <div className="max-w-4xl mx-auto mb-6 grid grid-cols-1 sm:grid-cols-4 gap-4 sm:gap-6 items-end text-sm font-mono">
+            {Object.entries(SIM_SPECS).map(([key, spec]) => (
+              <div key={key} className="flex flex-col gap-1">
+                <label htmlFor={`sim-${key}`} className="text-ink/80">
+                  {t('wave.readout', { label: t(`wave.sim.${key}`), value: formatNumber(simSettings[key], spec.digits) })}
+                </label>
+                <input
+                  id={`sim-${key}`}
+                  type="range"
+                  min={spec.min}
+                  max={spec.max}
+                  step={spec.step}
+                  value={simSettings[key]}
+                  onChange={(e) => {
+                    const value = parseFloat(e.target.value);
+                    updateSim(key, value);
+                    trackSlider(key, value);
+                  }}
+                  className="w-full h-2 bg-ink/20 rounded-lg appearance-none cursor-pointer focus:outline-none focus-visible:ring-2 focus-visible:ring-accent"
+                />
+              </div>
+            ))}
+            <label className="flex flex-col gap-1 text-ink/80">
+              {t('wave.sim.boundary')}
+              <select
+                value={simSettings.boundary}
+                onChange={e => updateSim('boundary', e.target.value)}
+                className="px-3 py-1 bg-ink/10 text-ink/90 border border-ink/30 rounded-lg"
+              >
+                {BOUNDARIES.map(boundary => <option key={boundary} value={boundary}>{t(`wave.boundary.${boundary}`)}</option>)}
+              </select>
+            </label>
+            <button
+              onClick={() => resetWaveSim(sim)}
+              className="px-3 py-1 bg-ink/10 text-ink/90 border border-ink/30 rounded-lg hover:bg-ink/20 transition-all"
+            >
+              {t('wave.sim.calm')}
+            </button>
+          </div>
+        )}
+
+        {/* Camera */}
+        {showCamera && (
+          <div className="max-w-4xl mx-auto mb-6 grid grid-cols-1 sm:grid-cols-6 gap-4 sm:gap-6 items-end text-sm font-mono">
+            {Object.entries(CAMERA_SPECS).map(([key, spec]) => (
+              <div key={key} className="flex flex-col gap-1">
+                <label htmlFor={`camera-${key}`} className="text-ink/80">
+                  {t('wave.readout', { label: t(`wave.camera.${key}`), value: formatNumber(camera[key], spec.digits) })}
+                </label>
+                <input
+                  id={`camera-${key}`}
+                  type="range"
+                  min={spec.min}
+                  max={spec.max}
+                  step={spec.step}
+                  value={camera[key]}
+                  onChange={(e) => {
+                    const value = parseFloat(e.target.value);
+                    updateCamera({ [key]: value });
+                    trackSlider(`camera.${key}`, value);
+                  }}
+                  className="w-full h-2 bg-ink/20 rounded-lg appearance-none cursor-pointer focus:outline-none focus-visible:ring-2 focus-visible:ring-accent"
+                />
+              </div>
+            ))}
+            <label className="flex items-center gap-2 text-ink/80">
+              <input
+                type="checkbox"
+                checked={camera.wireframe}
+                onChange={e => updateCamera({ wireframe: e.target.checked })}
+                className="accent-accent"
+              />
+              {t('wave.camera.wireframe')}
+            </label>
+            <button
+              onClick={() => updateCamera(DEFAULT_CAMERA)}
+              className="px-3 py-1 bg-ink/10 text-ink/90 border border-ink/30 rounded-lg hover:bg-ink/20 transition-all"
+            >
+              {t('wave.camera.reset')}
+            </button>
+          </div>
+        )}
+
+        {/* Advanced: the three wave terms */}
+        {showTerms && (
+          <div className="max-w-4xl mx-auto mb-6 grid grid-cols-1 sm:grid-cols-3 gap-4 sm:gap-6">
+            {WAVE_TERMS.map((term, i) => (
+              <div key={i} className="flex flex-col gap-3">
+                {term.map(renderSlider)}
+              </div>
+            ))}
+          </div>
+        )}
+
+        <div className="max-w-4xl mx-auto flex flex-col sm:flex-row gap-6 sm:gap-12 items-center">
+          
+          <div className="flex-1 min-w-[200px]">
+            <h1 className="text-xl font-light text-ink/90">{t('wave.title')}</h1>
+            <p className="text-sm text-ink/60">{t('wave.subtitle')}</p>
+          </div>
+
+          {/* Frequency + Amplitude Sliders */}
+          {renderSlider('frequency')}
+          {renderSlider('amplitude')}
+
+          {/* Mode, presets, advanced toggle and share link */}
+          <div className="flex flex-wrap sm:flex-col gap-2 items-stretch text-sm font-mono">
+            <select
+              aria-label={t('wave.mode.label')}
+              value={simSettings.mode}
+              onChange={(e) => updateSim('mode', e.target.value)}
+              className="px-3 py-1 bg-ink/10 text-ink/90 border border-ink/30 rounded-lg"
+            >
+              <option value="analytic">{t('wave.mode.analytic')}</option>
+              <option value="simulated">{t('wave.mode.simulated')}</option>
+            </select>
+            <select
+              aria-label={t('wave.preset.label')}
+              value={activePreset || ''}
+              onChange={(e) => applyPreset(e.target.value)}
+              className="px-3 py-1 bg-ink/10 text-ink/90 border border-ink/30 rounded-lg"
+            >
+              {!activePreset && <option value="">{t('wave.preset.custom')}</option>}
+              {Object.keys(WAVE_PRESETS).map(name => <option key={name} value={name}>{t(`wave.preset.${name}`)}</option>)}
+            </select>
+            <button
+              onClick={() => setShowTerms(prev => !prev)}
+              aria-expanded={showTerms}
+              className="px-3 py-1 bg-ink/10 text-ink/90 border border-ink/30 rounded-lg hover:bg-ink/20 transition-all"
+            >
+              {showTerms ? t('wave.terms.hide') : t('wave.terms.show')}
+            </button>
+            <button
+              onClick={() => setShowCamera(prev => !prev)}
+              aria-expanded={showCamera}
+              className="px-3 py-1 bg-ink/10 text-ink/90 border border-ink/30 rounded-lg hover:bg-ink/20 transition-all"
+            >
+              {showCamera ? t('wave.camera.hide') : t('wave.camera.show')}
+            </button>
+            {supportsAudioInput() && (
+              <button
+                onClick={() => setShowAudio(prev => !prev)}
+                aria-expanded={showAudio}
+                className={`px-3 py-1 border rounded-lg transition-all ${audioSource ? 'bg-ink/20 text-ink border-ink/60' : 'bg-ink/10 text-ink/90 border-ink/30 hover:bg-ink/20'}`}
+              >
+                {showAudio ? t('wave.audio.hide') : t('wave.audio.show')}
+              </button>
+            )}
+            <button
+              onClick={handleCopyLink}
+              className="px-3 py-1 bg-ink/10 text-ink/90 border border-ink/30 rounded-lg hover:bg-ink/20 transition-all"
+            >
+              {copyStatus === 'copied' ? t('wave.link.copied') : copyStatus === 'failed' ? t('wave.link.failed') : t('wave.link.copy')}
+            </button>
+            <button
+              onClick={() => setShowExport(prev => !prev)}
+              className="px-3 py-1 bg-ink/10 text-ink/90 border border-ink/30 rounded-lg hover:bg-ink/20 transition-all"
+            >
+              {t('wave.export')}
+            </button>
+            <LanguagePicker />
+            <ThemePicker />
+            <MotionToggle />
+          </div>
+
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ComputationalWaveField;
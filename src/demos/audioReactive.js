@@ -0,0 +1,148 @@
+// Audio-reactive mode for the Computational Wave Field. A Web Audio AnalyserNode listens to
+// the microphone or to a dropped audio file; three frequency bands are smoothed and mapped
+// onto the wave terms as a modulation (see createModulation in scenes/waveField.js) that the
+// renderers apply on top of the slider parameters:
+//   gain[i]  - multiplies term i (1 = unchanged), driven by the band's level x amplitude depth
+//   drift[i] - extra phase for term i, advanced by the band's level x speed depth. Speed is
+//              modulated through an accumulated phase rather than by scaling speed_i itself,
+//              because t * speed_i would jump the field whenever the level changed.
+
+// Frequency bands in Hz, named by the messages wave.audio.band.<name>
+export const AUDIO_BANDS = {
+  bass: { min: 20, max: 250 },
+  mid: { min: 250, max: 2000 },
+  treble: { min: 2000, max: 8000 },
+};
+
+// Extra phase per frame step at full level and speed depth 1 (radians)
+const DRIFT_RATE = 0.15;
+
+const FFT_SIZE = 2048;
+
+// Which band drives each term, and how strongly. `smoothing` is the share of the previous
+// level kept per frame step (0 = raw, closer to 1 = slower).
+export const DEFAULT_AUDIO_MAPPING = {
+  terms: [
+    { band: 'bass', amplitude: 1.5, speed: 0.5 },
+    { band: 'mid', amplitude: 1, speed: 1 },
+    { band: 'treble', amplitude: 0.75, speed: 1.5 },
+  ],
+  smoothing: 0.85,
+};
+
+// Ranges for the mapping sliders, labelled by the messages wave.audio.<key>
+export const AUDIO_DEPTH_SPECS = {
+  amplitude: { min: 0, max: 3, step: 0.05 },
+  speed: { min: 0, max: 3, step: 0.05 },
+  smoothing: { min: 0, max: 0.98, step: 0.01 },
+};
+
+// Back to no audio: every term as the sliders set it
+export const resetModulation = (modulation) => {
+  modulation.gain.fill(1);
+  modulation.drift.fill(0);
+};
+
+export const supportsAudioInput = () => typeof window !== 'undefined'
+  && Boolean(window.AudioContext || window.webkitAudioContext);
+
+// Wraps one AudioContext + AnalyserNode. Sources replace each other; call from a user gesture
+// (click, drop) so the browser lets the context start.
+export const createAudioInput = () => {
+  const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+  const context = new AudioContextClass();
+  const analyser = context.createAnalyser();
+  analyser.fftSize = FFT_SIZE;
+  analyser.smoothingTimeConstant = 0; // smoothing is ours, per band and frame-rate independent
+  const bins = new Uint8Array(analyser.frequencyBinCount);
+
+  let source = null;
+  let stream = null; // microphone MediaStream
+  let element = null; // <audio> playing a file
+  let objectUrl = null;
+
+  const disconnect = () => {
+    if (source) source.disconnect();
+    source = null;
+    analyser.disconnect(); // drop the speaker output a file source added
+    if (stream) stream.getTracks().forEach(track => track.stop());
+    stream = null;
+    if (element) element.pause();
+    element = null;
+    if (objectUrl) URL.revokeObjectURL(objectUrl);
+    objectUrl = null;
+  };
+
+  return {
+    // Microphone: analysed only, never played back (that would feed back into the mic)
+    async useMicrophone() {
+      const micStream = await navigator.mediaDevices.getUserMedia({ audio: true });
+      disconnect();
+      await context.resume();
+      stream = micStream;
+      source = context.createMediaStreamSource(stream);
+      source.connect(analyser);
+    },
+
+    // Audio file: looped and played through the speakers as well as analysed
+    async useFile(file) {
+      disconnect();
+      await context.resume();
+      objectUrl = URL.createObjectURL(file);
+      element = new Audio(objectUrl);
+      element.loop = true;
+      source = context.createMediaElementSource(element);
+      source.connect(analyser);
+      analyser.connect(context.destination);
+      await element.play();
+    },
+
+    // Average level (0..1) of each band in AUDIO_BANDS
+    readBands() {
+      analyser.getByteFrequencyData(bins);
+      const binWidth = context.sampleRate / FFT_SIZE;
+      const levels = {};
+      Object.entries(AUDIO_BANDS).forEach(([name, { min, max }]) => {
+        const from = Math.max(1, Math.floor(min / binWidth));
+        const to = Math.min(bins.length - 1, Math.ceil(max / binWidth));
+        let sum = 0;
+        for (let i = from; i <= to; i++) sum += bins[i];
+        levels[name] = to >= from ? sum / ((to - from + 1) * 255) : 0;
+      });
+      return levels;
+    },
+
+    stop() {
+      disconnect();
+    },
+
+    destroy() {
+      this.stop();
+      context.close();
+    },
+  };
+};
+
+// Smooths the band levels and writes them into `modulation` using `mapping`; `levels` holds
+// the smoothed values for the UI meters.
+export const createAudioModulator = ({ input, mapping, modulation }) => {
+  const levels = Object.fromEntries(Object.keys(AUDIO_BANDS).map(name => [name, 0]));
+
+  return {
+    levels,
+    // `steps`: frame steps since the last update (see REFERENCE_FPS)
+    update(steps) {
+      const raw = input.readBands();
+      const keep = Math.pow(mapping.smoothing, steps);
+      Object.keys(levels).forEach((name) => {
+        levels[name] = levels[name] * keep + raw[name] * (1 - keep);
+      });
+      mapping.terms.forEach((term, i) => {
+        const level = levels[term.band];
+        modulation.gain[i] = 1 + level * term.amplitude;
+        // Wrapped so the phase keeps its precision through a long talk
+        modulation.drift[i] = (modulation.drift[i] + level * term.speed * DRIFT_RATE * steps) % (Math.PI * 2);
+      });
+    },
+  };
+};
@@ -0,0 +1,138 @@
+import { CAMERA_LIMITS, DEFAULT_CAMERA } from '../scenes/waveField.js';
+
+// Parameter model for the Computational Wave Field: slider specs, named presets and
+// the URL encoding used for shareable links.
+
+// The field is the sum of three wave terms:
+//   wave1 = sin(dx        * scale1 * frequency + t * speed1 + phase1)
+//   wave2 = cos(dy        * scale2 * frequency + t * speed2 + phase2)
+//   wave3 = sin((dx + dy) * scale3 * frequency + t * speed3 + phase3)
+// `seed` is the time origin: the frame counter starts there, so a shared link opens on the same field.
+
+// key -> { short URL key, range, step, decimals shown in the label }; the labels are the
+// messages wave.param.<key>
+export const WAVE_PARAM_SPECS = {
+  frequency: { url: 'f', min: 0.5, max: 10, step: 0.05, digits: 2 },
+  amplitude: { url: 'a', min: 5, max: 100, step: 1, digits: 0 },
+  scale1: { url: 'k1', min: 0, max: 0.15, step: 0.005, digits: 3 },
+  speed1: { url: 'w1', min: -0.2, max: 0.2, step: 0.005, digits: 3 },
+  phase1: { url: 'p1', min: 0, max: Math.PI * 2, step: 0.01, digits: 2 },
+  scale2: { url: 'k2', min: 0, max: 0.15, step: 0.005, digits: 3 },
+  speed2: { url: 'w2', min: -0.2, max: 0.2, step: 0.005, digits: 3 },
+  phase2: { url: 'p2', min: 0, max: Math.PI * 2, step: 0.01, digits: 2 },
+  scale3: { url: 'k3', min: 0, max: 0.15, step: 0.005, digits: 3 },
+  speed3: { url: 'w3', min: -0.2, max: 0.2, step: 0.005, digits: 3 },
+  phase3: { url: 'p3', min: 0, max: Math.PI * 2, step: 0.01, digits: 2 },
+};
+
+// The original hardcoded field
+export const DEFAULT_WAVE_PARAMS = {
+  frequency: 3.0,
+  amplitude: 25,
+  scale1: 0.05, speed1: 0.05, phase1: 0,
+  scale2: 0.05, speed2: 0.03, phase2: 0,
+  scale3: 0.02, speed3: 0.07, phase3: 0,
+  seed: 0,
+};
+
+// Named presets only set the wave terms; the time origin is left alone
+export const WAVE_PRESETS = {
+  Default: DEFAULT_WAVE_PARAMS,
+  Ripple: {
+    frequency: 1.5, amplitude: 18,
+    scale1: 0.09, speed1: 0.08, phase1: 0,
+    scale2: 0.09, speed2: 0.08, phase2: Math.PI / 2,
+    scale3: 0, speed3: 0, phase3: 0,
+  },
+  Storm: {
+    frequency: 6.5, amplitude: 60,
+    scale1: 0.04, speed1: 0.12, phase1: 0,
+    scale2: 0.06, speed2: -0.09, phase2: 1.2,
+    scale3: 0.03, speed3: 0.15, phase3: 2.4,
+  },
+  Standing: {
+    frequency: 4, amplitude: 35,
+    scale1: 0.05, speed1: 0.04, phase1: 0,
+    scale2: 0.05, speed2: -0.04, phase2: 0,
+    scale3: 0, speed3: 0, phase3: 0,
+  },
+  Drift: {
+    frequency: 0.8, amplitude: 45,
+    scale1: 0.03, speed1: 0.01, phase1: 0,
+    scale2: 0.02, speed2: 0.015, phase2: 0.8,
+    scale3: 0.05, speed3: 0.02, phase3: 3.1,
+  },
+};
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+// Params -> compact query object ({ f: '3', a: '25', ... }) for the URL
+export const encodeWaveParams = (params) => {
+  const query = {};
+  Object.entries(WAVE_PARAM_SPECS).forEach(([key, spec]) => {
+    query[spec.url] = String(Number(params[key].toFixed(4)));
+  });
+  query.s = String(Math.round(params.seed));
+  return query;
+};
+
+// Query object -> params. Missing or malformed values fall back to `fallback`;
+// out-of-range values are clamped to the slider range.
+export const decodeWaveParams = (query, fallback = DEFAULT_WAVE_PARAMS) => {
+  const params = { ...fallback };
+  Object.entries(WAVE_PARAM_SPECS).forEach(([key, spec]) => {
+    const value = parseFloat(query[spec.url]);
+    if (Number.isFinite(value)) params[key] = clamp(value, spec.min, spec.max);
+  });
+  const seed = parseInt(query.s, 10);
+  if (Number.isFinite(seed) && seed >= 0) params.seed = seed;
+  return params;
+};
+
+// The view a link carries along with the terms: orbit camera (see DEFAULT_CAMERA) and field
+// mode. key -> { short URL key, range }; yaw wraps around instead of clamping.
+export const WAVE_VIEW_SPECS = {
+  yaw: { url: 'cy', min: -Math.PI, max: Math.PI },
+  tilt: { url: 'ct', ...CAMERA_LIMITS.tilt },
+  zoom: { url: 'cz', ...CAMERA_LIMITS.zoom },
+  perspective: { url: 'cp', ...CAMERA_LIMITS.perspective },
+};
+
+export const WAVE_MODES = ['analytic', 'simulated'];
+
+export const DEFAULT_WAVE_VIEW = { camera: DEFAULT_CAMERA, mode: 'analytic' };
+
+// { camera, mode } -> query object ({ cy: '0.5', ..., cw: '0', m: 'analytic' })
+export const encodeWaveView = ({ camera, mode }) => {
+  const query = {};
+  Object.entries(WAVE_VIEW_SPECS).forEach(([key, spec]) => {
+    query[spec.url] = String(Number(camera[key].toFixed(4)));
+  });
+  query.cw = camera.wireframe ? '1' : '0';
+  query.m = mode;
+  return query;
+};
+
+// Query object -> { camera, mode }, falling back to `fallback` field by field like
+// decodeWaveParams
+export const decodeWaveView = (query, fallback = DEFAULT_WAVE_VIEW) => {
+  const camera = { ...fallback.camera };
+  Object.entries(WAVE_VIEW_SPECS).forEach(([key, spec]) => {
+    const value = parseFloat(query[spec.url]);
+    if (!Number.isFinite(value)) return;
+    camera[key] = key === 'yaw' ? Math.atan2(Math.sin(value), Math.cos(value)) : clamp(value, spec.min, spec.max);
+  });
+  if (query.cw === '1' || query.cw === '0') camera.wireframe = query.cw === '1';
+  return { camera, mode: WAVE_MODES.includes(query.m) ? query.m : fallback.mode };
+};
+
+// True when the query carries at least one wave parameter
+export const hasWaveParams = (query) => Object.values(WAVE_PARAM_SPECS).some(spec => spec.url in query);
+
+// Name of the preset whose terms match `params`, or null for a custom configuration
+export const matchPreset = (params) => {
+  const entry = Object.entries(WAVE_PRESETS).find(([, preset]) =>
+    Object.keys(WAVE_PARAM_SPECS).every(key => Math.abs(preset[key] - params[key]) < 1e-4)
+  );
+  return entry ? entry[0] : null;
+};
@@ -0,0 +1,206 @@
+import { getWebGLContext } from './webgl.js';
+
+// Shared canvas rendering engine: sizing with devicePixelRatio, a delta-time animation loop,
+// and automatic pausing while the tab is hidden or the canvas is scrolled off-screen.
+//
+// A scene is a plain object:
+//   init({ width, height })            - called on start and whenever the viewport is resized
+//   update(dt, time)                   - advance the simulation; dt and time in seconds
+//   render(ctx, { width, height, time }) - draw in logical (CSS pixel) coordinates
+//   createGLRenderer(gl)               - optional WebGL backend: returns
+//                                        { render(gl, { width, height, time, dpr }), destroy() }
+//   destroy()                          - optional, called when the engine is torn down
+//
+// Options:
+//   backend  - 'webgl' to use the scene's GL renderer, '2d' (default) for Canvas2D
+//   onStats  - called about twice a second with { fps }
+//   onFallback - called with an Error saying why, when the backend cannot be created
+//   quality  - optional quality governor (see quality.js): fed the interval before every
+//              frame; its tier's maxDpr caps the devicePixelRatio
+
+// Scenes express their rates "per frame at 60fps"; multiply dt by this to get frame steps
+export const REFERENCE_FPS = 60;
+
+// Longest step handed to update(); keeps simulations stable after a stall or a breakpoint
+const MAX_DT = 0.1;
+
+// How often the frame rate readout is refreshed (ms)
+const STATS_INTERVAL = 500;
+
+// Returns null (after onFallback) when the requested backend cannot be created on this
+// canvas; the caller should then retry with '2d' on a fresh canvas element.
+export const createEngine = (canvas, scene, { backend = '2d', onStats, onFallback, quality = null } = {}) => {
+  let ctx = null;
+  let gl = null;
+  let glRenderer = null;
+
+  const fail = (error) => {
+    if (onFallback) onFallback(error);
+    return null;
+  };
+
+  if (backend === 'webgl' && scene.createGLRenderer) {
+    gl = getWebGLContext(canvas);
+    if (!gl) return fail(new Error('WebGL is not available on this canvas'));
+    try {
+      glRenderer = scene.createGLRenderer(gl);
+    } catch (err) {
+      return fail(err); // shader or buffer setup failed
+    }
+  } else {
+    ctx = canvas.getContext('2d');
+    if (!ctx) return fail(new Error('Canvas2D is not available on this canvas'));
+  }
+
+  const size = { width: 0, height: 0, dpr: 1 };
+  let maxDpr = Infinity; // the quality tier's cap the backing store was last sized with
+  let time = 0;
+  let last = null; // timestamp of the previous frame, null after a pause
+  let frameId = null;
+  let running = false;
+  let tabVisible = !document.hidden;
+  let onScreen = true;
+
+  const stats = { frames: 0, since: null };
+
+  const renderNow = () => {
+    const frameInfo = { width: size.width, height: size.height, time, dpr: size.dpr };
+    if (glRenderer) {
+      glRenderer.render(gl, frameInfo);
+    } else {
+      scene.render(ctx, frameInfo);
+    }
+  };
+
+  const recordFrame = (now) => {
+    if (!onStats) return;
+    if (stats.since === null) stats.since = now;
+    stats.frames++;
+    if (now - stats.since >= STATS_INTERVAL) {
+      onStats({ fps: (stats.frames * 1000) / (now - stats.since) });
+      stats.frames = 0;
+      stats.since = now;
+    }
+  };
+
+  const resize = () => {
+    size.width = window.innerWidth;
+    size.height = window.innerHeight;
+    maxDpr = quality ? quality.tier.maxDpr : Infinity;
+    size.dpr = Math.min(window.devicePixelRatio || 1, maxDpr);
+
+    // Backing store in device pixels, layout size in CSS pixels
+    canvas.width = Math.round(size.width * size.dpr);
+    canvas.height = Math.round(size.height * size.dpr);
+    canvas.style.width = `${size.width}px`;
+    canvas.style.height = `${size.height}px`;
+
+    if (gl) {
+      gl.viewport(0, 0, canvas.width, canvas.height);
+    } else {
+      // Absolute transform (not ctx.scale) so repeated resizes never compound
+      ctx.setTransform(size.dpr, 0, 0, size.dpr, 0, 0);
+    }
+
+    scene.init({ width: size.width, height: size.height });
+    // Resizing clears the canvas; repaint even while paused
+    if (running) renderNow();
+  };
+
+  const frame = (now) => {
+    frameId = null;
+    const dt = last === null ? 0 : Math.min((now - last) / 1000, MAX_DT);
+    if (quality && last !== null) quality.recordFrame(now - last);
+    last = now;
+    time += dt;
+    // A new tier may allow fewer device pixels (or more)
+    if (quality && quality.tier.maxDpr !== maxDpr) resize();
+    if (scene.update) scene.update(dt, time);
+    renderNow();
+    recordFrame(now);
+    schedule();
+  };
+
+  const isActive = () => running && tabVisible && onScreen;
+
+  const schedule = () => {
+    if (isActive() && frameId === null) frameId = requestAnimationFrame(frame);
+  };
+
+  const halt = () => {
+    if (frameId !== null) cancelAnimationFrame(frameId);
+    frameId = null;
+    // Forget the last timestamp so the paused interval is not replayed as one huge dt
+    last = null;
+    stats.since = null;
+    stats.frames = 0;
+  };
+
+  const sync = () => (isActive() ? schedule() : halt());
+
+  const handleVisibility = () => {
+    tabVisible = !document.hidden;
+    sync();
+  };
+
+  const observer = typeof IntersectionObserver !== 'undefined'
+    ? new IntersectionObserver((entries) => {
+      onScreen = entries[entries.length - 1].isIntersecting;
+      sync();
+    })
+    : null;
+
+  return {
+    size,
+    backend: glRenderer ? 'webgl' : '2d',
+    start() {
+      if (running) return;
+      running = true;
+      resize();
+      window.addEventListener('resize', resize);
+      document.addEventListener('visibilitychange', handleVisibility);
+      if (observer) observer.observe(canvas);
+      schedule();
+    },
+    stop() {
+      running = false;
+      halt();
+      window.removeEventListener('resize', resize);
+      document.removeEventListener('visibilitychange', handleVisibility);
+      if (observer) observer.disconnect();
+    },
+    destroy() {
+      this.stop();
+      if (glRenderer && glRenderer.destroy) glRenderer.destroy(gl);
+      if (scene.destroy) scene.destroy();
+    },
+    renderNow,
+  };
+};
+
+// Runs `step()` at a fixed rate regardless of the display frame rate. Returns an update(dt)
+// function for scenes whose simulations are tuned per frame (flocking, easing towards targets).
+export const createFixedStepper = (step, { rate = REFERENCE_FPS, maxSteps = 4 } = {}) => {
+  let accumulator = 0;
+  return (dt) => {
+    accumulator = Math.min(accumulator + dt * rate, maxSteps);
+    while (accumulator >= 1) {
+      step();
+      accumulator -= 1;
+    }
+  };
+};
+
+// Deterministic stepping, for tests and offline rendering: initialises `scene` at the given
+// logical size, advances it from zero to `time` seconds in fixed steps of 1 / fps and draws
+// that frame into `ctx`. Scenes that take their randomness from a seed (see random.js) draw
+// the same picture every time.
+export const renderSceneAt = (scene, ctx, { width, height, time, fps = REFERENCE_FPS }) => {
+  scene.init({ width, height });
+  const dt = 1 / fps;
+  const steps = Math.round(time * fps);
+  for (let i = 1; i <= steps; i++) {
+    if (scene.update) scene.update(dt, i * dt);
+  }
+  scene.render(ctx, { width, height, time: steps * dt, dpr: 1 });
+};
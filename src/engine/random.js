@@ -0,0 +1,18 @@
+// Seedable pseudo-random numbers, so generated scenes come out the same on every load and
+// can be compared frame for frame in tests.
+
+// Seed used when a scene is not given one
+export const DEFAULT_SEED = 20250101;
+
+// mulberry32: a small, fast 32-bit generator, plenty for scattering points. Returns a
+// function with the same contract as Math.random (uniform in [0, 1)).
+export const createRandom = (seed = DEFAULT_SEED) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
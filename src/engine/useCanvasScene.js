@@ -0,0 +1,36 @@
+import { useEffect, useRef } from 'react';
+import { createEngine } from './engine.js';
+
+// Binds a scene (see engine.js) to a canvas ref for the lifetime of the component.
+// `createScene` is called on mount and again whenever `deps` or `backend` change.
+//
+// Options:
+//   backend    - 'webgl' | '2d'. A canvas element keeps the first context type it hands out,
+//                so give the <canvas> a `key` tied to the backend to switch at runtime.
+//   onStats    - receives { fps } about twice a second
+//   onFallback - called with an Error when the requested backend could not be created
+//                (e.g. no WebGL, or the scene's GL renderer failed to set up)
+//   quality    - quality governor fed with frame times (see quality.js), or null
+const useCanvasScene = (canvasRef, createScene, deps = [], { backend = '2d', onStats, onFallback, quality = null } = {}) => {
+  // Callbacks in a ref, so a new function identity on every render does not restart the scene
+  const callbacksRef = useRef({});
+  callbacksRef.current = { onStats, onFallback };
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+
+    const engine = createEngine(canvas, createScene(), {
+      backend,
+      quality,
+      onStats: stats => callbacksRef.current.onStats && callbacksRef.current.onStats(stats),
+      onFallback: error => callbacksRef.current.onFallback && callbacksRef.current.onFallback(error),
+    });
+    if (!engine) return;
+
+    engine.start();
+    return () => engine.destroy();
+  }, [...deps, backend]);
+};
+
+export default useCanvasScene;
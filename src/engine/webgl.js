@@ -0,0 +1,71 @@
+// Small WebGL helpers shared by the GPU renderers of the scenes.
+
+// True when this browser can create a WebGL context at all. Probed on a throwaway canvas,
+// because a canvas that has handed out a WebGL context can never return a 2D one.
+let webglSupport = null;
+export const supportsWebGL = () => {
+  if (webglSupport === null) {
+    try {
+      const probe = document.createElement('canvas');
+      webglSupport = Boolean(probe.getContext('webgl') || probe.getContext('experimental-webgl'));
+    } catch {
+      webglSupport = false;
+    }
+  }
+  return webglSupport;
+};
+
+export const getWebGLContext = (canvas) =>
+  canvas.getContext('webgl', { antialias: true, premultipliedAlpha: true }) ||
+  canvas.getContext('experimental-webgl');
+
+const compileShader = (gl, type, source) => {
+  const shader = gl.createShader(type);
+  gl.shaderSource(shader, source);
+  gl.compileShader(shader);
+  if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+    const log = gl.getShaderInfoLog(shader);
+    gl.deleteShader(shader);
+    throw new Error(`Shader compile failed: ${log}`);
+  }
+  return shader;
+};
+
+// Compiles and links a program, returning it with attribute and uniform locations looked up
+// by name: { program, attributes: { a_position: 0 }, uniforms: { u_time: WebGLUniformLocation } }
+export const createProgram = (gl, vertexSource, fragmentSource, attributeNames, uniformNames) => {
+  const program = gl.createProgram();
+  gl.attachShader(program, compileShader(gl, gl.VERTEX_SHADER, vertexSource));
+  gl.attachShader(program, compileShader(gl, gl.FRAGMENT_SHADER, fragmentSource));
+  gl.linkProgram(program);
+  if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+    throw new Error(`Program link failed: ${gl.getProgramInfoLog(program)}`);
+  }
+
+  const attributes = {};
+  attributeNames.forEach(name => { attributes[name] = gl.getAttribLocation(program, name); });
+  const uniforms = {};
+  uniformNames.forEach(name => { uniforms[name] = gl.getUniformLocation(program, name); });
+  return { program, attributes, uniforms };
+};
+
+// Round, anti-aliased point sprites with premultiplied alpha (matches the default
+// premultipliedAlpha context, so transparent canvases composite correctly over the page)
+export const ROUND_POINT_FRAGMENT = `
+precision mediump float;
+varying vec4 v_color;
+void main() {
+  vec2 c = gl_PointCoord - 0.5;
+  float d = length(c);
+  float edge = 1.0 - smoothstep(0.45, 0.5, d);
+  if (edge <= 0.0) discard;
+  float alpha = v_color.a * edge;
+  gl_FragColor = vec4(v_color.rgb * alpha, alpha);
+}
+`;
+
+export const setupPointBlending = (gl) => {
+  gl.disable(gl.DEPTH_TEST);
+  gl.enable(gl.BLEND);
+  gl.blendFunc(gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
+};
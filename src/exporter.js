@@ -0,0 +1,154 @@
+import { REFERENCE_FPS } from './engine/engine.js';
+
+// Off-screen export of canvas scenes: high-resolution PNG, vector SVG and seamless WebM loops.
+//
+// Scenes provide two callbacks, both drawing in logical (CSS pixel) coordinates:
+//   renderFrame(ctx, width, height)                        - the frame currently on screen
+//   renderLoopFrame(ctx, width, height, frame, frameCount) - frame `frame` of a loop that
+//                                                            repeats after `frameCount` frames
+
+const VIDEO_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+
+export const supportsVideoExport = () =>
+  typeof MediaRecorder !== 'undefined' &&
+  typeof HTMLCanvasElement !== 'undefined' &&
+  'captureStream' in HTMLCanvasElement.prototype &&
+  VIDEO_TYPES.some(type => MediaRecorder.isTypeSupported(type));
+
+// Detached canvas of (width x height) logical pixels rendered at `scale` device pixels each
+const createScaledCanvas = (width, height, scale) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(width * scale);
+  canvas.height = Math.round(height * scale);
+  const ctx = canvas.getContext('2d');
+  ctx.scale(scale, scale);
+  return { canvas, ctx };
+};
+
+export const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Give the browser a moment to start the download before revoking
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+export const exportPng = (renderFrame, { width, height, scale }) => new Promise((resolve, reject) => {
+  const { canvas, ctx } = createScaledCanvas(width, height, scale);
+  renderFrame(ctx, width, height);
+  canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('PNG encoding failed'))), 'image/png');
+});
+
+// --- SVG ---
+
+const num = value => Number(value.toFixed(2));
+
+const escapeAttr = value => String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+
+// A recording stand-in for CanvasRenderingContext2D covering the calls the dot scenes make.
+// Every arc() + fill() becomes a <circle> carrying the current fill colour and alpha.
+export const createSvgContext = (width, height) => {
+  let elements = [];
+  let path = [];
+
+  const paint = (ctx) => `fill="${escapeAttr(ctx.fillStyle)}"${ctx.globalAlpha < 1 ? ` fill-opacity="${num(Math.max(ctx.globalAlpha, 0))}"` : ''}`;
+  const stroke = (ctx) => `fill="none" stroke="${escapeAttr(ctx.strokeStyle)}" stroke-width="${num(ctx.lineWidth)}"${ctx.globalAlpha < 1 ? ` stroke-opacity="${num(Math.max(ctx.globalAlpha, 0))}"` : ''}`;
+
+  const ctx = {
+    fillStyle: '#000000',
+    strokeStyle: '#000000',
+    lineWidth: 1,
+    globalAlpha: 1,
+    clearRect() {
+      // Scenes only clear the whole frame, which in SVG means starting over
+      elements = [];
+    },
+    fillRect(x, y, w, h) {
+      elements.push(`<rect x="${num(x)}" y="${num(y)}" width="${num(w)}" height="${num(h)}" ${paint(ctx)}/>`);
+    },
+    beginPath() {
+      path = [];
+    },
+    arc(x, y, r) {
+      path.push({ x, y, r });
+    },
+    moveTo(x, y) {
+      path.push({ command: 'M', x, y });
+    },
+    lineTo(x, y) {
+      path.push({ command: 'L', x, y });
+    },
+    fill() {
+      path.filter(c => !c.command).forEach(c => {
+        elements.push(`<circle cx="${num(c.x)}" cy="${num(c.y)}" r="${num(Math.max(c.r, 0))}" ${paint(ctx)}/>`);
+      });
+    },
+    // Straight segments only (moveTo / lineTo), written as one <path>
+    stroke() {
+      const d = path.filter(c => c.command).map(c => `${c.command}${num(c.x)} ${num(c.y)}`).join('');
+      if (d) elements.push(`<path d="${d}" ${stroke(ctx)}/>`);
+    },
+    save() {},
+    restore() {},
+  };
+
+  const toString = () => [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+    ...elements,
+    '</svg>',
+  ].join('\n');
+
+  return { ctx, toString };
+};
+
+export const exportSvg = (renderFrame, { width, height }) => {
+  const svg = createSvgContext(width, height);
+  renderFrame(svg.ctx, width, height);
+  return new Blob([svg.toString()], { type: 'image/svg+xml' });
+};
+
+// --- WebM loop ---
+
+// Records `seconds` of a seamless loop in real time via MediaRecorder on the canvas stream.
+// Resolves with the WebM blob; `onProgress` receives values from 0 to 1.
+export const recordLoop = (renderLoopFrame, { width, height, scale, seconds, fps = 30, onProgress }) =>
+  new Promise((resolve, reject) => {
+    const { canvas, ctx } = createScaledCanvas(width, height, scale);
+    const mimeType = VIDEO_TYPES.find(type => MediaRecorder.isTypeSupported(type));
+    const frameCount = Math.round(seconds * REFERENCE_FPS);
+    const stepsPerFrame = REFERENCE_FPS / fps;
+    const recordedFrames = Math.round(seconds * fps);
+
+    const drawFrame = (frame) => renderLoopFrame(ctx, width, height, Math.round(frame * stepsPerFrame) % frameCount, frameCount);
+
+    const stream = canvas.captureStream(fps);
+    const recorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond: 12000000 });
+    const chunks = [];
+    recorder.ondataavailable = (e) => { if (e.data.size) chunks.push(e.data); };
+    recorder.onerror = (e) => reject(e.error || new Error('Recording failed'));
+    recorder.onstop = () => {
+      stream.getTracks().forEach(track => track.stop());
+      resolve(new Blob(chunks, { type: 'video/webm' }));
+    };
+
+    // Draw the first frame before starting so the recording never opens on a blank canvas
+    drawFrame(0);
+    recorder.start();
+    const start = performance.now();
+
+    const tick = () => {
+      const frame = Math.floor(((performance.now() - start) / 1000) * fps);
+      if (frame >= recordedFrames) {
+        recorder.stop();
+        return;
+      }
+      drawFrame(frame);
+      if (onProgress) onProgress(frame / recordedFrames);
+      requestAnimationFrame(tick);
+    };
+    requestAnimationFrame(tick);
+  });
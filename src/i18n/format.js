@@ -0,0 +1,187 @@
+// A small ICU MessageFormat formatter for the message catalogs (see messages.js). Supported:
+//   {name}                          - the value as text
+//   {name, number}                  - a locale-formatted number; styles: integer, percent
+//   {name, plural, one {…} other {…}} - plural categories of the locale, exact matches (=0)
+//                                     and '#' for the formatted number inside a branch
+//   {name, select, a {…} other {…}}   - picks a branch by the value; 'other' is the fallback
+// Quoting follows ICU: '' is an apostrophe and '{…}' is literal text, while an apostrophe
+// before anything else is an ordinary one ("Let's"). Numbers only get locale formatting
+// through `number` or '#', so a year passed as {year} is never printed as "2,025".
+//
+// Malformed messages throw an Error with the message (`source`) and `offset` attached.
+
+const parseError = (message, offset, reason) => {
+  const error = new Error(`${reason} at ${offset} in "${message}"`);
+  error.source = message;
+  error.offset = offset;
+  return error;
+};
+
+// Message -> list of parts: strings, '#' markers ({ type: 'pound' }) and arguments
+// ({ type: 'argument' | 'number' | 'plural' | 'select', name, style, branches })
+const parse = (message) => {
+  let i = 0;
+
+  const skipSpace = () => {
+    while (i < message.length && /\s/.test(message[i])) i++;
+  };
+
+  const readWord = () => {
+    skipSpace();
+    const start = i;
+    while (i < message.length && /[^\s,{}]/.test(message[i])) i++;
+    return message.slice(start, i);
+  };
+
+  // Text and arguments up to an unmatched '}' (inside a branch) or the end
+  const parseParts = (inPlural) => {
+    const parts = [];
+    let text = '';
+    const flush = () => {
+      if (text) parts.push(text);
+      text = '';
+    };
+    while (i < message.length) {
+      const char = message[i];
+      if (char === "'") {
+        const next = message[i + 1];
+        if (next === "'") {
+          text += "'";
+          i += 2;
+        } else if (next === '{' || next === '}' || (inPlural && next === '#')) {
+          const end = message.indexOf("'", i + 1);
+          text += message.slice(i + 1, end === -1 ? message.length : end);
+          i = end === -1 ? message.length : end + 1;
+        } else {
+          text += char;
+          i++;
+        }
+      } else if (char === '{') {
+        flush();
+        parts.push(parseArgument(inPlural));
+      } else if (char === '}') {
+        break;
+      } else if (char === '#' && inPlural) {
+        flush();
+        parts.push({ type: 'pound' });
+        i++;
+      } else {
+        text += char;
+        i++;
+      }
+    }
+    flush();
+    return parts;
+  };
+
+  const expect = (char) => {
+    skipSpace();
+    if (message[i] !== char) throw parseError(message, i, `expected '${char}'`);
+    i++;
+  };
+
+  // `inPlural`: inside a plural branch, where '#' stays the number in nested selects too
+  const parseArgument = (inPlural) => {
+    const start = i;
+    i++; // '{'
+    const name = readWord();
+    if (!name) throw parseError(message, start, 'argument without a name');
+    skipSpace();
+    if (message[i] === '}') {
+      i++;
+      return { type: 'argument', name };
+    }
+    expect(',');
+    const type = readWord();
+    if (type === 'number') {
+      skipSpace();
+      let style = null;
+      if (message[i] === ',') {
+        i++;
+        style = readWord();
+        if (style !== 'integer' && style !== 'percent') throw parseError(message, i, `unknown number style '${style}'`);
+      }
+      expect('}');
+      return { type: 'number', name, style };
+    }
+    if (type !== 'plural' && type !== 'select') throw parseError(message, i, `unknown argument type '${type}'`);
+    expect(',');
+    const branches = {};
+    for (;;) {
+      skipSpace();
+      if (message[i] === '}') break;
+      const key = readWord();
+      if (!key) throw parseError(message, i, 'expected a branch');
+      expect('{');
+      branches[key] = parseParts(inPlural || type === 'plural');
+      expect('}');
+    }
+    i++;
+    if (!branches.other) throw parseError(message, start, `${type} without an 'other' branch`);
+    return { type, name, branches };
+  };
+
+  const parts = parseParts(false);
+  if (i < message.length) throw parseError(message, i, "unmatched '}'");
+  return parts;
+};
+
+const parsed = new Map(); // message -> parts
+
+export const parseMessage = (message) => {
+  if (!parsed.has(message)) parsed.set(message, parse(message));
+  return parsed.get(message);
+};
+
+// Names of the arguments a message uses, for checking translations against English
+export const messageArguments = (message) => {
+  const names = new Set();
+  const visit = parts => parts.forEach((part) => {
+    if (typeof part === 'string' || part.type === 'pound') return;
+    names.add(part.name);
+    if (part.branches) Object.values(part.branches).forEach(visit);
+  });
+  visit(parseMessage(message));
+  return names;
+};
+
+const numberFormats = new Map(); // 'locale|style' -> Intl.NumberFormat
+const pluralRules = new Map(); // locale -> Intl.PluralRules
+
+const numberFormat = (locale, style) => {
+  const key = `${locale}|${style}`;
+  if (!numberFormats.has(key)) {
+    const options = style === 'percent' ? { style: 'percent' } : style === 'integer' ? { maximumFractionDigits: 0 } : {};
+    numberFormats.set(key, new Intl.NumberFormat(locale, options));
+  }
+  return numberFormats.get(key);
+};
+
+const pluralCategory = (locale, value) => {
+  if (!pluralRules.has(locale)) pluralRules.set(locale, new Intl.PluralRules(locale));
+  return pluralRules.get(locale).select(value);
+};
+
+// `message` with `values` filled in for `locale`. Missing values print as the argument name
+// in braces, so a gap shows up on the page rather than as "undefined".
+export const formatMessage = (message, values = {}, locale = 'en') => {
+  const render = (parts, count) => parts.map((part) => {
+    if (typeof part === 'string') return part;
+    if (part.type === 'pound') return numberFormat(locale, null).format(count);
+    if (!(part.name in values)) return `{${part.name}}`;
+    const value = values[part.name];
+    switch (part.type) {
+      case 'number':
+        return numberFormat(locale, part.style).format(value);
+      case 'plural': {
+        const branch = part.branches[`=${value}`] || part.branches[pluralCategory(locale, value)] || part.branches.other;
+        return render(branch, value);
+      }
+      case 'select':
+        return render(part.branches[value] || part.branches.other, count);
+      default:
+        return String(value);
+    }
+  }).join('');
+  return render(parseMessage(message), null);
+};
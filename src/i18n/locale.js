@@ -0,0 +1,120 @@
+import { useSyncExternalStore } from 'react';
+import site from '../content/site.json';
+import projects from '../content/projects.json';
+import { SOURCE_LOCALE, contentMessages, createTranslator } from './messages.js';
+
+// The visitor's language, kept in localStorage. A first visit gets the browser's preferred
+// language when there is a catalog for it (see messages.js), English otherwise. The choice
+// is mirrored to <html lang> so screen readers and hyphenation follow it; components read
+// the translator from useI18n().
+
+const STORAGE_KEY = 'locale';
+
+const catalogFiles = import.meta.glob('../content/messages/*.json', { eager: true, import: 'default' });
+
+// locale -> messages; English includes the copy of the content files
+export const CATALOGS = Object.fromEntries(
+  Object.entries(catalogFiles).map(([file, messages]) => [file.replace(/^.*\/|\.json$/g, ''), messages])
+);
+CATALOGS[SOURCE_LOCALE] = { ...contentMessages(site, projects), ...CATALOGS[SOURCE_LOCALE] };
+
+// [{ locale, name }] for the language switcher, each named in its own language; English first
+export const LOCALES = Object.keys(CATALOGS)
+  .sort((a, b) => (a === SOURCE_LOCALE ? -1 : b === SOURCE_LOCALE ? 1 : a.localeCompare(b)))
+  .map(locale => ({ locale, name: CATALOGS[locale]['language.name'] || locale }));
+
+// First of the browser's languages with a catalog, matching 'nl-BE' to 'nl'
+const preferredLocale = () => {
+  const wanted = typeof navigator !== 'undefined' ? navigator.languages || [navigator.language] : [];
+  for (const tag of wanted) {
+    if (!tag) continue;
+    const [language] = tag.toLowerCase().split('-');
+    if (CATALOGS[tag]) return tag;
+    if (CATALOGS[language]) return language;
+  }
+  return SOURCE_LOCALE;
+};
+
+const readLocale = () => {
+  try {
+    const stored = window.localStorage.getItem(STORAGE_KEY);
+    return stored && CATALOGS[stored] ? stored : preferredLocale();
+  } catch {
+    return preferredLocale(); // storage blocked (private mode, sandboxed iframe)
+  }
+};
+
+let active = typeof window !== 'undefined' ? readLocale() : SOURCE_LOCALE;
+
+const listeners = new Set();
+
+const syncDocument = () => {
+  if (typeof document !== 'undefined') document.documentElement.lang = active;
+};
+
+syncDocument();
+
+// In development, say once per key and language when a message falls back
+const warned = new Set();
+const onMissing = import.meta.env.DEV ? (key, locale) => {
+  if (warned.has(`${locale}:${key}`)) return;
+  warned.add(`${locale}:${key}`);
+  console.warn(`[i18n] no ${locale} message for "${key}"; showing ${CATALOGS[SOURCE_LOCALE][key] === undefined ? 'the key' : 'English'}`);
+} : undefined;
+
+// locale -> { locale, t, formatNumber }, built once so React sees a new object only on a change
+const bundles = new Map();
+
+const bundleFor = (locale) => {
+  if (!bundles.has(locale)) {
+    const decimals = new Map(); // digits -> Intl.NumberFormat
+    bundles.set(locale, {
+      locale,
+      t: createTranslator(CATALOGS, locale, { onMissing }),
+      // A number with exactly `digits` decimals, for slider readouts
+      formatNumber(value, digits = 0) {
+        if (!decimals.has(digits)) {
+          decimals.set(digits, new Intl.NumberFormat(locale, { minimumFractionDigits: digits, maximumFractionDigits: digits }));
+        }
+        return decimals.get(digits).format(value);
+      },
+    });
+  }
+  return bundles.get(locale);
+};
+
+export const getLocale = () => active;
+
+export const setLocale = (locale) => {
+  if (!CATALOGS[locale]) return;
+  active = locale;
+  try {
+    window.localStorage.setItem(STORAGE_KEY, locale);
+  } catch {
+    // Not persisted; still applies for this visit
+  }
+  syncDocument();
+  listeners.forEach(listener => listener());
+};
+
+// Message `key` in the active language, for code outside React
+export const translate = (key, values) => bundleFor(active).t(key, values);
+
+// A project with its copy (title, summary, description) in the language of `t`
+export const localizeProject = (project, t) => ({
+  ...project,
+  title: t(`project.${project.slug}.title`),
+  summary: t(`project.${project.slug}.summary`),
+  description: project.description.map((_, i) => t(`project.${project.slug}.description.${i}`)),
+});
+
+const subscribe = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+const getBundle = () => bundleFor(active);
+
+// { locale, t(key, values), formatNumber(value, digits) } for the active language;
+// re-renders when the visitor picks another
+export const useI18n = () => useSyncExternalStore(subscribe, getBundle);
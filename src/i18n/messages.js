@@ -0,0 +1,76 @@
+import { formatMessage, messageArguments } from './format.js';
+
+// Message catalogs: one flat JSON object per language in src/content/messages/<locale>.json,
+// dotted keys ('home.readout.time') to ICU messages (see format.js). English is the source
+// language; a key missing from another catalog falls back to English.
+//
+// The English copy of the content files is not repeated in en.json. contentMessages() turns
+// site.json and projects.json into keys that other catalogs can translate:
+//   site.tagline
+//   project.<slug>.title, project.<slug>.summary, project.<slug>.description.<paragraph>
+//   tag.<tag>
+// `npm run i18n` (scripts/i18n-report.js) lists what each catalog is missing.
+
+export const SOURCE_LOCALE = 'en';
+
+export const contentMessages = (site, projects) => {
+  const messages = { 'site.tagline': site.tagline };
+  projects.forEach((project) => {
+    const prefix = `project.${project.slug}`;
+    messages[`${prefix}.title`] = project.title;
+    messages[`${prefix}.summary`] = project.summary;
+    project.description.forEach((paragraph, i) => { messages[`${prefix}.description.${i}`] = paragraph; });
+    project.tags.forEach((tag) => { messages[`tag.${tag}`] = tag; });
+  });
+  return messages;
+};
+
+// t(key, values) for `locale` over `catalogs` (locale -> messages, English included). A key
+// no catalog has comes back as the key itself, and a translation that fails to format falls
+// back to English, so neither breaks the page; `onMissing(key, locale)` hears about both.
+export const createTranslator = (catalogs, locale, { onMissing } = {}) => {
+  const own = catalogs[locale] || {};
+  const source = catalogs[SOURCE_LOCALE] || {};
+  return (key, values) => {
+    if (Object.hasOwn(own, key)) {
+      try {
+        return formatMessage(own[key], values, locale);
+      } catch {
+        // Broken translation: English below
+      }
+    }
+    if (onMissing) onMissing(key, locale);
+    return Object.hasOwn(source, key) ? formatMessage(source[key], values, locale) : key;
+  };
+};
+
+const sameArguments = (a, b) => a.size === b.size && [...a].every(name => b.has(name));
+
+// What each catalog lacks compared to English: { locale: { missing, unused, invalid } }
+//   missing - English keys without a translation (shown in English)
+//   unused  - keys English does not have (renamed or removed copy)
+//   invalid - [key, problem] for messages that do not parse or use other arguments than
+//             the English one (English itself is checked for the first)
+export const checkCatalogs = (catalogs) => {
+  const source = catalogs[SOURCE_LOCALE];
+  const report = {};
+  Object.entries(catalogs).forEach(([locale, messages]) => {
+    const invalid = [];
+    Object.entries(messages).forEach(([key, message]) => {
+      if (!Object.hasOwn(source, key)) return;
+      try {
+        if (!sameArguments(messageArguments(message), messageArguments(source[key]))) {
+          invalid.push([key, `arguments differ from English: ${[...messageArguments(source[key])].join(', ') || 'none'}`]);
+        }
+      } catch (err) {
+        invalid.push([key, err.message]);
+      }
+    });
+    report[locale] = {
+      missing: Object.keys(source).filter(key => !Object.hasOwn(messages, key)),
+      unused: Object.keys(messages).filter(key => !Object.hasOwn(source, key)),
+      invalid,
+    };
+  });
+  return report;
+};
@@ -1,6 +1,8 @@
 import React from 'react';
 import { createRoot } from 'react-dom/client';
 import App from './App.jsx';
+import { adoptPathRoute } from './router.js';
 import './index.css';
 
+adoptPathRoute();
 createRoot(document.getElementById('root')).render(<App />);
@@ -0,0 +1,133 @@
+// Colour themes shared by the canvas scenes and the page chrome.
+//
+// A theme is a named set of colours (its name for visitors is the message theme.<name>):
+//   mode       - 'dark' | 'light' (sets the browser's color-scheme)
+//   background - page and canvas background
+//   ink        - text and hairlines drawn on the background
+//   shade      - translucent panels laid over the scenes
+//   accent     - links, focus rings and highlights
+//   cloud      - gradient stops for the home point cloud, indexed by scroll depth
+//   wave       - gradient stops for the wave field, indexed by displacement (trough -> crest)
+// Stops are evenly spaced sRGB hex colours; ramps between them are interpolated in OKLCH,
+// which keeps lightness and saturation even where a straight hsl() hue sweep would dip or glow.
+
+export const THEMES = {
+  midnight: {
+    mode: 'dark',
+    background: '#0a0a0f',
+    ink: '#ffffff',
+    shade: '#000000',
+    accent: '#818cf8',
+    cloud: ['#173b82', '#0f8a8a', '#089136'],
+    wave: ['#173b82', '#4e1fad', '#d926d9'],
+  },
+  ember: {
+    mode: 'dark',
+    background: '#0f0a0a',
+    ink: '#fff7ed',
+    shade: '#000000',
+    accent: '#fb923c',
+    cloud: ['#7c2d12', '#c2410c', '#ca8a04'],
+    wave: ['#450a0a', '#b91c1c', '#f59e0b'],
+  },
+  paper: {
+    mode: 'light',
+    background: '#f4f2ed',
+    ink: '#16161d',
+    shade: '#ffffff',
+    accent: '#4f46e5',
+    cloud: ['#1e3a8a', '#6d28d9', '#be185d'],
+    wave: ['#1e40af', '#7e22ce', '#db2777'],
+  },
+};
+
+export const DEFAULT_THEME = 'midnight';
+
+// Entries per precomputed ramp; scenes look colours up per point, so no maths per frame
+const RAMP_SIZE = 256;
+
+// --- sRGB <-> OKLab <-> OKLCH (https://bottosson.github.io/posts/oklab/) ---
+
+export const hexToRgb = (hex) => {
+  const value = parseInt(hex.replace('#', ''), 16);
+  return [(value >> 16) & 255, (value >> 8) & 255, value & 255].map(c => c / 255);
+};
+
+const toLinear = c => (c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4));
+const toGamma = c => (c <= 0.0031308 ? c * 12.92 : 1.055 * Math.pow(c, 1 / 2.4) - 0.055);
+const clamp01 = c => Math.max(0, Math.min(1, c));
+
+// [r, g, b] in 0..1 -> [L, C, h] with h in radians
+export const rgbToOklch = (rgb) => {
+  const [r, g, b] = rgb.map(toLinear);
+  const l = Math.cbrt(0.4122214708 * r + 0.5363325363 * g + 0.0514459929 * b);
+  const m = Math.cbrt(0.2119034982 * r + 0.6806995451 * g + 0.1073969566 * b);
+  const s = Math.cbrt(0.0883024619 * r + 0.2817188376 * g + 0.6299787005 * b);
+  const L = 0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s;
+  const A = 1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s;
+  const B = 0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s;
+  return [L, Math.hypot(A, B), Math.atan2(B, A)];
+};
+
+// [L, C, h] -> [r, g, b] in 0..1, clipped to the sRGB gamut
+export const oklchToRgb = ([L, C, h]) => {
+  const A = C * Math.cos(h);
+  const B = C * Math.sin(h);
+  const l = Math.pow(L + 0.3963377774 * A + 0.2158037573 * B, 3);
+  const m = Math.pow(L - 0.1055613458 * A - 0.0638541728 * B, 3);
+  const s = Math.pow(L - 0.0894841775 * A - 1.2914855480 * B, 3);
+  return [
+    4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s,
+    -1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s,
+    -0.0041960863 * l - 0.7034186147 * m + 1.7076147010 * s,
+  ].map(c => clamp01(toGamma(clamp01(c))));
+};
+
+// Interpolate two OKLCH colours, taking the short way round the hue circle
+export const mixOklch = (a, b, t) => {
+  let dh = b[2] - a[2];
+  if (dh > Math.PI) dh -= 2 * Math.PI;
+  if (dh < -Math.PI) dh += 2 * Math.PI;
+  return [a[0] + (b[0] - a[0]) * t, a[1] + (b[1] - a[1]) * t, a[2] + dh * t];
+};
+
+const cssRgb = rgb => `rgb(${rgb.map(c => Math.round(c * 255)).join(', ')})`;
+
+// Precomputed gradient through `stops`. rgb(t) returns [r, g, b] in 0..1, css(t) a colour string;
+// t is clamped to 0..1.
+export const createRamp = (stops, size = RAMP_SIZE) => {
+  const lch = stops.map(stop => rgbToOklch(hexToRgb(stop)));
+  const rgb = [];
+  const css = [];
+  for (let i = 0; i < size; i++) {
+    const x = (i / (size - 1)) * (lch.length - 1);
+    const segment = Math.min(Math.floor(x), lch.length - 2);
+    const color = lch.length === 1 ? oklchToRgb(lch[0]) : oklchToRgb(mixOklch(lch[segment], lch[segment + 1], x - segment));
+    rgb.push(color);
+    css.push(cssRgb(color));
+  }
+  const index = t => Math.round(clamp01(t) * (size - 1));
+  return {
+    rgb: t => rgb[index(t)],
+    css: t => css[index(t)],
+    // `count` evenly spaced samples, for uploading a ramp to a shader
+    samples: count => Array.from({ length: count }, (_, i) => rgb[index(i / (count - 1))]),
+  };
+};
+
+// Themes with their ramps built, cached per name so a theme object is stable
+const compiled = {};
+
+export const getPalette = (name) => {
+  const key = THEMES[name] ? name : DEFAULT_THEME;
+  if (!compiled[key]) {
+    const theme = THEMES[key];
+    compiled[key] = {
+      ...theme,
+      name: key,
+      cloud: createRamp(theme.cloud),
+      wave: createRamp(theme.wave),
+    };
+  }
+  return compiled[key];
+};
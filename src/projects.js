@@ -0,0 +1,19 @@
+import catalog from './content/projects.json';
+
+// Demo components are discovered from src/demos/; a project's `demo` field names the file.
+// scripts/validate-projects.js fails the build when a name has no matching file.
+const demoModules = import.meta.glob('./demos/*.jsx', { eager: true });
+
+const DEMOS = Object.fromEntries(
+  Object.entries(demoModules).map(([file, mod]) => [file.replace(/^\.\/demos\/|\.jsx$/g, ''), mod.default])
+);
+
+export const PROJECTS = catalog.map(project => ({
+  ...project,
+  Demo: project.demo ? DEMOS[project.demo] : null,
+}));
+
+export const getProject = (slug) => PROJECTS.find(p => p.slug === slug) || null;
+
+// Unique tags in first-seen order, used for the filter bar on the home view
+export const TAGS = [...new Set(PROJECTS.flatMap(p => p.tags))];
@@ -0,0 +1,147 @@
+import { useSyncExternalStore } from 'react';
+import { queryFromHash } from './router.js';
+
+// Adaptive rendering quality shared by every scene. A governor watches the interval between
+// animation frames and steps through QUALITY_TIERS: down quickly when frames are slow, back
+// up only after a long run of fast frames, so a device near the threshold does not flicker
+// between tiers. The engine feeds it frame times and caps the devicePixelRatio by the tier
+// (see createEngine); the pages scale their point counts and pass the rest to the scenes.
+//
+// A tier can be forced with #/?quality=<name> (e.g. #/work/x/demo?quality=low) or from the
+// renderer stats overlay; 'auto' hands control back to the governor.
+
+// Highest first, each shown as the message stats.tier.<name>:
+//   pointScale - share of the requested points (cloud points, wave grid cells) drawn
+//   maxDpr     - cap on devicePixelRatio for the backing store
+//   blending   - per-point alpha blending; without it points are drawn flat (see the renderers)
+//   waveTerms  - analytic wave terms evaluated (1..3; the diagonal term is dropped first)
+export const QUALITY_TIERS = [
+  { name: 'high', pointScale: 1, maxDpr: Infinity, blending: true, waveTerms: 3 },
+  { name: 'medium', pointScale: 0.6, maxDpr: 2, blending: true, waveTerms: 3 },
+  { name: 'low', pointScale: 0.35, maxDpr: 1.5, blending: false, waveTerms: 2 },
+  { name: 'minimal', pointScale: 0.2, maxDpr: 1, blending: false, waveTerms: 2 },
+];
+
+// Frames are judged in windows of this many, by their median so one stall does not count
+const WINDOW = 30;
+// A window slower than this (ms, under 45fps) counts against the tier...
+const SLOW_FRAME_MS = 1000 / 45;
+// ...and this many in a row step down
+const SLOW_WINDOWS = 2;
+// A window faster than this (ms, over 57fps) counts towards the tier above...
+const FAST_FRAME_MS = 1000 / 57;
+// ...and this many in a row (about five seconds) step up. Each time a tier has had to be
+// left for being too slow, the run needed to return to it doubles, up to MAX_FAILURES times.
+const FAST_WINDOWS = 10;
+const MAX_FAILURES = 3;
+// Intervals longer than this (ms) are pauses (a dialog, a debugger), not slow frames
+const MAX_FRAME_MS = 500;
+
+const tierIndex = name => QUALITY_TIERS.findIndex(tier => tier.name === name);
+
+// Number of points to draw for `count` requested at `tier`
+export const scaleCount = (count, tier) => Math.max(1, Math.round(count * tier.pointScale));
+
+// Side of a square grid with about tier.pointScale times the cells of a `gridSize` grid
+export const scaleGridSize = (gridSize, tier) => Math.max(2, Math.round(gridSize * Math.sqrt(tier.pointScale)));
+
+// A governor starting at tier `start` (a name). `onChange()` is called whenever the governor
+// moves or a tier is forced or released.
+export const createQualityGovernor = ({ start = QUALITY_TIERS[0].name, onChange } = {}) => {
+  let level = Math.max(0, tierIndex(start));
+  let forced = null; // index of the forced tier, or null
+  let samples = [];
+  let slowRun = 0;
+  let fastRun = 0;
+  const failures = QUALITY_TIERS.map(() => 0); // times each tier was left for being too slow
+
+  const effective = () => QUALITY_TIERS[forced === null ? level : forced];
+
+  const moveTo = (next) => {
+    level = next;
+    samples = [];
+    slowRun = 0;
+    fastRun = 0;
+    if (onChange) onChange();
+  };
+
+  const judgeWindow = () => {
+    const sorted = samples.slice().sort((a, b) => a - b);
+    const median = sorted[Math.floor(sorted.length / 2)];
+    samples = [];
+
+    if (median > SLOW_FRAME_MS) {
+      fastRun = 0;
+      if (++slowRun >= SLOW_WINDOWS && level < QUALITY_TIERS.length - 1) {
+        failures[level] = Math.min(failures[level] + 1, MAX_FAILURES);
+        moveTo(level + 1);
+      }
+    } else if (median < FAST_FRAME_MS) {
+      slowRun = 0;
+      if (level > 0 && ++fastRun >= FAST_WINDOWS * 2 ** failures[level - 1]) moveTo(level - 1);
+    } else {
+      // In between: hold the tier
+      slowRun = 0;
+      fastRun = 0;
+    }
+  };
+
+  return {
+    get tier() {
+      return effective();
+    },
+    get forced() {
+      return forced === null ? null : QUALITY_TIERS[forced].name;
+    },
+
+    // Interval (ms) since the previous frame
+    recordFrame(ms) {
+      if (forced !== null || !(ms > 0) || ms > MAX_FRAME_MS) return;
+      samples.push(ms);
+      if (samples.length >= WINDOW) judgeWindow();
+    },
+
+    // Pin a tier by name; null or an unknown name returns to automatic
+    force(name) {
+      const index = tierIndex(name);
+      const next = index === -1 ? null : index;
+      if (next === forced) return;
+      forced = next;
+      samples = [];
+      slowRun = 0;
+      fastRun = 0;
+      if (onChange) onChange();
+    },
+  };
+};
+
+// --- The governor shared by the pages ---
+
+const listeners = new Set();
+
+// { tier, forced } as last published, so React sees a new object only on a change
+let snapshot = null;
+
+export const qualityGovernor = createQualityGovernor({
+  onChange: () => {
+    snapshot = { tier: qualityGovernor.tier, forced: qualityGovernor.forced };
+    listeners.forEach(listener => listener());
+  },
+});
+snapshot = { tier: qualityGovernor.tier, forced: qualityGovernor.forced };
+
+if (typeof window !== 'undefined') {
+  const { quality } = queryFromHash(window.location.hash);
+  if (quality) qualityGovernor.force(quality);
+}
+
+const subscribe = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+const getSnapshot = () => snapshot;
+
+// { tier, forced }: the effective tier and the name of the forced one (null when automatic).
+// Re-renders when the governor moves or a tier is forced or released.
+export const useQuality = () => useSyncExternalStore(subscribe, getSnapshot);
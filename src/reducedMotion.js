@@ -0,0 +1,64 @@
+import { useSyncExternalStore } from 'react';
+
+// Reduced-motion preference shared by every scene. Follows `prefers-reduced-motion` unless
+// the visitor has overridden it with the in-page toggle; the override is kept in localStorage.
+//   preference: 'system' | 'reduce' | 'full'
+
+const STORAGE_KEY = 'reducedMotion';
+const QUERY = '(prefers-reduced-motion: reduce)';
+
+const mediaQuery = typeof window !== 'undefined' && window.matchMedia ? window.matchMedia(QUERY) : null;
+
+const readPreference = () => {
+  try {
+    const stored = window.localStorage.getItem(STORAGE_KEY);
+    return stored === 'reduce' || stored === 'full' ? stored : 'system';
+  } catch {
+    return 'system'; // storage blocked (private mode, sandboxed iframe)
+  }
+};
+
+let preference = typeof window !== 'undefined' ? readPreference() : 'system';
+
+const listeners = new Set();
+
+const isReduced = () => (preference === 'system' ? Boolean(mediaQuery && mediaQuery.matches) : preference === 'reduce');
+
+// Lets CSS switch off transitions too (see index.css)
+const syncDocument = () => {
+  if (typeof document !== 'undefined') document.documentElement.classList.toggle('reduce-motion', isReduced());
+};
+
+const notify = () => {
+  syncDocument();
+  listeners.forEach(listener => listener());
+};
+
+if (mediaQuery) {
+  // Safari < 14 only has addListener
+  if (mediaQuery.addEventListener) mediaQuery.addEventListener('change', notify);
+  else mediaQuery.addListener(notify);
+}
+syncDocument();
+
+export const setMotionPreference = (value) => {
+  preference = value;
+  try {
+    if (value === 'system') window.localStorage.removeItem(STORAGE_KEY);
+    else window.localStorage.setItem(STORAGE_KEY, value);
+  } catch {
+    // Not persisted; still applies for this visit
+  }
+  notify();
+};
+
+// Flip the effective setting; the result is stored as an explicit override
+export const toggleReducedMotion = () => setMotionPreference(isReduced() ? 'full' : 'reduce');
+
+const subscribe = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+// true when scenes should render a static (or very slow) frame
+export const useReducedMotion = () => useSyncExternalStore(subscribe, isReduced);
@@ -0,0 +1,111 @@
+import { useEffect, useState } from 'react';
+
+// Minimal hash router. GitHub Pages only serves static files, so every route
+// lives after the '#' and always resolves to index.html (no 404.html fallback needed).
+// The build also writes a prerendered copy of index.html at each route's real path
+// (scripts/prerender.js); adoptPathRoute() moves such a path into the hash.
+
+// Route table: order matters, first match wins.
+const ROUTES = [
+  { name: 'home', pattern: /^\/$/ },
+  { name: 'project', pattern: /^\/work\/([a-z0-9-]+)\/?$/, keys: ['slug'] },
+  { name: 'demo', pattern: /^\/work\/([a-z0-9-]+)\/demo\/?$/, keys: ['slug'] },
+];
+
+// Normalise a location hash ('#/work/x?a=1', '#work/x', '') into a path ('/work/x', '/')
+export const pathFromHash = (hash) => {
+  const raw = (hash || '').replace(/^#/, '').split('?')[0];
+  if (!raw) return '/';
+  return raw.startsWith('/') ? raw : `/${raw}`;
+};
+
+// Query string after the path inside the hash ('#/work/x?a=1' -> { a: '1' })
+export const queryFromHash = (hash) => {
+  const index = (hash || '').indexOf('?');
+  return index === -1 ? {} : Object.fromEntries(new URLSearchParams(hash.slice(index + 1)));
+};
+
+// Resolve a path to { name, params, path }. Unknown paths resolve to 'notFound'.
+export const matchRoute = (path) => {
+  for (const route of ROUTES) {
+    const match = path.match(route.pattern);
+    if (match) {
+      const params = {};
+      (route.keys || []).forEach((key, i) => { params[key] = decodeURIComponent(match[i + 1]); });
+      return { name: route.name, params, path };
+    }
+  }
+  return { name: 'notFound', params: {}, path };
+};
+
+// Prerendered pages (dist/work/x/index.html) are served at real paths for crawlers and link
+// previews. Opened in a browser, rewrite '/work/x/' into '/#/work/x' before the app reads the
+// route, so everything past here only ever sees hash routes. Call once, before rendering.
+export const adoptPathRoute = (base = import.meta.env.BASE_URL) => {
+  const { pathname, search, hash } = window.location;
+  if (hash || !pathname.startsWith(base)) return;
+  const path = `/${pathname.slice(base.length)}`.replace(/\/index\.html$/, '/').replace(/(.)\/$/, '$1');
+  if (path === '/') return;
+  window.history.replaceState(null, '', `${base}${search}#${path}`);
+};
+
+export const projectPath = (slug) => `/work/${slug}`;
+export const demoPath = (slug) => `/work/${slug}/demo`;
+
+const currentRoute = () => ({
+  ...matchRoute(pathFromHash(window.location.hash)),
+  query: queryFromHash(window.location.hash),
+});
+
+// Subscribers notified on pushState navigation (pushState does not fire popstate/hashchange)
+const listeners = new Set();
+const notify = () => listeners.forEach(listener => listener(currentRoute()));
+
+export const navigate = (path, { replace = false } = {}) => {
+  const url = `#${path}`;
+  if (replace) {
+    window.history.replaceState(window.history.state, '', url);
+  } else {
+    // Mark entries we created so goBack() knows whether Back stays inside the site
+    window.history.pushState({ internal: true }, '', url);
+  }
+  notify();
+};
+
+// Rewrite the query of the current entry without notifying subscribers. Used by views
+// that mirror their own state into the URL (e.g. shareable demo parameters) and only
+// read the query when they mount.
+export const replaceQuery = (params) => {
+  const search = new URLSearchParams(params).toString();
+  const url = `#${pathFromHash(window.location.hash)}${search ? `?${search}` : ''}`;
+  window.history.replaceState(window.history.state, '', url);
+};
+
+// Return to the previous in-app entry, or replace the current one with `fallback`
+// when the page was opened directly on a deep link.
+export const goBack = (fallback = '/') => {
+  if (window.history.state && window.history.state.internal) {
+    window.history.back();
+  } else {
+    navigate(fallback, { replace: true });
+  }
+};
+
+export const useRoute = () => {
+  const [route, setRoute] = useState(currentRoute);
+
+  useEffect(() => {
+    const handleChange = () => setRoute(currentRoute());
+    listeners.add(setRoute);
+    // popstate covers Back/Forward, hashchange covers hand-edited URLs
+    window.addEventListener('popstate', handleChange);
+    window.addEventListener('hashchange', handleChange);
+    return () => {
+      listeners.delete(setRoute);
+      window.removeEventListener('popstate', handleChange);
+      window.removeEventListener('hashchange', handleChange);
+    };
+  }, []);
+
+  return route;
+};
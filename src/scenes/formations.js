@@ -0,0 +1,190 @@
+import { createRandom } from '../engine/random.js';
+
+// Target shapes for the home point cloud. Each formation fills a Float32Array with `count`
+// positions (x, y, z interleaved) fitting roughly inside a sphere of `radius`; the scene
+// morphs the points from wherever they are towards it (see createPointCloudScene).
+// Randomness comes from the `random` option (see engine/random.js), so a seeded generator
+// gives the same shape every time.
+//
+// Screen axes as in project(): x right, y down, z away from the viewer. Flat formations lie
+// in the x/y plane so they read face-on before the cloud turns.
+
+// Points uniformly distributed inside the sphere
+const sphere = (count, radius, out, { random }) => {
+  for (let i = 0; i < count; i++) {
+    const theta = Math.acos(2 * random() - 1);
+    const phi = 2 * Math.PI * random();
+    const r = radius * Math.cbrt(random());
+    out[i * 3] = r * Math.sin(theta) * Math.cos(phi);
+    out[i * 3 + 1] = r * Math.sin(theta) * Math.sin(phi);
+    out[i * 3 + 2] = r * Math.cos(theta);
+  }
+};
+
+// A ring facing the viewer, its tube filled rather than just the surface
+const torus = (count, radius, out, { random }) => {
+  const major = radius * 0.65;
+  const minor = radius * 0.25;
+  for (let i = 0; i < count; i++) {
+    const around = 2 * Math.PI * random();
+    const across = 2 * Math.PI * random();
+    const r = minor * Math.sqrt(random());
+    const ring = major + r * Math.cos(across);
+    out[i * 3] = ring * Math.cos(around);
+    out[i * 3 + 1] = ring * Math.sin(around);
+    out[i * 3 + 2] = r * Math.sin(across);
+  }
+};
+
+// A flat square grid, as close to `count` cells as a square allows; extra points double up
+const grid = (count, radius, out) => {
+  const side = Math.max(2, Math.round(Math.sqrt(count)));
+  const spacing = (radius * 1.5) / (side - 1);
+  for (let i = 0; i < count; i++) {
+    const cell = i % (side * side);
+    out[i * 3] = (cell % side) * spacing - radius * 0.75;
+    out[i * 3 + 1] = Math.floor(cell / side) * spacing - radius * 0.75;
+    out[i * 3 + 2] = 0;
+  }
+};
+
+// N petals around the centre: each point is placed in one petal and then rotated into
+// place, so the shape repeats exactly every 2π / fold
+const symmetry = (count, radius, out, { random, fold = 3 }) => {
+  // Narrower petals as the fold grows, so neighbours never overlap: a petal's half-width
+  // (at most width * π/2 times the distance out) stays inside its 2π / fold wedge
+  const width = Math.min(0.5, (1.6 * Math.tan(Math.PI / fold)) / Math.PI);
+  for (let i = 0; i < count; i++) {
+    const petal = i % fold;
+    const along = Math.sqrt(random()); // denser towards the tips
+    const across = (random() - 0.5) * Math.sin(Math.PI * along) * width;
+    const angle = (2 * Math.PI * petal) / fold;
+    const x = along * radius;
+    const y = across * radius;
+    out[i * 3] = x * Math.cos(angle) - y * Math.sin(angle);
+    out[i * 3 + 1] = x * Math.sin(angle) + y * Math.cos(angle);
+    out[i * 3 + 2] = (random() - 0.5) * radius * 0.1 * (1 - along);
+  }
+};
+
+// --- Wordmark: points sampled from the studio name rendered to an off-screen canvas ---
+
+const WORDMARK_FONT = '300 96px ui-sans-serif, system-ui, sans-serif';
+
+// Opaque pixel positions of `text`, normalised so the text spans -1..1 horizontally.
+// Cached per text: the font has loaded by the time anyone scrolls to the formation.
+const wordmarkSamples = new Map();
+const sampleWordmark = (text) => {
+  if (wordmarkSamples.has(text)) return wordmarkSamples.get(text);
+  if (!text || typeof document === 'undefined') return null;
+  const canvas = document.createElement('canvas');
+  const ctx = canvas.getContext('2d');
+  if (!ctx) return null;
+
+  ctx.font = WORDMARK_FONT;
+  const textWidth = Math.ceil(ctx.measureText(text).width);
+  canvas.width = textWidth + 8;
+  canvas.height = 128;
+  ctx.font = WORDMARK_FONT; // resizing the canvas resets the context
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.fillStyle = '#fff';
+  ctx.fillText(text, canvas.width / 2, canvas.height / 2);
+
+  const { data } = ctx.getImageData(0, 0, canvas.width, canvas.height);
+  const half = canvas.width / 2;
+  const samples = [];
+  for (let y = 0; y < canvas.height; y += 2) {
+    for (let x = 0; x < canvas.width; x += 2) {
+      if (data[(y * canvas.width + x) * 4 + 3] > 128) {
+        samples.push((x - half) / half, (y - canvas.height / 2) / half);
+      }
+    }
+  }
+  wordmarkSamples.set(text, samples.length ? samples : null);
+  return wordmarkSamples.get(text);
+};
+
+const wordmark = (count, radius, out, { random, text }) => {
+  const samples = sampleWordmark(text);
+  if (!samples) {
+    sphere(count, radius, out, { random }); // no text, or no canvas to draw it with
+    return;
+  }
+  const span = radius * 1.1;
+  const jitter = 2 / 128; // about one sampled pixel
+  for (let i = 0; i < count; i++) {
+    const s = Math.floor(random() * (samples.length / 2)) * 2;
+    out[i * 3] = (samples[s] + (random() - 0.5) * jitter) * span;
+    out[i * 3 + 1] = (samples[s + 1] + (random() - 0.5) * jitter) * span;
+    out[i * 3 + 2] = (random() - 0.5) * radius * 0.05;
+  }
+};
+
+// --- Per-project shapes (named by the `formation` field in content/projects.json) ---
+
+// Adaptive Systems: a few loose flocks
+const swarm = (count, radius, out, { random }) => {
+  const centres = [[-0.45, -0.2, 0.1], [0.4, -0.35, -0.2], [0.05, 0.1, 0.3], [-0.25, 0.45, -0.25], [0.5, 0.35, 0.15]];
+  const gaussian = () => Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+  for (let i = 0; i < count; i++) {
+    const [cx, cy, cz] = centres[i % centres.length];
+    out[i * 3] = (cx + gaussian() * 0.12) * radius;
+    out[i * 3 + 1] = (cy + gaussian() * 0.12) * radius;
+    out[i * 3 + 2] = (cz + gaussian() * 0.12) * radius;
+  }
+};
+
+// Emergent Interfaces: overlapping panels stacked in depth, the nearest one the largest
+const panels = (count, radius, out, { random }) => {
+  // [centre x, centre y, depth, width, height] as fractions of the radius
+  const layout = [[-0.15, -0.1, 0.3, 1.1, 0.8], [0.35, 0.2, 0, 0.7, 0.6], [-0.4, 0.35, -0.3, 0.6, 0.4], [0.3, -0.45, -0.15, 0.5, 0.3]];
+  const areas = layout.map(([, , , w, h]) => w * h);
+  const total = areas.reduce((sum, area) => sum + area, 0);
+  for (let i = 0; i < count; i++) {
+    // Panels get points in proportion to their area so they look equally dense
+    let pick = random() * total;
+    let k = 0;
+    while (pick > areas[k] && k < layout.length - 1) pick -= areas[k++];
+    const [x, y, z, w, h] = layout[k];
+    out[i * 3] = (x + (random() - 0.5) * w) * radius;
+    out[i * 3 + 1] = (y + (random() - 0.5) * h) * radius;
+    out[i * 3 + 2] = z * radius;
+  }
+};
+
+// Computational Design: a sheet of interfering waves, like the wave field demo
+const wave = (count, radius, out, { random }) => {
+  for (let i = 0; i < count; i++) {
+    const x = (random() * 2 - 1) * 0.8;
+    const y = (random() * 2 - 1) * 0.8;
+    out[i * 3] = x * radius;
+    out[i * 3 + 1] = y * radius;
+    out[i * 3 + 2] = (Math.sin(x * 7) + Math.cos(y * 5) + Math.sin((x + y) * 4)) * radius * 0.06;
+  }
+};
+
+// name -> { label, build(count, radius, out, { random, fold, text }), facing }. `facing` formations only
+// read from the front, so the scene turns the cloud towards the viewer instead of spinning.
+export const FORMATIONS = {
+  sphere: { label: 'sphere', build: sphere },
+  torus: { label: 'torus', build: torus },
+  grid: { label: 'grid', build: grid },
+  symmetry: { label: 'rosette', build: symmetry, facing: true },
+  wordmark: { label: 'wordmark', build: wordmark, facing: true },
+  swarm: { label: 'swarm', build: swarm },
+  panels: { label: 'stack of panels', build: panels },
+  wave: { label: 'wave', build: wave },
+};
+
+export const DEFAULT_FORMATION = 'sphere';
+
+// Positions of `count` points in formation `name` (unknown names fall back to the sphere).
+// `fold` sets the number of petals of the symmetry formation and `text` the words the
+// wordmark formation spells (site.json's wordmark on the home page); `random` defaults to a
+// generator with the default seed.
+export const createFormation = (name, count, radius, { fold, text, random = createRandom() } = {}) => {
+  const out = new Float32Array(count * 3);
+  (FORMATIONS[name] || FORMATIONS[DEFAULT_FORMATION]).build(count, radius, out, { fold, text, random });
+  return out;
+};
@@ -0,0 +1,369 @@
+import { REFERENCE_FPS } from '../engine/engine.js';
+import { DEFAULT_SEED, createRandom } from '../engine/random.js';
+import { getPalette, DEFAULT_THEME } from '../palette.js';
+import { createPointCloudGLRenderer } from './pointCloudGL.js';
+import { PERSPECTIVE_DEPTH, project } from './projection.js';
+import { FORMATIONS, DEFAULT_FORMATION, createFormation } from './formations.js';
+import { DEFAULT_CURSOR_FORCE, createPointPhysics } from './pointCloudPhysics.js';
+
+// Rendering for the home page point cloud, independent of any particular canvas, so the
+// live page, off-screen exports and the SVG writer all draw the same frame.
+
+// Range for pinch / keyboard zoom, which changes the perspective depth
+export const PERSPECTIVE_MIN = 600;
+export const PERSPECTIVE_MAX = 6000;
+export const MAX_DOT_RADIUS = 3;
+export const POINTS = 1500;
+
+// Densities offered by the renderer toggle; the larger ones are meant for the WebGL backend
+export const POINT_COUNTS = [POINTS, 15000, 60000];
+
+// Per-frame rates of the three motions, in radians per frame
+export const BASE_ROT_Y = 0.002; // idle rotation around the vertical axis
+export const PULSE_RATE = 0.04; // breathing of the ripple amplitude
+export const WAVE_RATE = 0.1; // radial ripple travelling outwards
+
+// Morphs between formations (seconds): each point travels for MORPH_DURATION, starting up to
+// MORPH_STAGGER after the first so the new shape sweeps in from the top
+export const MORPH_DURATION = 1.2;
+export const MORPH_STAGGER = 0.8;
+
+// Points in the given formation (see formations.js), by default uniformly inside a sphere.
+// `options` as for createFormation: `fold`, `text`, and `random` for a seeded generator.
+export const createPointCloud = (count, radius, formation = DEFAULT_FORMATION, options) => {
+  const positions = createFormation(formation, count, radius, options);
+  const points = [];
+  for (let i = 0; i < count; i++) {
+    points.push({
+      x: positions[i * 3],
+      y: positions[i * 3 + 1],
+      z: positions[i * 3 + 2],
+      offsetX: 0, offsetY: 0
+    });
+  }
+  return points;
+};
+
+// The "Symmetry: N-fold" readout: grows from 3 to 8 with scroll depth and time on the page
+export const symmetryFold = (scrollDepth, sessionTime) =>
+  Math.floor(3 + scrollDepth * 3 + Math.min(sessionTime / 60, 1) * 2);
+
+// Formation the cloud should be in: a hovered project's shape wins over the scroll section's.
+// `key` changes whenever the target shape does, including a new fold for the symmetry.
+export const formationFor = ({ formation, projectFormation, scrollDepth, sessionTime }) => {
+  const name = FORMATIONS[projectFormation] ? projectFormation : FORMATIONS[formation] ? formation : DEFAULT_FORMATION;
+  const fold = symmetryFold(scrollDepth, sessionTime);
+  return { name, fold, key: name === 'symmetry' ? `symmetry:${fold}` : name };
+};
+
+const easeInOutCubic = x => (x < 0.5 ? 4 * x * x * x : 1 - Math.pow(-2 * x + 2, 3) / 2);
+
+// Cloud colour for the current scroll depth, from the theme's cloud ramp (see palette.js)
+export const getColor = (scrollDepth, theme = getPalette(DEFAULT_THEME)) => theme.cloud.css(scrollDepth);
+
+// Pulse multiplier for the ripple amplitude at phase `pulsePhase`
+export const pulseAt = (pulsePhase) => Math.sin(pulsePhase) * 0.3 + 0.7;
+
+// Opacity of every point when drawn without blending (about the average blended alpha)
+const FLAT_ALPHA = 0.45;
+
+// Draws one frame into a width x height area of `ctx`.
+// `wavePhase` drives the radial ripple, `pulse` its amplitude (see pulseAt). Without
+// `blending` (a lower quality tier, see quality.js) all points go into a single path filled
+// once at FLAT_ALPHA, so overlapping points no longer build up.
+export const renderPointCloud = (ctx, {
+  width, height, points, radius, rotX, rotY, rotZ = 0, perspective = PERSPECTIVE_DEPTH,
+  wavePhase, pulse, color, background = null, opacity = 1, blending = true,
+}) => {
+  if (background) {
+    ctx.fillStyle = background;
+    ctx.fillRect(0, 0, width, height);
+  } else {
+    // Clear canvas using logical dimensions
+    ctx.clearRect(0, 0, width, height);
+  }
+
+  ctx.fillStyle = color;
+  if (!blending) {
+    ctx.globalAlpha = FLAT_ALPHA * opacity;
+    ctx.beginPath();
+  }
+
+  for (let i = 0; i < points.length; i++) {
+    const p = points[i];
+    const dist = Math.sqrt(p.x * p.x + p.y * p.y + p.z * p.z);
+    const wave = Math.sin(dist / 10 - wavePhase);
+    const amp = wave * 6 * pulse;
+
+    const pr = project({ x: p.x, y: p.y, z: p.z + amp }, rotY, rotX, width, height, rotZ, perspective);
+
+    // Render Point
+    const depthBias = Math.pow(pr.scale, 1.5);
+    const size = MAX_DOT_RADIUS * pr.scale * (1 + depthBias * 0.8);
+    const x = pr.px + p.offsetX;
+    const y = pr.py + p.offsetY;
+
+    if (!blending) {
+      ctx.moveTo(x + size, y); // start a new circle rather than joining it to the last one
+      ctx.arc(x, y, size, 0, Math.PI * 2);
+      continue;
+    }
+
+    ctx.beginPath();
+    // Clamped: wide formations reach past the radius, and a negative alpha would be ignored
+    ctx.globalAlpha = Math.max(0, (0.25 + 0.75 * (1 - dist / radius)) * pr.scale * opacity);
+    ctx.arc(x, y, size, 0, Math.PI * 2);
+    ctx.fill();
+  }
+
+  if (!blending) ctx.fill();
+  ctx.globalAlpha = 1;
+};
+
+// Inputs for renderPointCloud (minus size and colour) from the shared state refs
+export const pointCloudFrame = ({ state, motion, props }) => ({
+  points: state.points,
+  revision: state.revision,
+  radius: state.RADIUS,
+  rotX: motion.rotX,
+  rotY: motion.rotY,
+  rotZ: motion.rotZ,
+  perspective: motion.perspective,
+  wavePhase: motion.t * WAVE_RATE,
+  pulse: pulseAt(motion.t * PULSE_RATE + props.sessionTime * 0.01),
+});
+
+// Initial values of the three refs the scene shares with the page (see createPointCloudScene)
+export const createCloudState = () => ({
+  points: [],
+  RADIUS: 0,
+  formation: null, // key of the formation the points are in or morphing towards
+  morph: null,
+  revision: 0,
+});
+
+export const createCloudMotion = () => ({
+  isDragging: false,
+  lastX: 0,
+  lastY: 0,
+  velocityX: 0, // angular velocity around X (vertical drag)
+  velocityY: 0, // angular velocity around Y (horizontal drag)
+  rotX: 0,
+  rotY: 0,
+  rotZ: 0, // roll from a two-finger twist
+  perspective: PERSPECTIVE_DEPTH, // pinch / +- zoom
+  baseRotY: BASE_ROT_Y,
+  t: 0, // frame counter driving the ripple and pulse
+  mouse: { x: 0, y: 0, active: false },
+  shockwaves: [], // clicks waiting for the physics layer: { x, y } in canvas pixels
+});
+
+export const createCloudProps = () => ({
+  scrollDepth: 0,
+  sessionTime: 0,
+  formation: DEFAULT_FORMATION, // of the scroll section in view
+  projectFormation: null, // of the hovered or focused project card
+});
+
+// Engine scene (see engine/engine.js). The three refs live outside React so the cloud keeps
+// its points and orientation across re-mounts:
+//   state  - { points, RADIUS, formation, morph, revision }: `formation` is the key of the
+//            target shape (see formationFor), `morph` the transition towards it, and
+//            `revision` counts position changes so renderers know to re-upload
+//   motion - rotation (rotX/rotY/rotZ), angular velocities, perspective, mouse, the frame
+//            clock `t` and `shockwaves`, a queue of { x, y } clicks for the physics layer
+//   props  - { scrollDepth, sessionTime } driving colour, pulse and symmetry, plus the
+//            `formation` of the current scroll section and `projectFormation` of a hovered card
+// `count` is the number of points; changing it regenerates the cloud. `theme` is a compiled
+// palette (see palette.js).
+// With `reducedMotion` the ambient spin, ripple and hover drift stop, leaving a still frame
+// that only moves when the visitor drags it; formations change in a single step, and the
+// cursor force and shockwaves are off.
+// `cursor` (see DEFAULT_CURSOR_FORCE in pointCloudPhysics.js) is read every frame.
+// `blending: false` draws the points flat (see renderPointCloud), for low quality tiers.
+// `seed` seeds the generator behind the point positions and morph timing, so a scene stepped
+// through the same frames (see renderSceneAt in engine.js) always draws the same picture.
+// `wordmark` is the text of the wordmark formation; without it that formation is a sphere.
+export const createPointCloudScene = ({
+  state, motion, props, count = POINTS, reducedMotion = false, theme = getPalette(DEFAULT_THEME),
+  cursor = DEFAULT_CURSOR_FORCE, seed = DEFAULT_SEED, blending = true, wordmark = null,
+}) => {
+  const size = { width: 0, height: 0 };
+  const random = createRandom(seed);
+  const physics = createPointPhysics();
+  let restX = new Float32Array(0);
+  let restY = new Float32Array(0);
+
+  // Screen position of every point without its offset, as the renderers project it
+  // (minus the small ripple), for the physics layer
+  const projectRest = () => {
+    const { points } = state;
+    if (restX.length !== points.length) {
+      restX = new Float32Array(points.length);
+      restY = new Float32Array(points.length);
+    }
+    for (let i = 0; i < points.length; i++) {
+      const pr = project(points[i], motion.rotY, motion.rotX, size.width, size.height, motion.rotZ, motion.perspective);
+      restX[i] = pr.px;
+      restY[i] = pr.py;
+    }
+  };
+
+  // Per-frame inputs shared by both backends
+  const frameInputs = () => pointCloudFrame({ state, motion, props });
+
+  // Start moving every point from where it is now towards `target`
+  const startMorph = (target) => {
+    const { points } = state;
+    const to = createFormation(target.name, points.length, state.RADIUS, { fold: target.fold, text: wordmark, random });
+    state.formation = target.key;
+
+    if (reducedMotion) {
+      points.forEach((p, i) => {
+        p.x = to[i * 3];
+        p.y = to[i * 3 + 1];
+        p.z = to[i * 3 + 2];
+      });
+      state.morph = null;
+      state.revision++;
+      return;
+    }
+
+    const from = new Float32Array(points.length * 3);
+    const delays = new Float32Array(points.length);
+    points.forEach((p, i) => {
+      from[i * 3] = p.x;
+      from[i * 3 + 1] = p.y;
+      from[i * 3 + 2] = p.z;
+      // Mostly top to bottom by destination, with some noise so the front edge is soft
+      const row = Math.min(Math.max((to[i * 3 + 1] / state.RADIUS + 1) / 2, 0), 1);
+      delays[i] = (row * 0.7 + random() * 0.3) * MORPH_STAGGER;
+    });
+    state.morph = { from, to, delays, elapsed: 0 };
+  };
+
+  // Eased, staggered interpolation of the running morph
+  const advanceMorph = (dt) => {
+    const { morph, points } = state;
+    morph.elapsed += dt;
+    let done = true;
+    for (let i = 0; i < points.length; i++) {
+      const progress = Math.min(Math.max((morph.elapsed - morph.delays[i]) / MORPH_DURATION, 0), 1);
+      if (progress < 1) done = false;
+      const e = easeInOutCubic(progress);
+      const p = points[i];
+      p.x = morph.from[i * 3] + (morph.to[i * 3] - morph.from[i * 3]) * e;
+      p.y = morph.from[i * 3 + 1] + (morph.to[i * 3 + 1] - morph.from[i * 3 + 1]) * e;
+      p.z = morph.from[i * 3 + 2] + (morph.to[i * 3 + 2] - morph.from[i * 3 + 2]) * e;
+    }
+    if (done) state.morph = null;
+    state.revision++;
+  };
+
+  return {
+    init({ width, height }) {
+      size.width = width;
+      size.height = height;
+      state.RADIUS = Math.min(width, height) * 0.4;
+
+      // Initialize points if needed, straight into the current formation
+      if (state.points.length !== count) {
+        const target = formationFor(props);
+        state.points = createPointCloud(count, state.RADIUS, target.name, { fold: target.fold, text: wordmark, random });
+        state.formation = target.key;
+        state.morph = null;
+        state.revision++;
+      }
+    },
+
+    update(dt) {
+      // Rates are tuned per 60fps frame; scale them by the elapsed frame steps
+      const step = dt * REFERENCE_FPS;
+      const ambient = reducedMotion ? 0 : step; // frame steps for motion nobody asked for
+      const damping = Math.pow(0.96, step);
+      const { baseRotY, velocityX, velocityY, isDragging, mouse } = motion;
+
+      // Formation: follow the scroll section / hovered project
+      const target = formationFor(props);
+      if (target.key !== state.formation) startMorph(target);
+      if (state.morph) advanceMorph(dt);
+
+      // Update Motion: horizontal drag spins around Y, vertical drag tilts around X. While a
+      // pointer is down it rotates the cloud directly; afterwards the velocity coasts and decays.
+      // Flat formations are turned to face the viewer instead of spinning.
+      if (FORMATIONS[target.name].facing && !isDragging) {
+        const settle = 1 - Math.pow(0.96, ambient);
+        const front = Math.round(motion.rotY / (Math.PI * 2)) * Math.PI * 2;
+        motion.rotY += (front - motion.rotY) * settle;
+        motion.rotX -= motion.rotX * settle;
+      } else {
+        motion.rotY += baseRotY * ambient;
+      }
+      if (!isDragging) {
+        motion.rotY += velocityY * step;
+        motion.rotX += velocityX * step;
+        motion.velocityX *= damping;
+        motion.velocityY *= damping;
+      }
+      motion.rotX = Math.max(Math.min(motion.rotX, Math.PI / 3), -Math.PI / 3);
+
+      // Mouse Interaction
+      if (mouse.active) {
+        const cx = size.width / 2;
+        const cy = size.height / 2;
+        const dx = mouse.x - cx;
+        const dy = mouse.y - cy;
+        const d = Math.sqrt(dx * dx + dy * dy);
+        const proximity = Math.max(0, 1 - d / (Math.min(size.width, size.height) / 2));
+        motion.rotY += dx * 0.000001 * proximity * ambient;
+        motion.rotX -= dy * 0.000001 * proximity * ambient;
+      }
+
+      // Per-point physics: cursor force, click shockwaves and the spring back to rest
+      const shockwaves = motion.shockwaves.splice(0);
+      if (!reducedMotion) shockwaves.forEach(({ x, y }) => physics.shockwave(x, y));
+      const cursorActive = mouse.active && !isDragging && !reducedMotion;
+      if (!physics.isIdle(cursorActive)) {
+        projectRest();
+        physics.step({
+          points: state.points,
+          restX,
+          restY,
+          width: size.width,
+          height: size.height,
+          cursor: { x: mouse.x, y: mouse.y, active: cursorActive },
+          force: cursor,
+          steps: step,
+        });
+        state.revision++;
+      }
+
+      motion.t += ambient;
+    },
+
+    render(ctx, { width, height }) {
+      renderPointCloud(ctx, {
+        width,
+        height,
+        ...frameInputs(),
+        color: getColor(props.scrollDepth, theme),
+        blending,
+      });
+    },
+
+    createGLRenderer(gl) {
+      const renderer = createPointCloudGLRenderer(gl);
+      return {
+        render: (gl, { width, height, dpr }) => renderer.draw(gl, {
+          width,
+          height,
+          dpr,
+          ...frameInputs(),
+          color: theme.cloud.rgb(props.scrollDepth),
+          blending,
+        }),
+        destroy: renderer.destroy,
+      };
+    },
+  };
+};
@@ -0,0 +1,119 @@
+import { createProgram, setupPointBlending, ROUND_POINT_FRAGMENT } from '../engine/webgl.js';
+import { MAX_DOT_RADIUS } from './pointCloud.js';
+import { PERSPECTIVE_DEPTH, GLSL_PROJECT } from './projection.js';
+
+// WebGL renderer for the home point cloud. The ripple displacement, the Y/X rotation and
+// the perspective divide of `project` all run in the vertex shader, so the CPU only uploads
+// the rest positions and screen offsets when the cloud is (re)generated, morphing or pushed
+// around by the physics layer.
+
+// Built on demand: the scene module imports this file, so its constants are only
+// safe to read once both modules have finished evaluating.
+const vertexShader = () => `
+attribute vec3 a_position;
+attribute vec2 a_offset;
+uniform vec2 u_resolution;
+uniform float u_dpr;
+uniform float u_rotY;
+uniform float u_rotX;
+uniform float u_rotZ;
+uniform float u_perspective;
+uniform float u_wavePhase;
+uniform float u_pulse;
+uniform float u_radius;
+uniform float u_opacity;
+uniform vec3 u_color;
+varying vec4 v_color;
+
+const float MAX_DOT_RADIUS = ${MAX_DOT_RADIUS.toFixed(1)};
+
+${GLSL_PROJECT}
+
+void main() {
+  float dist = length(a_position);
+  float amp = sin(dist / 10.0 - u_wavePhase) * 6.0 * u_pulse;
+  vec3 p = vec3(a_position.xy, a_position.z + amp);
+
+  vec4 projected = project(p, u_rotY, u_rotX, u_rotZ, u_perspective);
+  float scale = projected.z;
+
+  vec2 screen = u_resolution * 0.5 + projected.xy + a_offset;
+  vec2 clip = screen / u_resolution * 2.0 - 1.0;
+  gl_Position = vec4(clip.x, -clip.y, 0.0, 1.0);
+
+  float depthBias = pow(scale, 1.5);
+  float radius = MAX_DOT_RADIUS * scale * (1.0 + depthBias * 0.8);
+  gl_PointSize = radius * 2.0 * u_dpr;
+
+  float alpha = (0.25 + 0.75 * (1.0 - dist / u_radius)) * scale * u_opacity;
+  v_color = vec4(u_color, clamp(alpha, 0.0, 1.0));
+}
+`;
+
+const UNIFORMS = ['u_resolution', 'u_dpr', 'u_rotY', 'u_rotX', 'u_rotZ', 'u_perspective', 'u_wavePhase', 'u_pulse', 'u_radius', 'u_opacity', 'u_color'];
+
+export const createPointCloudGLRenderer = (gl) => {
+  const { program, attributes, uniforms } = createProgram(gl, vertexShader(), ROUND_POINT_FRAGMENT, ['a_position', 'a_offset'], UNIFORMS);
+  const buffer = gl.createBuffer();
+  let uploaded = null; // the points array currently in `buffer`
+  let uploadedRevision = null; // and the state revision its positions came from
+
+  const upload = (points) => {
+    // Interleaved: x, y, z, offsetX, offsetY
+    const data = new Float32Array(points.length * 5);
+    for (let i = 0; i < points.length; i++) {
+      data[i * 5] = points[i].x;
+      data[i * 5 + 1] = points[i].y;
+      data[i * 5 + 2] = points[i].z;
+      data[i * 5 + 3] = points[i].offsetX;
+      data[i * 5 + 4] = points[i].offsetY;
+    }
+    gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+    gl.bufferData(gl.ARRAY_BUFFER, data, gl.DYNAMIC_DRAW);
+    uploaded = points;
+  };
+
+  return {
+    // `color` is [r, g, b] in 0..1; a new `revision` means the positions moved (a morph).
+    // Without `blending` each point simply overwrites what is under it.
+    draw(gl, {
+      width, height, dpr, points, revision = 0, radius, rotX, rotY, rotZ = 0, perspective = PERSPECTIVE_DEPTH,
+      wavePhase, pulse, color, opacity = 1, blending = true,
+    }) {
+      if (uploaded !== points || uploadedRevision !== revision) {
+        upload(points);
+        uploadedRevision = revision;
+      }
+
+      gl.clearColor(0, 0, 0, 0);
+      gl.clear(gl.COLOR_BUFFER_BIT);
+      setupPointBlending(gl);
+      if (!blending) gl.disable(gl.BLEND);
+
+      gl.useProgram(program);
+      gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+      gl.enableVertexAttribArray(attributes.a_position);
+      gl.vertexAttribPointer(attributes.a_position, 3, gl.FLOAT, false, 20, 0);
+      gl.enableVertexAttribArray(attributes.a_offset);
+      gl.vertexAttribPointer(attributes.a_offset, 2, gl.FLOAT, false, 20, 12);
+
+      gl.uniform2f(uniforms.u_resolution, width, height);
+      gl.uniform1f(uniforms.u_dpr, dpr);
+      gl.uniform1f(uniforms.u_rotY, rotY);
+      gl.uniform1f(uniforms.u_rotX, rotX);
+      gl.uniform1f(uniforms.u_rotZ, rotZ);
+      gl.uniform1f(uniforms.u_perspective, perspective);
+      gl.uniform1f(uniforms.u_wavePhase, wavePhase);
+      gl.uniform1f(uniforms.u_pulse, pulse);
+      gl.uniform1f(uniforms.u_radius, radius);
+      gl.uniform1f(uniforms.u_opacity, opacity);
+      gl.uniform3fv(uniforms.u_color, color);
+
+      gl.drawArrays(gl.POINTS, 0, points.length);
+    },
+    destroy(gl) {
+      gl.deleteBuffer(buffer);
+      gl.deleteProgram(program);
+    },
+  };
+};
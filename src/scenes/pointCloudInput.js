@@ -0,0 +1,189 @@
+import { PERSPECTIVE_MIN, PERSPECTIVE_MAX } from './pointCloud.js';
+
+// Pointer and keyboard controls for the home point cloud. Writes into the shared motion
+// ref read by createPointCloudScene:
+//   - one pointer (mouse, pen or finger) drags: horizontal -> rotY, vertical -> rotX,
+//     leaving an angular velocity behind on release so the cloud coasts (inertia)
+//   - two touch pointers pinch to change the perspective depth, twist to roll (rotZ) and,
+//     moved up or down together, tilt (rotX). On the home page a one-finger vertical swipe
+//     scrolls the page instead (touch-action: pan-y, see App.jsx), so on touch screens this
+//     is the way to tilt.
+//   - a click or tap (a press that barely moves) queues a shockwave at that point
+//   - arrow keys nudge the rotation, +/- zoom and Enter / Space sends a shockwave from the
+//     centre, while the canvas has focus
+// Pointer capture keeps the drag alive when the pointer leaves the canvas, so releasing
+// outside it (or the browser cancelling the gesture) always ends the drag.
+
+// Radians of rotation per CSS pixel dragged
+const DRAG_SPEED = 0.005;
+// Angular velocity added per arrow key press (radians per frame step)
+const KEY_IMPULSE = 0.02;
+// Perspective factor per +/- key press
+const KEY_ZOOM = 1.15;
+// Length of one frame step in ms, for turning pointer deltas into per-frame velocities
+const FRAME_MS = 1000 / 60;
+// A press that moves less than this (CSS pixels) and lifts within CLICK_TIME (ms) is a click
+const CLICK_SLOP = 6;
+const CLICK_TIME = 300;
+
+const clampPerspective = value => Math.max(PERSPECTIVE_MIN, Math.min(PERSPECTIVE_MAX, value));
+
+// Distance, angle and vertical midpoint of the first two active pointers
+const measurePair = (pointers) => {
+  const [a, b] = [...pointers.values()];
+  return {
+    distance: Math.hypot(b.x - a.x, b.y - a.y),
+    angle: Math.atan2(b.y - a.y, b.x - a.x),
+    midY: (a.y + b.y) / 2,
+  };
+};
+
+const clampTilt = value => Math.max(Math.min(value, Math.PI / 3), -Math.PI / 3);
+
+// Returns a function that removes every listener again
+export const attachPointCloudInput = (canvas, motion) => {
+  const pointers = new Map(); // pointerId -> { x, y } for pointers currently down
+  let pinch = null; // { distance, angle, midY, perspective, rotZ, rotX } at the start of a two-finger gesture
+  let lastMoveTime = 0;
+  let press = null; // { x, y, time } of a single pointer that may turn out to be a click
+
+  const updateHover = (e) => {
+    const rect = canvas.getBoundingClientRect();
+    motion.mouse.x = e.clientX - rect.left;
+    motion.mouse.y = e.clientY - rect.top;
+    motion.mouse.active = true;
+  };
+
+  const startDrag = (e) => {
+    motion.isDragging = true;
+    motion.lastX = e.clientX;
+    motion.lastY = e.clientY;
+    motion.velocityX = 0;
+    motion.velocityY = 0;
+    lastMoveTime = e.timeStamp;
+  };
+
+  const startPinch = () => {
+    motion.isDragging = false;
+    pinch = { ...measurePair(pointers), perspective: motion.perspective, rotZ: motion.rotZ, rotX: motion.rotX };
+  };
+
+  const handlePointerDown = (e) => {
+    if (e.pointerType === 'mouse' && e.button !== 0) return;
+    canvas.setPointerCapture(e.pointerId);
+    pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    updateHover(e);
+
+    if (pointers.size === 1) {
+      startDrag(e);
+      press = { x: e.clientX, y: e.clientY, time: e.timeStamp };
+    } else if (pointers.size === 2) {
+      press = null;
+      startPinch();
+    }
+  };
+
+  const handlePointerMove = (e) => {
+    updateHover(e);
+    if (!pointers.has(e.pointerId)) return;
+    pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    if (press && Math.hypot(e.clientX - press.x, e.clientY - press.y) > CLICK_SLOP) press = null;
+
+    if (pinch && pointers.size >= 2) {
+      const { distance, angle, midY } = measurePair(pointers);
+      // Spreading the fingers brings the camera closer (shallower perspective depth)
+      if (distance > 0) motion.perspective = clampPerspective(pinch.perspective * (pinch.distance / distance));
+      motion.rotZ = pinch.rotZ + (angle - pinch.angle);
+      // Both fingers moving up or down tilt, as a one-finger vertical drag does with a mouse
+      motion.rotX = clampTilt(pinch.rotX + (midY - pinch.midY) * DRAG_SPEED);
+      return;
+    }
+
+    if (!motion.isDragging) return;
+    const dx = e.clientX - motion.lastX;
+    const dy = e.clientY - motion.lastY;
+    motion.lastX = e.clientX;
+    motion.lastY = e.clientY;
+
+    // Rotate directly under the pointer; the front of the sphere follows the drag
+    const dRotY = -dx * DRAG_SPEED;
+    const dRotX = dy * DRAG_SPEED;
+    motion.rotY += dRotY;
+    motion.rotX = clampTilt(motion.rotX + dRotX);
+
+    // Velocity per frame step, picked up by the scene as inertia once the pointer is released
+    const frames = Math.max((e.timeStamp - lastMoveTime) / FRAME_MS, 1);
+    lastMoveTime = e.timeStamp;
+    motion.velocityY = dRotY / frames;
+    motion.velocityX = dRotX / frames;
+  };
+
+  const handlePointerEnd = (e) => {
+    if (!pointers.delete(e.pointerId)) return;
+
+    if (pointers.size === 1) {
+      // Dropping from a pinch to one finger: continue as a drag from where that finger is
+      pinch = null;
+      const [remaining] = pointers.values();
+      startDrag({ clientX: remaining.x, clientY: remaining.y, timeStamp: e.timeStamp });
+    } else if (pointers.size === 0) {
+      pinch = null;
+      motion.isDragging = false;
+      if (press && e.type === 'pointerup' && e.timeStamp - press.time < CLICK_TIME) {
+        motion.shockwaves.push({ x: motion.mouse.x, y: motion.mouse.y });
+      }
+      press = null;
+      // A pointer that stopped before lifting should not fling the sphere
+      if (e.timeStamp - lastMoveTime > 100) {
+        motion.velocityX = 0;
+        motion.velocityY = 0;
+      }
+    }
+  };
+
+  const handlePointerLeave = (e) => {
+    if (!pointers.has(e.pointerId)) motion.mouse.active = false;
+  };
+
+  const handleKeyDown = (e) => {
+    switch (e.key) {
+      case 'ArrowLeft': motion.velocityY += KEY_IMPULSE; break;
+      case 'ArrowRight': motion.velocityY -= KEY_IMPULSE; break;
+      case 'ArrowUp': motion.velocityX -= KEY_IMPULSE; break;
+      case 'ArrowDown': motion.velocityX += KEY_IMPULSE; break;
+      case '+':
+      case '=': motion.perspective = clampPerspective(motion.perspective / KEY_ZOOM); break;
+      case '-':
+      case '_': motion.perspective = clampPerspective(motion.perspective * KEY_ZOOM); break;
+      case 'Enter':
+      case ' ': {
+        const rect = canvas.getBoundingClientRect();
+        motion.shockwaves.push({ x: rect.width / 2, y: rect.height / 2 });
+        break;
+      }
+      default: return;
+    }
+    // Keep arrows from scrolling the page while the canvas has focus
+    e.preventDefault();
+  };
+
+  canvas.addEventListener('pointerdown', handlePointerDown);
+  canvas.addEventListener('pointermove', handlePointerMove);
+  canvas.addEventListener('pointerup', handlePointerEnd);
+  canvas.addEventListener('pointercancel', handlePointerEnd);
+  canvas.addEventListener('lostpointercapture', handlePointerEnd);
+  canvas.addEventListener('pointerleave', handlePointerLeave);
+  canvas.addEventListener('keydown', handleKeyDown);
+
+  return () => {
+    canvas.removeEventListener('pointerdown', handlePointerDown);
+    canvas.removeEventListener('pointermove', handlePointerMove);
+    canvas.removeEventListener('pointerup', handlePointerEnd);
+    canvas.removeEventListener('pointercancel', handlePointerEnd);
+    canvas.removeEventListener('lostpointercapture', handlePointerEnd);
+    canvas.removeEventListener('pointerleave', handlePointerLeave);
+    canvas.removeEventListener('keydown', handleKeyDown);
+    motion.isDragging = false;
+    motion.mouse.active = false;
+  };
+};
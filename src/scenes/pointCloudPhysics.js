@@ -0,0 +1,189 @@
+// Per-point physics for the home point cloud, in screen space. Each point has a 2D offset
+// (offsetX / offsetY, in CSS pixels) from its projected rest position and a velocity:
+//   - a damped spring pulls every offset back to zero
+//   - points near the cursor are pushed away from it (or pulled towards it)
+//   - a click sends out a shockwave: an expanding ring that kicks points outwards as it passes
+// Neighbours of the cursor and of each ring are found through a uniform spatial grid
+// rebuilt every active frame, so the cost of the forces grows with the points affected
+// rather than the size of the cloud.
+
+export const CURSOR_MODES = ['repel', 'attract', 'off'];
+
+// `radius` in CSS pixels; `strength` scales the push (1 = default)
+export const DEFAULT_CURSOR_FORCE = { mode: 'repel', radius: 120, strength: 1 };
+
+// Ranges for the cursor controls, labelled with the messages stats.cursor.<key>
+export const CURSOR_FORCE_SPECS = {
+  radius: { min: 40, max: 300, step: 10, digits: 0 },
+  strength: { min: 0.1, max: 4, step: 0.1, digits: 1 },
+};
+
+// Per frame step: spring constant, share of the velocity kept, and the push (px / step²)
+// at the cursor itself with strength 1
+const STIFFNESS = 0.04;
+const DAMPING = 0.86;
+const PUSH = 2.5;
+
+// Shockwave ring: speed (px / step), thickness (px), outward kick (px / step) and lifetime (steps)
+const SHOCK_SPEED = 14;
+const SHOCK_WIDTH = 36;
+const SHOCK_KICK = 6;
+const SHOCK_LIFETIME = 60;
+
+// Below this (px and px / step) a point counts as back at rest
+const REST_EPSILON = 0.01;
+
+// Uniform grid over the viewport. build() sorts point indices into cells with a counting
+// sort (no per-frame allocation once the arrays have grown); points off-screen are left out.
+export const createSpatialGrid = () => {
+  let cellSize = 1;
+  let cols = 0;
+  let rows = 0;
+  let cellStart = new Int32Array(1); // items[cellStart[c] .. cellStart[c + 1]) are in cell c
+  let items = new Int32Array(0);
+  let cellOf = new Int32Array(0);
+
+  return {
+    build(xs, ys, count, width, height, size) {
+      cellSize = size;
+      cols = Math.max(1, Math.ceil(width / size));
+      rows = Math.max(1, Math.ceil(height / size));
+      const cells = cols * rows;
+      if (cellStart.length < cells + 1) cellStart = new Int32Array(cells + 1);
+      else cellStart.fill(0, 0, cells + 1);
+      if (items.length < count) {
+        items = new Int32Array(count);
+        cellOf = new Int32Array(count);
+      }
+
+      for (let i = 0; i < count; i++) {
+        const cx = Math.floor(xs[i] / size);
+        const cy = Math.floor(ys[i] / size);
+        if (cx < 0 || cy < 0 || cx >= cols || cy >= rows) {
+          cellOf[i] = -1;
+          continue;
+        }
+        cellOf[i] = cy * cols + cx;
+        cellStart[cellOf[i] + 1]++;
+      }
+      for (let c = 0; c < cells; c++) cellStart[c + 1] += cellStart[c];
+      // Fill each cell from its end, counting down, so no second cursor array is needed
+      const ends = cellStart.slice(1, cells + 1);
+      for (let i = 0; i < count; i++) {
+        if (cellOf[i] >= 0) items[--ends[cellOf[i]]] = i;
+      }
+    },
+
+    // Calls fn(index) for every point in the cells overlapping the circle (x, y, radius)
+    forEachNear(x, y, radius, fn) {
+      const x0 = Math.max(0, Math.floor((x - radius) / cellSize));
+      const x1 = Math.min(cols - 1, Math.floor((x + radius) / cellSize));
+      const y0 = Math.max(0, Math.floor((y - radius) / cellSize));
+      const y1 = Math.min(rows - 1, Math.floor((y + radius) / cellSize));
+      for (let cy = y0; cy <= y1; cy++) {
+        for (let cx = x0; cx <= x1; cx++) {
+          const c = cy * cols + cx;
+          for (let k = cellStart[c]; k < cellStart[c + 1]; k++) fn(items[k]);
+        }
+      }
+    },
+  };
+};
+
+export const createPointPhysics = () => {
+  const grid = createSpatialGrid();
+  let vx = new Float32Array(0);
+  let vy = new Float32Array(0);
+  let xs = new Float32Array(0); // current screen positions (rest + offset)
+  let ys = new Float32Array(0);
+  let waves = []; // { x, y, age } of running shockwaves
+  let resting = false; // points may still carry offsets from an earlier scene
+
+  const resize = (count) => {
+    if (vx.length === count) return;
+    vx = new Float32Array(count);
+    vy = new Float32Array(count);
+    xs = new Float32Array(count);
+    ys = new Float32Array(count);
+  };
+
+  return {
+    // Nothing to compute: every point at rest, no cursor force and no shockwave running
+    isIdle: (cursorActive) => resting && !cursorActive && waves.length === 0,
+
+    shockwave(x, y) {
+      waves.push({ x, y, age: 0 });
+    },
+
+    // Advances by `steps` frame steps. `restX` / `restY` hold each point's projected rest
+    // position; `cursor` is { x, y, active } and `force` as in DEFAULT_CURSOR_FORCE.
+    // Writes points[i].offsetX / offsetY. Returns false once everything has come to rest.
+    step({ points, restX, restY, width, height, cursor, force, steps }) {
+      const count = points.length;
+      resize(count);
+      for (let i = 0; i < count; i++) {
+        xs[i] = restX[i] + points[i].offsetX;
+        ys[i] = restY[i] + points[i].offsetY;
+      }
+
+      const pushing = cursor.active && force.mode !== 'off' && force.strength > 0;
+      if (pushing || waves.length) grid.build(xs, ys, count, width, height, Math.max(force.radius, SHOCK_WIDTH));
+
+      // --- Cursor: falls off with the square of the distance to the edge of the radius ---
+      if (pushing) {
+        const sign = force.mode === 'attract' ? -1 : 1;
+        const push = PUSH * force.strength * steps;
+        grid.forEachNear(cursor.x, cursor.y, force.radius, (i) => {
+          const dx = xs[i] - cursor.x;
+          const dy = ys[i] - cursor.y;
+          const d = Math.sqrt(dx * dx + dy * dy);
+          if (d >= force.radius || d < 0.5) return;
+          const falloff = (1 - d / force.radius) ** 2;
+          vx[i] += (dx / d) * falloff * push * sign;
+          vy[i] += (dy / d) * falloff * push * sign;
+        });
+      }
+
+      // --- Shockwaves: kick the points inside each ring outwards, weaker as the ring ages ---
+      waves.forEach((wave) => {
+        wave.age += steps;
+        const outer = wave.age * SHOCK_SPEED;
+        const inner = outer - SHOCK_WIDTH;
+        const kick = SHOCK_KICK * (1 - wave.age / SHOCK_LIFETIME);
+        grid.forEachNear(wave.x, wave.y, outer, (i) => {
+          const dx = xs[i] - wave.x;
+          const dy = ys[i] - wave.y;
+          const d = Math.sqrt(dx * dx + dy * dy);
+          if (d > outer || d < Math.max(inner, 0.5)) return;
+          const profile = Math.sin(((d - inner) / SHOCK_WIDTH) * Math.PI); // 0 at both edges
+          vx[i] += (dx / d) * kick * profile;
+          vy[i] += (dy / d) * kick * profile;
+        });
+      });
+      waves = waves.filter(wave => wave.age < SHOCK_LIFETIME);
+
+      // --- Spring back and integrate ---
+      const keep = Math.pow(DAMPING, steps);
+      let moving = false;
+      for (let i = 0; i < count; i++) {
+        const p = points[i];
+        vx[i] = (vx[i] - p.offsetX * STIFFNESS * steps) * keep;
+        vy[i] = (vy[i] - p.offsetY * STIFFNESS * steps) * keep;
+        p.offsetX += vx[i] * steps;
+        p.offsetY += vy[i] * steps;
+        if (Math.abs(p.offsetX) + Math.abs(p.offsetY) + Math.abs(vx[i]) + Math.abs(vy[i]) > REST_EPSILON) {
+          moving = true;
+        }
+      }
+
+      // Settle exactly, so the renderers can stop re-uploading
+      if (!moving) {
+        points.forEach((p) => { p.offsetX = 0; p.offsetY = 0; });
+        vx.fill(0);
+        vy.fill(0);
+      }
+      resting = !moving;
+      return moving;
+    },
+  };
+};
@@ -0,0 +1,45 @@
+// The 3D projection shared by the scenes: rotate around Y, then X, then roll around the view
+// axis (Z), and divide by depth. The home point cloud and the wave field camera both use it,
+// on the CPU via project() and on the GPU via GLSL_PROJECT.
+
+export const PERSPECTIVE_DEPTH = 2000;
+
+// Projects p = { x, y, z } into a width x height viewport, centred. Returns the screen position,
+// the perspective scale (1 at depth 0, larger when nearer) and the depth after rotation.
+export function project(p, rotY, rotX, width, height, rotZ = 0, perspective = PERSPECTIVE_DEPTH) {
+  const cosY = Math.cos(rotY);
+  const sinY = Math.sin(rotY);
+  let x = p.x * cosY + p.z * sinY;
+  let z = p.z * cosY - p.x * sinY;
+  let y = p.y;
+  const cosX = Math.cos(rotX);
+  const sinX = Math.sin(rotX);
+  let y2 = y * cosX - z * sinX;
+  let z2 = z * cosX + y * sinX;
+  const cosZ = Math.cos(rotZ);
+  const sinZ = Math.sin(rotZ);
+  const x3 = x * cosZ - y2 * sinZ;
+  const y3 = x * sinZ + y2 * cosZ;
+  const scale = perspective / (perspective + z2);
+
+  return { px: width / 2 + x3 * scale, py: height / 2 + y3 * scale, scale, z: z2 };
+}
+
+// GLSL counterpart of project(): returns (offset from the viewport centre in x/y, scale, depth)
+export const GLSL_PROJECT = `
+vec4 project(vec3 p, float rotY, float rotX, float rotZ, float perspective) {
+  float cosY = cos(rotY);
+  float sinY = sin(rotY);
+  float x = p.x * cosY + p.z * sinY;
+  float z = p.z * cosY - p.x * sinY;
+  float cosX = cos(rotX);
+  float sinX = sin(rotX);
+  float y2 = p.y * cosX - z * sinX;
+  float z2 = z * cosX + p.y * sinX;
+  float cosZ = cos(rotZ);
+  float sinZ = sin(rotZ);
+  vec2 rolled = vec2(x * cosZ - y2 * sinZ, x * sinZ + y2 * cosZ);
+  float scale = perspective / (perspective + z2);
+  return vec4(rolled * scale, scale, z2);
+}
+`;
@@ -0,0 +1,271 @@
+import { REFERENCE_FPS, createFixedStepper } from '../engine/engine.js';
+import { getPalette, DEFAULT_THEME } from '../palette.js';
+import { createWaveFieldGLRenderer } from './waveFieldGL.js';
+import { stepWaveSim } from './waveSim.js';
+import { PERSPECTIVE_DEPTH, project } from './projection.js';
+
+// Rendering for the Computational Wave Field, independent of any particular canvas, so the
+// live demo, off-screen exports and the SVG writer all draw the same frame.
+
+// Configuration constants
+export const GRID_SIZE = 80; // Density of the grid (number of points per side)
+export const POINT_RADIUS = 1.5; // Base radius of the drawn dots
+
+// Grid densities offered by the renderer toggle (80² = 6,400 up to 256² = 65,536 points)
+export const GRID_SIZES = [GRID_SIZE, 160, 256];
+
+// Clock rate in reduced-motion mode: the field still drifts, but barely
+export const REDUCED_TIME_SCALE = 0.03;
+
+// Grid layout data: one entry per point, in grid coordinates
+export const createWaveGrid = (gridSize = GRID_SIZE) => {
+  const grid = [];
+  for (let i = 0; i < gridSize; i++) {
+    for (let j = 0; j < gridSize; j++) {
+      grid.push({ x: i, y: j, z: 0 });
+    }
+  }
+  return grid;
+};
+
+// Orbit camera: yaw spins the grid around its vertical axis, tilt is the angle above the
+// horizon (π/2 looks straight down), zoom scales the grid and perspective is the focal depth
+// passed to project(). `wireframe` also draws lines between neighbouring points.
+export const DEFAULT_CAMERA = {
+  yaw: 0.5,
+  tilt: 0.9,
+  zoom: 1,
+  perspective: PERSPECTIVE_DEPTH,
+  wireframe: false,
+};
+
+export const CAMERA_LIMITS = {
+  tilt: { min: 0.1, max: Math.PI / 2 },
+  zoom: { min: 0.4, max: 3 },
+  perspective: { min: 400, max: 6000 },
+};
+
+// The grid is centred on the origin; `cell` is the world size of one grid step, so the
+// whole grid spans 80% of the shorter side at zoom 1 whatever its density
+export const waveGridLayout = (width, height, gridSize = GRID_SIZE) => ({
+  cell: Math.min(width, height) / gridSize * 0.8,
+  center: (gridSize - 1) / 2,
+});
+
+// World position of grid point (gx, gy) raised by `z`: x right, y up the screen, z away from
+// the viewer (far rows are at the top when tilted)
+const worldPoint = (gx, gy, z, cell, center, zoom) => ({
+  x: (gx - center) * cell * zoom,
+  y: -z * zoom,
+  z: (center - gy) * cell * zoom,
+});
+
+// Grid coordinates (fractional) under a screen position, found by intersecting the camera
+// ray with the rest plane (height 0). Null when the position is above the horizon.
+export const waveGridCellAt = (width, height, gridSize, px, py, camera = DEFAULT_CAMERA) => {
+  const { cell, center } = waveGridLayout(width, height, gridSize);
+  const { yaw, tilt, zoom, perspective } = camera;
+  // Invert project() for a point with y = 0: undo the perspective divide, then the tilt, then the yaw
+  const sx = px - width / 2;
+  const sy = py - height / 2;
+  const denominator = sy * Math.cos(tilt) + perspective * Math.sin(tilt);
+  if (denominator <= 0) return null;
+  const z = (-sy * perspective) / denominator;
+  const x = (sx * (perspective + z * Math.cos(tilt))) / perspective;
+  const worldX = x * Math.cos(yaw) - z * Math.sin(yaw);
+  const worldZ = x * Math.sin(yaw) + z * Math.cos(yaw);
+  return { x: worldX / (cell * zoom) + center, y: center - worldZ / (cell * zoom) };
+};
+
+// Per-term adjustments applied on top of `params` (used by the audio-reactive mode):
+// term i is scaled by gain[i] and shifted by drift[i] radians of phase.
+export const createModulation = () => ({ gain: [1, 1, 1], drift: [0, 0, 0] });
+
+const NO_MODULATION = createModulation();
+
+// --- Core Wave Function (Computational Design) ---
+// Vertical displacement of the analytic field at (dx, dy) pixels from the grid centre at
+// time `t` (frames): three interfering terms, each scaled and phase-shifted by `modulation`.
+// `terms` < 3 leaves out the diagonal term, then the y term (lower quality tiers).
+// The GLSL in waveFieldGL.js mirrors this.
+export const waveHeight = (params, dx, dy, t, modulation = NO_MODULATION, terms = 3) => {
+  const {
+    frequency: freq, amplitude: amp,
+    scale1, speed1, phase1, scale2, speed2, phase2, scale3, speed3, phase3,
+  } = params;
+  const { gain: [gain1, gain2, gain3], drift: [drift1, drift2, drift3] } = modulation;
+
+  const wave1 = gain1 * Math.sin(dx * scale1 * freq + t * speed1 + phase1 + drift1);
+  const wave2 = terms > 1 ? gain2 * Math.cos(dy * scale2 * freq + t * speed2 + phase2 + drift2) : 0;
+  const wave3 = terms > 2 ? gain3 * Math.sin((dx + dy) * scale3 * freq + t * speed3 + phase3 + drift3) : 0;
+
+  // Combined vertical displacement (z-axis)
+  return (wave1 + wave2 + wave3) * amp;
+};
+
+// Line colours are grouped into this many bands so the wireframe is a handful of paths
+const WIRE_BANDS = 8;
+const WIRE_ALPHA = 0.35;
+
+// Per-frame working arrays, reused while the point count stays the same
+let scratch = null;
+const scratchFor = (count) => {
+  if (!scratch || scratch.count !== count) {
+    scratch = {
+      count,
+      px: new Float32Array(count),
+      py: new Float32Array(count),
+      scale: new Float32Array(count),
+      depth: new Float32Array(count),
+      z: new Float32Array(count),
+      order: new Uint32Array(count),
+    };
+  }
+  return scratch;
+};
+
+// Draws one frame of the field at time `t` (in frames) into a width x height area of `ctx`.
+// `gridSize` must match the size `grid` was created with; `theme` is a compiled palette.
+// With `heights` (a simulated field, see waveSim.js) each point is displaced by
+// heights[i] * amplitude instead of the three analytic terms. Points are projected through
+// `camera` and drawn back to front. `terms` and `blending` come from the quality tier (see
+// quality.js): the number of analytic terms evaluated, and whether points are translucent.
+export const renderWaveField = (ctx, {
+  width, height, t, params, grid, gridSize = GRID_SIZE, theme = getPalette(DEFAULT_THEME),
+  modulation = NO_MODULATION, heights = null, camera = DEFAULT_CAMERA, terms = 3, blending = true,
+}) => {
+  // Clear the canvas
+  ctx.fillStyle = theme.background;
+  ctx.fillRect(0, 0, width, height);
+
+  const amp = params.amplitude;
+  const { yaw, tilt, zoom, perspective } = camera;
+
+  const { cell, center } = waveGridLayout(width, height, gridSize);
+  const frame = scratchFor(grid.length);
+
+  // --- Heights and projection ---
+  for (let i = 0; i < grid.length; i++) {
+    const p = grid[i];
+    let zDisplacement;
+
+    if (heights) {
+      zDisplacement = heights[i] * amp;
+    } else {
+      zDisplacement = waveHeight(params, (p.x - gridSize / 2) * cell, (p.y - gridSize / 2) * cell, t, modulation, terms);
+    }
+
+    // Projection
+    const pr = project(worldPoint(p.x, p.y, zDisplacement, cell, center, zoom), yaw, tilt, width, height, 0, perspective);
+    frame.px[i] = pr.px;
+    frame.py[i] = pr.py;
+    frame.scale[i] = pr.scale;
+    frame.depth[i] = pr.z;
+    frame.z[i] = zDisplacement;
+    frame.order[i] = i;
+  }
+
+  // Colour from the theme's wave ramp, over the full range of the three terms (-3..3 amp)
+  const rampPosition = i => (frame.z[i] / amp + 3) / 6;
+
+  // --- Wireframe: lines to the next point along x and along y ---
+  if (camera.wireframe) {
+    const bands = Array.from({ length: WIRE_BANDS }, () => []);
+    const addLine = (a, b) => {
+      if (frame.scale[a] <= 0 || frame.scale[b] <= 0) return; // behind the camera
+      const band = Math.min(WIRE_BANDS - 1, Math.max(0, Math.floor(((rampPosition(a) + rampPosition(b)) / 2) * WIRE_BANDS)));
+      bands[band].push(a, b);
+    };
+    for (let i = 0; i < grid.length; i++) {
+      const p = grid[i];
+      if (p.x < gridSize - 1) addLine(i, i + gridSize);
+      if (p.y < gridSize - 1) addLine(i, i + 1);
+    }
+    ctx.lineWidth = 0.75;
+    ctx.globalAlpha = WIRE_ALPHA;
+    bands.forEach((segments, band) => {
+      if (!segments.length) return;
+      ctx.beginPath();
+      for (let k = 0; k < segments.length; k += 2) {
+        ctx.moveTo(frame.px[segments[k]], frame.py[segments[k]]);
+        ctx.lineTo(frame.px[segments[k + 1]], frame.py[segments[k + 1]]);
+      }
+      ctx.strokeStyle = theme.wave.css((band + 0.5) / WIRE_BANDS);
+      ctx.stroke();
+    });
+  }
+
+  // --- Points, back to front (largest depth first) ---
+  frame.order.sort((a, b) => frame.depth[b] - frame.depth[a]);
+  ctx.globalAlpha = blending ? 0.9 : 1;
+  for (let k = 0; k < frame.order.length; k++) {
+    const i = frame.order[k];
+    if (frame.scale[i] <= 0) continue; // behind the camera
+
+    // Size based on vertical displacement (amplitude/height) and distance
+    const colorFactor = (frame.z[i] + amp) / (amp * 2); // 0..1 for a single term's range
+
+    // Draw the point
+    ctx.beginPath();
+    ctx.fillStyle = theme.wave.css(rampPosition(i));
+    ctx.arc(frame.px[i], frame.py[i], POINT_RADIUS * (1 + colorFactor * 0.5) * frame.scale[i], 0, Math.PI * 2);
+    ctx.fill();
+  }
+
+  ctx.globalAlpha = 1;
+};
+
+// Round a per-frame rate so it completes a whole number of cycles in `frames` frames
+export const loopRate = (rate, frames) => (2 * Math.PI * Math.round(rate * frames / (2 * Math.PI))) / frames;
+
+// Wave parameters adjusted so the field repeats exactly after `frames` frames (for loop export)
+export const loopWaveParams = (params, frames) => ({
+  ...params,
+  speed1: loopRate(params.speed1, frames),
+  speed2: loopRate(params.speed2, frames),
+  speed3: loopRate(params.speed3, frames),
+});
+
+// Engine scene (see engine/engine.js). `params` is read every frame so slider changes apply
+// live; `clock.current` holds the time in reference frames and outlives the scene.
+// `timeScale` slows the clock (see REDUCED_TIME_SCALE). `modulation` is read every frame too;
+// `onUpdate(steps)` runs before each frame with the elapsed frame steps, e.g. to advance it.
+// `simulation` ({ sim, settings }, see waveSim.js) switches to the simulated mode: the sim is
+// stepped at a fixed 60 steps per second and its heights replace the analytic terms.
+// `camera` (see DEFAULT_CAMERA) is read every frame, so orbiting needs no new scene.
+// `terms` and `blending` as for renderWaveField.
+export const createWaveFieldScene = ({
+  params, clock, gridSize = GRID_SIZE, grid = createWaveGrid(gridSize), timeScale = 1,
+  theme = getPalette(DEFAULT_THEME), modulation = NO_MODULATION, simulation = null,
+  camera = DEFAULT_CAMERA, terms = 3, blending = true, onUpdate, onDestroy,
+}) => {
+  const stepSimulation = simulation && createFixedStepper(() => stepWaveSim(simulation.sim, simulation.settings));
+  const heights = () => (simulation ? simulation.sim.current : null);
+
+  return {
+    init() {},
+    update(dt) {
+      const steps = dt * REFERENCE_FPS;
+      clock.current += steps * timeScale;
+      if (stepSimulation) stepSimulation(dt * timeScale);
+      if (onUpdate) onUpdate(steps);
+    },
+    render(ctx, { width, height }) {
+      renderWaveField(ctx, {
+        width, height, t: clock.current, params, grid, gridSize, theme, modulation, heights: heights(), camera, terms, blending,
+      });
+    },
+    createGLRenderer(gl) {
+      const renderer = createWaveFieldGLRenderer(gl);
+      return {
+        render: (gl, { width, height, dpr }) => renderer.draw(gl, {
+          width, height, dpr, t: clock.current, params, grid, gridSize, theme, modulation, heights: heights(), camera, terms, blending,
+        }),
+        destroy: renderer.destroy,
+      };
+    },
+    destroy() {
+      if (onDestroy) onDestroy();
+    },
+  };
+};
@@ -0,0 +1,226 @@
+import { createProgram, setupPointBlending, ROUND_POINT_FRAGMENT } from '../engine/webgl.js';
+import { hexToRgb } from '../palette.js';
+import { POINT_RADIUS, DEFAULT_CAMERA } from './waveField.js';
+import { GLSL_PROJECT } from './projection.js';
+
+// WebGL renderer for the Computational Wave Field. The grid coordinates are uploaded once;
+// the three wave terms, camera projection and colour ramp are evaluated per vertex. In the
+// simulated mode the heights come from the CPU simulation instead, streamed into a second
+// buffer. Draw order comes from the depth buffer rather than a sort: the projected depth is
+// written to gl_Position.z. The wireframe reuses the vertex shader with an index buffer of
+// neighbouring pairs drawn as gl.LINES.
+
+// Samples of the theme's wave ramp uploaded as a uniform array; the shader blends neighbours
+const RAMP_SAMPLES = 16;
+
+// Built on demand: the scene module imports this file, so its constants are only
+// safe to read once both modules have finished evaluating.
+const vertexShader = () => `
+attribute vec2 a_grid;
+attribute float a_height;
+uniform float u_simulated;
+uniform vec2 u_resolution;
+uniform float u_dpr;
+uniform float u_gridSize;
+uniform float u_t;
+uniform float u_frequency;
+uniform float u_amplitude;
+uniform vec3 u_scale;
+uniform vec3 u_speed;
+uniform vec3 u_phase;
+uniform vec3 u_gain;
+uniform vec3 u_ramp[${RAMP_SAMPLES}];
+uniform float u_yaw;
+uniform float u_tilt;
+uniform float u_zoom;
+uniform float u_perspective;
+uniform float u_alpha;
+uniform float u_terms;
+varying vec4 v_color;
+${GLSL_PROJECT}
+
+// Colour at 0..1 along the ramp (vertex shaders may index uniform arrays dynamically)
+vec3 ramp(float t) {
+  float x = clamp(t, 0.0, 1.0) * ${(RAMP_SAMPLES - 1).toFixed(1)};
+  int i = int(min(floor(x), ${(RAMP_SAMPLES - 2).toFixed(1)}));
+  return mix(u_ramp[i], u_ramp[i + 1], x - float(i));
+}
+
+void main() {
+  float cell = min(u_resolution.x, u_resolution.y) / u_gridSize * 0.8;
+  float center = (u_gridSize - 1.0) / 2.0;
+  vec2 d = (a_grid - u_gridSize / 2.0) * cell;
+
+  float wave1 = u_gain.x * sin(d.x * u_scale.x * u_frequency + u_t * u_speed.x + u_phase.x);
+  float wave2 = 0.0;
+  float wave3 = 0.0;
+  if (u_terms > 1.5) wave2 = u_gain.y * cos(d.y * u_scale.y * u_frequency + u_t * u_speed.y + u_phase.y);
+  if (u_terms > 2.5) wave3 = u_gain.z * sin((d.x + d.y) * u_scale.z * u_frequency + u_t * u_speed.z + u_phase.z);
+  float z = mix(wave1 + wave2 + wave3, a_height, u_simulated) * u_amplitude;
+
+  // Same world layout as worldPoint() in waveField.js
+  vec3 world = vec3(a_grid.x - center, 0.0, center - a_grid.y) * cell * u_zoom;
+  world.y = -z * u_zoom;
+  vec4 projected = project(world, u_yaw, u_tilt, 0.0, u_perspective);
+  float scale = projected.z;
+  vec2 screen = u_resolution * 0.5 + projected.xy;
+  vec2 clip = screen / u_resolution * 2.0 - 1.0;
+  // Depth squeezed into -1..1 while keeping its order; points behind the camera are culled
+  float depth = projected.w / (u_perspective + abs(projected.w));
+  gl_Position = scale > 0.0 ? vec4(clip.x, -clip.y, depth, 1.0) : vec4(2.0, 2.0, 2.0, 1.0);
+
+  float colorFactor = (z + u_amplitude) / (u_amplitude * 2.0);
+  v_color = vec4(ramp((z / u_amplitude + 3.0) / 6.0), u_alpha);
+  gl_PointSize = ${POINT_RADIUS.toFixed(2)} * (1.0 + colorFactor * 0.5) * 2.0 * u_dpr * max(scale, 0.0);
+}
+`;
+
+// Plain premultiplied colour for the wireframe lines
+const LINE_FRAGMENT = `
+precision mediump float;
+varying vec4 v_color;
+void main() {
+  gl_FragColor = vec4(v_color.rgb * v_color.a, v_color.a);
+}
+`;
+
+const UNIFORMS = [
+  'u_resolution', 'u_dpr', 'u_gridSize', 'u_t', 'u_frequency', 'u_amplitude', 'u_scale', 'u_speed', 'u_phase', 'u_gain',
+  'u_ramp[0]', 'u_simulated', 'u_yaw', 'u_tilt', 'u_zoom', 'u_perspective', 'u_alpha', 'u_terms',
+];
+
+const POINT_ALPHA = 0.9;
+const LINE_ALPHA = 0.35; // matches the 2D renderer's wireframe
+
+// Index pairs joining each point to its next neighbour along x and along y. 16-bit indices
+// cover up to 256² points, the largest grid offered.
+const neighbourPairs = (gridSize) => {
+  const pairs = [];
+  for (let x = 0; x < gridSize; x++) {
+    for (let y = 0; y < gridSize; y++) {
+      const i = x * gridSize + y;
+      if (x < gridSize - 1) pairs.push(i, i + gridSize);
+      if (y < gridSize - 1) pairs.push(i, i + 1);
+    }
+  }
+  return new Uint16Array(pairs);
+};
+
+export const createWaveFieldGLRenderer = (gl) => {
+  const points = createProgram(gl, vertexShader(), ROUND_POINT_FRAGMENT, ['a_grid', 'a_height'], UNIFORMS);
+  const lines = createProgram(gl, vertexShader(), LINE_FRAGMENT, ['a_grid', 'a_height'], UNIFORMS);
+  const buffer = gl.createBuffer();
+  const heightBuffer = gl.createBuffer();
+  const indexBuffer = gl.createBuffer();
+  let uploaded = null; // the grid array currently in `buffer`
+  let indexed = { gridSize: 0, count: 0 }; // the grid size the pairs in `indexBuffer` were built for
+  let rampTheme = null; // the theme whose ramp is in `rampData`
+  const rampData = new Float32Array(RAMP_SAMPLES * 3);
+
+  const upload = (grid) => {
+    const data = new Float32Array(grid.length * 2);
+    for (let i = 0; i < grid.length; i++) {
+      data[i * 2] = grid[i].x;
+      data[i * 2 + 1] = grid[i].y;
+    }
+    gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+    gl.bufferData(gl.ARRAY_BUFFER, data, gl.STATIC_DRAW);
+    uploaded = grid;
+  };
+
+  const uploadPairs = (gridSize) => {
+    const pairs = neighbourPairs(gridSize);
+    gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, indexBuffer);
+    gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, pairs, gl.STATIC_DRAW);
+    indexed = { gridSize, count: pairs.length };
+  };
+
+  // Binds `program` with its attributes and every uniform for this frame
+  const use = ({ program, attributes, uniforms }, frame, alpha) => {
+    const { width, height, dpr, t, params, gridSize, modulation, heights, camera, terms } = frame;
+    gl.useProgram(program);
+    gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+    gl.enableVertexAttribArray(attributes.a_grid);
+    gl.vertexAttribPointer(attributes.a_grid, 2, gl.FLOAT, false, 0, 0);
+
+    if (heights) {
+      gl.bindBuffer(gl.ARRAY_BUFFER, heightBuffer);
+      gl.enableVertexAttribArray(attributes.a_height);
+      gl.vertexAttribPointer(attributes.a_height, 1, gl.FLOAT, false, 0, 0);
+    } else {
+      // Constant attribute value instead of an array
+      gl.disableVertexAttribArray(attributes.a_height);
+      gl.vertexAttrib1f(attributes.a_height, 0);
+    }
+    gl.uniform1f(uniforms.u_simulated, heights ? 1 : 0);
+
+    gl.uniform2f(uniforms.u_resolution, width, height);
+    gl.uniform1f(uniforms.u_dpr, dpr);
+    gl.uniform1f(uniforms.u_gridSize, gridSize);
+    gl.uniform1f(uniforms.u_t, t);
+    gl.uniform1f(uniforms.u_frequency, params.frequency);
+    gl.uniform1f(uniforms.u_amplitude, params.amplitude);
+    gl.uniform3f(uniforms.u_scale, params.scale1, params.scale2, params.scale3);
+    gl.uniform3f(uniforms.u_speed, params.speed1, params.speed2, params.speed3);
+    const { gain, drift } = modulation;
+    gl.uniform3f(uniforms.u_phase, params.phase1 + drift[0], params.phase2 + drift[1], params.phase3 + drift[2]);
+    gl.uniform3f(uniforms.u_gain, gain[0], gain[1], gain[2]);
+    gl.uniform3fv(uniforms['u_ramp[0]'], rampData);
+    gl.uniform1f(uniforms.u_yaw, camera.yaw);
+    gl.uniform1f(uniforms.u_tilt, camera.tilt);
+    gl.uniform1f(uniforms.u_zoom, camera.zoom);
+    gl.uniform1f(uniforms.u_perspective, camera.perspective);
+    gl.uniform1f(uniforms.u_alpha, alpha);
+    gl.uniform1f(uniforms.u_terms, terms);
+  };
+
+  return {
+    // `modulation` as in createModulation (waveField.js); its drift is folded into u_phase.
+    // `heights` (simulated mode) is re-uploaded every frame. `terms` and `blending` as for
+    // renderWaveField; without blending the points overwrite instead of mixing.
+    draw(gl, frame) {
+      const { grid, gridSize, theme, heights = null, camera = DEFAULT_CAMERA, terms = 3, blending = true } = frame;
+      if (uploaded !== grid) upload(grid);
+      if (rampTheme !== theme) {
+        rampData.set(theme.wave.samples(RAMP_SAMPLES).flat());
+        rampTheme = theme;
+      }
+      if (heights) {
+        gl.bindBuffer(gl.ARRAY_BUFFER, heightBuffer);
+        gl.bufferData(gl.ARRAY_BUFFER, heights, gl.STREAM_DRAW);
+      }
+      const withCamera = { ...frame, heights, camera, terms };
+
+      const [r, g, b] = hexToRgb(theme.background);
+      gl.clearColor(r, g, b, 1);
+      gl.clearDepth(1);
+      gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
+      setupPointBlending(gl);
+      if (!blending) gl.disable(gl.BLEND);
+      gl.enable(gl.DEPTH_TEST);
+      gl.depthFunc(gl.LEQUAL);
+      gl.depthMask(true);
+
+      use(points, withCamera, blending ? POINT_ALPHA : 1);
+      gl.drawArrays(gl.POINTS, 0, grid.length);
+
+      // Lines after the points, tested against them but not hiding each other
+      if (camera.wireframe) {
+        if (indexed.gridSize !== gridSize) uploadPairs(gridSize);
+        use(lines, withCamera, LINE_ALPHA);
+        gl.enable(gl.BLEND); // the lines stay translucent at every tier
+        gl.depthMask(false);
+        gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, indexBuffer);
+        gl.drawElements(gl.LINES, indexed.count, gl.UNSIGNED_SHORT, 0);
+        gl.depthMask(true);
+      }
+    },
+    destroy(gl) {
+      gl.deleteBuffer(buffer);
+      gl.deleteBuffer(heightBuffer);
+      gl.deleteBuffer(indexBuffer);
+      gl.deleteProgram(points.program);
+      gl.deleteProgram(lines.program);
+    },
+  };
+};
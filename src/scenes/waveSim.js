@@ -0,0 +1,114 @@
+// Discrete 2D wave equation on a square grid, for the simulated mode of the wave field.
+// Pure functions on plain typed arrays: no canvas, DOM or timing, so a step can be checked
+// in isolation.
+//
+// Heights are stored with the same ordering as createWaveGrid (index = x * size + y). Each
+// step is the standard leapfrog update with unit grid spacing and time step:
+//   next = 2 * current - previous + speed² * laplacian(current), then scaled by (1 - damping)
+// which is stable while speed <= 1/√2.
+
+export const BOUNDARIES = ['reflective', 'absorbing', 'periodic'];
+
+export const MAX_WAVE_SPEED = Math.SQRT1_2;
+
+export const DEFAULT_SIM_SETTINGS = {
+  speed: 0.5, // cells per step, clamped to MAX_WAVE_SPEED
+  damping: 0.004, // share of the height lost per step
+  boundary: 'reflective',
+};
+
+export const createWaveSim = size => ({
+  size,
+  current: new Float32Array(size * size),
+  previous: new Float32Array(size * size),
+  next: new Float32Array(size * size),
+});
+
+export const resetWaveSim = (sim) => {
+  sim.current.fill(0);
+  sim.previous.fill(0);
+};
+
+// Neighbour coordinate outside the grid, per boundary:
+//   reflective - mirrored back onto the edge cell (free edge, waves bounce without inverting)
+//   periodic   - wrapped to the opposite side
+//   absorbing  - mirrored too; the edge cells are then overwritten by the Mur condition below
+const neighbour = (i, size, boundary) => {
+  if (i >= 0 && i < size) return i;
+  if (boundary === 'periodic') return (i + size) % size;
+  return i < 0 ? 0 : size - 1;
+};
+
+// First-order Mur absorbing boundary: lets a wave arriving head-on leave the grid instead of
+// reflecting. `edge` and `inner` are indices of an edge cell and its inward neighbour.
+const absorb = (sim, edge, inner, coefficient) => {
+  sim.next[edge] = sim.current[inner] + coefficient * (sim.next[inner] - sim.current[edge]);
+};
+
+// Advance the simulation by one step (in place). Returns the sim for chaining.
+export const stepWaveSim = (sim, { speed = DEFAULT_SIM_SETTINGS.speed, damping = DEFAULT_SIM_SETTINGS.damping, boundary = DEFAULT_SIM_SETTINGS.boundary } = {}) => {
+  const { size, current, previous, next } = sim;
+  const c = Math.min(Math.max(speed, 0), MAX_WAVE_SPEED);
+  const c2 = c * c;
+  const keep = 1 - Math.min(Math.max(damping, 0), 1);
+
+  for (let x = 0; x < size; x++) {
+    const left = neighbour(x - 1, size, boundary) * size;
+    const right = neighbour(x + 1, size, boundary) * size;
+    const row = x * size;
+    for (let y = 0; y < size; y++) {
+      const up = neighbour(y - 1, size, boundary);
+      const down = neighbour(y + 1, size, boundary);
+      const i = row + y;
+      const laplacian = current[left + y] + current[right + y] + current[row + up] + current[row + down] - 4 * current[i];
+      next[i] = (2 * current[i] - previous[i] + c2 * laplacian) * keep;
+    }
+  }
+
+  if (boundary === 'absorbing' && size > 1) {
+    const coefficient = (c - 1) / (c + 1);
+    const last = size - 1;
+    for (let k = 0; k < size; k++) {
+      absorb(sim, k, size + k, coefficient); // x = 0
+      absorb(sim, last * size + k, (last - 1) * size + k, coefficient); // x = last
+      absorb(sim, k * size, k * size + 1, coefficient); // y = 0
+      absorb(sim, k * size + last, k * size + last - 1, coefficient); // y = last
+    }
+  }
+
+  // Rotate the buffers: previous <- current <- next
+  sim.previous = current;
+  sim.current = next;
+  sim.next = previous;
+  return sim;
+};
+
+// Drop a smooth (Gaussian) bump of `strength` centred on grid coordinates (x, y).
+// Coordinates may be fractional; cells further than 3 radii away are left alone.
+export const exciteWaveSim = (sim, x, y, { radius = 2, strength = 1 } = {}) => {
+  const { size, current, previous } = sim;
+  const reach = Math.ceil(radius * 3);
+  const x0 = Math.max(0, Math.floor(x - reach));
+  const x1 = Math.min(size - 1, Math.ceil(x + reach));
+  const y0 = Math.max(0, Math.floor(y - reach));
+  const y1 = Math.min(size - 1, Math.ceil(y + reach));
+  const spread = 2 * radius * radius;
+
+  for (let gx = x0; gx <= x1; gx++) {
+    for (let gy = y0; gy <= y1; gy++) {
+      const d2 = (gx - x) * (gx - x) + (gy - y) * (gy - y);
+      const bump = strength * Math.exp(-d2 / spread);
+      // Raise both time levels so the bump starts at rest and spreads symmetrically
+      current[gx * size + gy] += bump;
+      previous[gx * size + gy] += bump;
+    }
+  }
+  return sim;
+};
+
+// Total of squared heights; falls over time with damping or an absorbing boundary
+export const waveSimEnergy = (sim) => {
+  let energy = 0;
+  for (let i = 0; i < sim.current.length; i++) energy += sim.current[i] * sim.current[i];
+  return energy;
+};
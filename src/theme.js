@@ -0,0 +1,60 @@
+import { useSyncExternalStore } from 'react';
+import { THEMES, DEFAULT_THEME, getPalette, hexToRgb } from './palette.js';
+
+// The visitor's chosen theme (see palette.js), kept in localStorage. The page chrome reads it
+// through CSS variables on <html> (Tailwind colours page / ink / shade / accent); the scenes
+// take the compiled palette from useTheme() or getTheme().
+
+const STORAGE_KEY = 'theme';
+
+const readTheme = () => {
+  try {
+    const stored = window.localStorage.getItem(STORAGE_KEY);
+    return stored && THEMES[stored] ? stored : DEFAULT_THEME;
+  } catch {
+    return DEFAULT_THEME; // storage blocked (private mode, sandboxed iframe)
+  }
+};
+
+let active = typeof window !== 'undefined' ? readTheme() : DEFAULT_THEME;
+
+const listeners = new Set();
+
+// Space-separated channels so Tailwind can add the opacity: rgb(var(--color-ink) / 0.1)
+const channels = hex => hexToRgb(hex).map(c => Math.round(c * 255)).join(' ');
+
+const syncDocument = () => {
+  if (typeof document === 'undefined') return;
+  const theme = THEMES[active];
+  const root = document.documentElement;
+  root.style.setProperty('--color-page', channels(theme.background));
+  root.style.setProperty('--color-ink', channels(theme.ink));
+  root.style.setProperty('--color-shade', channels(theme.shade));
+  root.style.setProperty('--color-accent', channels(theme.accent));
+  root.style.colorScheme = theme.mode;
+  root.dataset.theme = active;
+};
+
+syncDocument();
+
+export const getTheme = () => getPalette(active);
+
+export const setTheme = (name) => {
+  if (!THEMES[name]) return;
+  active = name;
+  try {
+    window.localStorage.setItem(STORAGE_KEY, name);
+  } catch {
+    // Not persisted; still applies for this visit
+  }
+  syncDocument();
+  listeners.forEach(listener => listener());
+};
+
+const subscribe = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+// The active compiled palette; re-renders when the visitor picks another theme
+export const useTheme = () => useSyncExternalStore(subscribe, getTheme);
@@ -2,9 +2,19 @@ export default {
   content: [
     "./index.html",
     "./src/**/*.{js,jsx}",
+    // Static markup of the prerendered pages
+    "./scripts/**/*.js",
   ],
   theme: {
-    extend: {},
+    extend: {
+      // Theme colours, set as CSS variables by src/theme.js (see src/palette.js)
+      colors: {
+        page: 'rgb(var(--color-page) / <alpha-value>)',
+        ink: 'rgb(var(--color-ink) / <alpha-value>)',
+        shade: 'rgb(var(--color-shade) / <alpha-value>)',
+        accent: 'rgb(var(--color-accent) / <alpha-value>)',
+      },
+    },
   },
   plugins: [],
 }
@@ -0,0 +1,100 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { createTracker, summariseEvents } from '../src/analytics/tracker.js';
+
+// Transport that keeps every batch it is handed
+const recordingTransport = () => {
+  const batches = [];
+  return { name: 'test', batches, send: events => batches.push(events) };
+};
+
+describe('createTracker', () => {
+  beforeEach(() => { vi.useFakeTimers(); });
+  afterEach(() => { vi.useRealTimers(); });
+
+  it('sends events in batches once enough have built up', () => {
+    const transport = recordingTransport();
+    const tracker = createTracker({ transport, batchSize: 3 });
+    tracker.track('card_clicked', { slug: 'a' });
+    tracker.track('card_clicked', { slug: 'b' });
+    expect(transport.batches).toHaveLength(0);
+    tracker.track('card_clicked', { slug: 'c' });
+    expect(transport.batches).toHaveLength(1);
+    expect(transport.batches[0].map(event => event.props.slug)).toEqual(['a', 'b', 'c']);
+  });
+
+  it('sends a partial batch after a delay', () => {
+    const transport = recordingTransport();
+    const tracker = createTracker({ transport });
+    tracker.track('cta_clicked', { cta: 'contact' });
+    vi.advanceTimersByTime(4999);
+    expect(transport.batches).toHaveLength(0);
+    vi.advanceTimersByTime(1);
+    expect(transport.batches).toHaveLength(1);
+  });
+
+  it('tags every event with the time and one id per visit', () => {
+    const transport = recordingTransport();
+    const tracker = createTracker({ transport, now: () => 1234 });
+    tracker.track('demo_opened', { slug: 'x' });
+    tracker.track('demo_closed', { slug: 'x', seconds: 4 });
+    tracker.flush();
+    const [first, second] = transport.batches[0];
+    expect(first).toMatchObject({ name: 'demo_opened', props: { slug: 'x' }, at: 1234 });
+    expect(first.visit).toBeTruthy();
+    expect(second.visit).toBe(first.visit);
+  });
+
+  it('records only the value a slider settles on', () => {
+    const transport = recordingTransport();
+    const tracker = createTracker({ transport });
+    [0.2, 0.4, 0.6].forEach((value) => {
+      tracker.trackSettled('wave-field:frequency', 'slider_changed', { demo: 'wave-field', control: 'frequency', value });
+      vi.advanceTimersByTime(300);
+    });
+    vi.advanceTimersByTime(1000);
+    tracker.flush();
+    expect(transport.batches.flat().map(event => event.props.value)).toEqual([0.6]);
+  });
+
+  it('sends settling events straight away when flushed (the page is going away)', () => {
+    const transport = recordingTransport();
+    const tracker = createTracker({ transport });
+    tracker.trackSettled('k', 'slider_changed', { value: 1 });
+    tracker.flush();
+    expect(transport.batches.flat()).toHaveLength(1);
+  });
+
+  it('records nothing when disabled (Do Not Track)', () => {
+    const transport = recordingTransport();
+    const tracker = createTracker({ transport, enabled: false });
+    tracker.track('card_clicked', { slug: 'a' });
+    tracker.trackSettled('k', 'slider_changed', { value: 1 });
+    vi.advanceTimersByTime(10000);
+    tracker.flush();
+    expect(transport.batches).toHaveLength(0);
+    expect(tracker.events()).toHaveLength(0);
+  });
+});
+
+describe('summariseEvents', () => {
+  it('totals sections, cards, demo time, sliders and calls to action', () => {
+    const events = [
+      { name: 'section_reached', props: { section: 'work' }, visit: 'a' },
+      { name: 'card_clicked', props: { slug: 'wave' }, visit: 'a' },
+      { name: 'demo_opened', props: { slug: 'wave' }, visit: 'a' },
+      { name: 'slider_changed', props: { demo: 'wave-field', control: 'frequency' }, visit: 'a' },
+      { name: 'demo_closed', props: { slug: 'wave', seconds: 30 }, visit: 'a' },
+      { name: 'section_reached', props: { section: 'work' }, visit: 'b' },
+      { name: 'cta_clicked', props: { cta: 'contact' }, visit: 'b' },
+    ];
+    expect(summariseEvents(events)).toEqual({
+      total: 7,
+      visits: 2,
+      sections: { work: 2 },
+      cards: { wave: 1 },
+      demos: { wave: { opened: 1, seconds: 30 } },
+      sliders: { 'wave-field / frequency': 1 },
+      ctas: { contact: 1 },
+    });
+  });
+});
@@ -0,0 +1,153 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { EMPTY_ENQUIRY, MESSAGE_MIN, validateEnquiry } from '../src/contact/enquiry.js';
+import { createContactAdapter } from '../src/contact/adapters.js';
+import {
+  enqueueEnquiry, flushQueue, pendingEnquiries, subscribeSent, watchQueue,
+} from '../src/contact/queue.js';
+
+const VALID = {
+  name: 'Ada',
+  email: 'ada@example.com',
+  budget: 'unsure',
+  projectType: 'other',
+  message: 'A message that is long enough to send.',
+};
+
+// An in-memory window with localStorage, which the queue keeps its entries in
+const memoryWindow = () => {
+  const items = new Map();
+  return {
+    localStorage: {
+      getItem: key => (items.has(key) ? items.get(key) : null),
+      setItem: (key, value) => items.set(key, String(value)),
+      removeItem: key => items.delete(key),
+    },
+    addEventListener: vi.fn(),
+    removeEventListener: vi.fn(),
+  };
+};
+
+const retryable = () => Object.assign(new Error('server error'), { retryable: true });
+const rejected = () => Object.assign(new Error('bad request'), { retryable: false });
+
+// Adapter answering each submit() with the next of `outcomes` (an Error rejects), then success
+const scriptedAdapter = (...outcomes) => ({
+  name: 'test',
+  submit: vi.fn(async () => {
+    const outcome = outcomes.shift();
+    if (outcome instanceof Error) throw outcome;
+  }),
+});
+
+describe('validateEnquiry', () => {
+  it('accepts a complete enquiry', () => {
+    expect(validateEnquiry(VALID)).toEqual({});
+  });
+
+  it('reports every missing field', () => {
+    expect(Object.keys(validateEnquiry(EMPTY_ENQUIRY)).sort()).toEqual(['budget', 'email', 'message', 'name', 'projectType']);
+  });
+
+  it('checks the email address loosely', () => {
+    expect(validateEnquiry({ ...VALID, email: 'ada@example' }).email).toBeTruthy();
+    expect(validateEnquiry({ ...VALID, email: ' ada+studio@mail.example.com ' }).email).toBeUndefined();
+  });
+
+  it('only accepts listed budgets and project types', () => {
+    const errors = validateEnquiry({ ...VALID, budget: 'lots', projectType: 'anything' });
+    expect(Object.keys(errors).sort()).toEqual(['budget', 'projectType']);
+  });
+
+  it('needs a message of some length, ignoring surrounding space', () => {
+    expect(validateEnquiry({ ...VALID, message: `  ${'x'.repeat(MESSAGE_MIN - 1)}  ` }).message).toBeTruthy();
+    expect(validateEnquiry({ ...VALID, message: 'x'.repeat(MESSAGE_MIN) }).message).toBeUndefined();
+  });
+
+  it('names a catalog message and its arguments for each problem', () => {
+    expect(validateEnquiry({ ...VALID, message: 'Too short' }).message)
+      .toEqual({ key: 'contact.error.messageTooShort', values: { min: MESSAGE_MIN } });
+    expect(validateEnquiry({ ...VALID, name: ' ' }).name).toEqual({ key: 'contact.error.nameMissing', values: undefined });
+  });
+});
+
+describe('createContactAdapter', () => {
+  it('posts to the configured endpoint', () => {
+    expect(createContactAdapter({ VITE_CONTACT_ENDPOINT: 'https://example.com/contact', PROD: true }).name).toBe('endpoint');
+  });
+
+  it('uses the mock in development only', () => {
+    expect(createContactAdapter({ DEV: true }).name).toBe('mock');
+    expect(createContactAdapter({ PROD: true })).toBeNull();
+  });
+});
+
+describe('contact queue', () => {
+  beforeEach(() => { vi.stubGlobal('window', memoryWindow()); });
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.unstubAllGlobals();
+  });
+
+  it('sends queued enquiries and empties the queue', async () => {
+    enqueueEnquiry(VALID);
+    enqueueEnquiry(VALID);
+    const adapter = scriptedAdapter();
+    expect(await flushQueue(adapter)).toBe(2);
+    expect(adapter.submit).toHaveBeenCalledTimes(2);
+    expect(pendingEnquiries()).toBe(0);
+  });
+
+  it('keeps entries that failed in a retryable way', async () => {
+    enqueueEnquiry(VALID);
+    expect(await flushQueue(scriptedAdapter(retryable()))).toBe(0);
+    expect(pendingEnquiries()).toBe(1);
+    expect(await flushQueue(scriptedAdapter())).toBe(1);
+    expect(pendingEnquiries()).toBe(0);
+  });
+
+  it('drops entries the target rejects outright', async () => {
+    enqueueEnquiry(VALID);
+    expect(await flushQueue(scriptedAdapter(rejected()))).toBe(0);
+    expect(pendingEnquiries()).toBe(0);
+  });
+
+  it('gives up on an entry after five retryable failures', async () => {
+    enqueueEnquiry(VALID);
+    for (let i = 0; i < 4; i++) await flushQueue(scriptedAdapter(retryable()));
+    expect(pendingEnquiries()).toBe(1);
+    await flushQueue(scriptedAdapter(retryable()));
+    expect(pendingEnquiries()).toBe(0);
+  });
+
+  it('retries on a timer, backing off, without waiting for an online event', async () => {
+    vi.useFakeTimers();
+    const adapter = scriptedAdapter(retryable(), retryable());
+    const sent = vi.fn();
+    const unsubscribe = subscribeSent(sent);
+    const stop = watchQueue(adapter, { retryDelay: 1000, maxRetryDelay: 10000 });
+
+    enqueueEnquiry(VALID);
+    await vi.advanceTimersByTimeAsync(1000); // first attempt fails
+    expect(adapter.submit).toHaveBeenCalledTimes(1);
+    await vi.advanceTimersByTimeAsync(1999); // the next waits twice as long
+    expect(adapter.submit).toHaveBeenCalledTimes(1);
+    await vi.advanceTimersByTimeAsync(1); // fails again
+    expect(adapter.submit).toHaveBeenCalledTimes(2);
+    await vi.advanceTimersByTimeAsync(4000); // and succeeds
+    expect(adapter.submit).toHaveBeenCalledTimes(3);
+    expect(pendingEnquiries()).toBe(0);
+    expect(sent).toHaveBeenCalledWith(1);
+
+    stop();
+    unsubscribe();
+  });
+
+  it('sends what an earlier page load left behind as soon as it starts', async () => {
+    enqueueEnquiry(VALID);
+    const adapter = scriptedAdapter();
+    const stop = watchQueue(adapter);
+    await vi.waitFor(() => expect(pendingEnquiries()).toBe(0));
+    expect(adapter.submit).toHaveBeenCalledTimes(1);
+    stop();
+  });
+});
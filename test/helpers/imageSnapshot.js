@@ -0,0 +1,72 @@
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { createCanvas, loadImage } from '@napi-rs/canvas';
+
+// Rendered-frame snapshots: frames are drawn headlessly with @napi-rs/canvas and compared
+// pixel by pixel against PNGs in test/__image_snapshots__/. A missing snapshot is written on
+// the first run (except on CI); `npm run test:update` rewrites them all after an intended change.
+
+const SNAPSHOT_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', '__image_snapshots__');
+const UPDATE = process.env.UPDATE_SNAPSHOTS === '1';
+
+// A width x height canvas with `draw(ctx)` applied
+export const renderToCanvas = (width, height, draw) => {
+  const canvas = createCanvas(width, height);
+  draw(canvas.getContext('2d'));
+  return canvas;
+};
+
+const pixelsOf = (image, width, height) => {
+  const canvas = createCanvas(width, height);
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(image, 0, 0);
+  return ctx.getImageData(0, 0, width, height).data;
+};
+
+// Share of pixels whose largest channel difference exceeds `threshold` (0..255). Small
+// differences are tolerated so anti-aliasing changes between canvas builds do not fail a run.
+export const mismatchRatio = (actual, expected, threshold) => {
+  let mismatched = 0;
+  for (let i = 0; i < actual.length; i += 4) {
+    const diff = Math.max(
+      Math.abs(actual[i] - expected[i]),
+      Math.abs(actual[i + 1] - expected[i + 1]),
+      Math.abs(actual[i + 2] - expected[i + 2]),
+      Math.abs(actual[i + 3] - expected[i + 3]),
+    );
+    if (diff > threshold) mismatched++;
+  }
+  return mismatched / (actual.length / 4);
+};
+
+// Compares `canvas` with the snapshot called `name`. Resolves to the mismatch ratio (0 when
+// the snapshot was just written). On a mismatch the actual frame is saved to the system temp
+// directory and its path logged, for a look at what changed.
+export const compareWithSnapshot = async (canvas, name, { threshold = 8 } = {}) => {
+  const file = path.join(SNAPSHOT_DIR, `${name}.png`);
+  const png = await canvas.encode('png');
+
+  if (UPDATE || !fs.existsSync(file)) {
+    if (!UPDATE && process.env.CI) throw new Error(`Missing image snapshot ${path.relative(process.cwd(), file)}`);
+    fs.mkdirSync(SNAPSHOT_DIR, { recursive: true });
+    fs.writeFileSync(file, png);
+    return 0;
+  }
+
+  const expected = await loadImage(fs.readFileSync(file));
+  if (expected.width !== canvas.width || expected.height !== canvas.height) return 1;
+
+  const ratio = mismatchRatio(
+    canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height).data,
+    pixelsOf(expected, canvas.width, canvas.height),
+    threshold,
+  );
+  if (ratio > 0) {
+    const actualFile = path.join(os.tmpdir(), `${name}.actual.png`);
+    fs.writeFileSync(actualFile, png);
+    console.warn(`[snapshot] ${name}: ${(ratio * 100).toFixed(3)}% of pixels differ; actual frame at ${actualFile}`);
+  }
+  return ratio;
+};
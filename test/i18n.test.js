@@ -0,0 +1,109 @@
+import { describe, expect, it, vi } from 'vitest';
+import { formatMessage, messageArguments } from '../src/i18n/format.js';
+import { checkCatalogs, contentMessages, createTranslator } from '../src/i18n/messages.js';
+import { readCatalogs } from '../scripts/i18n-report.js';
+
+describe('formatMessage', () => {
+  it('fills in plain arguments as text', () => {
+    expect(formatMessage('Time: {seconds}s', { seconds: 12 })).toBe('Time: 12s');
+    expect(formatMessage('© {year}', { year: 2025 })).toBe('© 2025');
+  });
+
+  it('formats numbers and percentages for the locale', () => {
+    expect(formatMessage('{n, number} points', { n: 1500 }, 'en')).toBe('1,500 points');
+    expect(formatMessage('{n, number} Punkte', { n: 1500 }, 'de')).toBe('1.500 Punkte');
+    expect(formatMessage('Depth: {depth, number, percent}', { depth: 0.42 }, 'en')).toBe('Depth: 42%');
+    expect(formatMessage('{n, number, integer}', { n: 2.6 }, 'en')).toBe('3');
+  });
+
+  it('picks plural branches, exact matches first, with # as the number', () => {
+    const message = '{n, plural, =0 {no points} one {# point} other {# points}}';
+    expect(formatMessage(message, { n: 0 })).toBe('no points');
+    expect(formatMessage(message, { n: 1 })).toBe('1 point');
+    expect(formatMessage(message, { n: 1200 })).toBe('1,200 points');
+  });
+
+  it('picks select branches, falling back to other', () => {
+    const message = 'It {motion, select, reduced {holds still} other {moves}}.';
+    expect(formatMessage(message, { motion: 'reduced' })).toBe('It holds still.');
+    expect(formatMessage(message, { motion: 'anything' })).toBe('It moves.');
+    expect(formatMessage('Term {term, select, 0 {X} other {Y}}', { term: 0 })).toBe('Term X');
+  });
+
+  it('follows ICU quoting', () => {
+    expect(formatMessage("Let's build")).toBe("Let's build");
+    expect(formatMessage("It''s '{literal}' text")).toBe("It's {literal} text");
+  });
+
+  it('shows missing arguments rather than undefined', () => {
+    expect(formatMessage('Hello {name}')).toBe('Hello {name}');
+  });
+
+  it('rejects malformed messages', () => {
+    expect(() => formatMessage('Hello {name')).toThrow(/expected/);
+    expect(() => formatMessage('{n, plural, one {x}}', { n: 1 })).toThrow(/other/);
+    expect(() => formatMessage('{n, date}', { n: 1 })).toThrow(/unknown argument type/);
+    expect(() => formatMessage('oops }')).toThrow(/unmatched/);
+  });
+
+  it('lists the arguments of a message', () => {
+    expect([...messageArguments('{a} {b, plural, other {# {c}}}')]).toEqual(['a', 'b', 'c']);
+  });
+});
+
+describe('createTranslator', () => {
+  const catalogs = {
+    en: { hello: 'Hello {name}', bye: 'Goodbye', broken: 'Fine {n}' },
+    nl: { hello: 'Hallo {name}', broken: 'Kapot {n' },
+  };
+
+  it('translates, falling back to English and then to the key', () => {
+    const onMissing = vi.fn();
+    const t = createTranslator(catalogs, 'nl', { onMissing });
+    expect(t('hello', { name: 'Ada' })).toBe('Hallo Ada');
+    expect(t('bye')).toBe('Goodbye');
+    expect(t('nothing')).toBe('nothing');
+    expect(onMissing).toHaveBeenCalledWith('bye', 'nl');
+  });
+
+  it('falls back to English for a translation that does not parse', () => {
+    expect(createTranslator(catalogs, 'nl')('broken', { n: 1 })).toBe('Fine 1');
+  });
+});
+
+describe('checkCatalogs', () => {
+  it('reports missing, unused and invalid translations', () => {
+    const report = checkCatalogs({
+      en: { a: 'A {n}', b: 'B', c: 'C' },
+      nl: { a: 'A {m}', b: 'B {x', old: 'Oud' },
+    });
+    expect(report.en).toEqual({ missing: [], unused: [], invalid: [] });
+    expect(report.nl.missing).toEqual(['c']);
+    expect(report.nl.unused).toEqual(['old']);
+    expect(report.nl.invalid.map(([key]) => key)).toEqual(['a', 'b']);
+  });
+
+  it('finds no broken messages in the site catalogs', () => {
+    const report = checkCatalogs(readCatalogs());
+    Object.values(report).forEach(({ invalid, unused }) => {
+      expect(invalid).toEqual([]);
+      expect(unused).toEqual([]);
+    });
+  });
+});
+
+describe('contentMessages', () => {
+  it('keys the copy of the content files', () => {
+    const messages = contentMessages({ tagline: 'Systems' }, [{
+      slug: 'x', title: 'X', summary: 'Sum', description: ['One', 'Two'], tags: ['a b'],
+    }]);
+    expect(messages).toEqual({
+      'site.tagline': 'Systems',
+      'project.x.title': 'X',
+      'project.x.summary': 'Sum',
+      'project.x.description.0': 'One',
+      'project.x.description.1': 'Two',
+      'tag.a b': 'a b',
+    });
+  });
+});
@@ -0,0 +1,73 @@
+import { describe, expect, it } from 'vitest';
+import { createRandom } from '../src/engine/random.js';
+import { getPalette, DEFAULT_THEME, THEMES, hexToRgb } from '../src/palette.js';
+import { createPointCloud, getColor, symmetryFold } from '../src/scenes/pointCloud.js';
+import { FORMATIONS, createFormation } from '../src/scenes/formations.js';
+
+const toCss = hex => `rgb(${hexToRgb(hex).map(c => Math.round(c * 255)).join(', ')})`;
+
+describe('getColor', () => {
+  it('starts and ends on the theme cloud colours', () => {
+    Object.keys(THEMES).forEach((name) => {
+      const theme = getPalette(name);
+      expect(getColor(0, theme)).toBe(toCss(THEMES[name].cloud[0]));
+      expect(getColor(1, theme)).toBe(toCss(THEMES[name].cloud[THEMES[name].cloud.length - 1]));
+    });
+  });
+
+  it('uses the default theme and clamps the scroll depth', () => {
+    expect(getColor(0.5)).toBe(getColor(0.5, getPalette(DEFAULT_THEME)));
+    expect(getColor(-1)).toBe(getColor(0));
+    expect(getColor(2)).toBe(getColor(1));
+  });
+});
+
+describe('createRandom', () => {
+  it('repeats its sequence for the same seed and stays in [0, 1)', () => {
+    const a = createRandom(42);
+    const b = createRandom(42);
+    const c = createRandom(43);
+    const first = Array.from({ length: 1000 }, a);
+    expect(Array.from({ length: 1000 }, b)).toEqual(first);
+    expect(Array.from({ length: 1000 }, c)).not.toEqual(first);
+    first.forEach((value) => {
+      expect(value).toBeGreaterThanOrEqual(0);
+      expect(value).toBeLessThan(1);
+    });
+  });
+});
+
+describe('point generation', () => {
+  it('is reproducible from a seed', () => {
+    const a = createPointCloud(500, 200, 'sphere', { random: createRandom(7) });
+    const b = createPointCloud(500, 200, 'sphere', { random: createRandom(7) });
+    expect(a).toEqual(b);
+    a.forEach(p => expect(Math.hypot(p.x, p.y, p.z)).toBeLessThanOrEqual(200 + 1e-9));
+  });
+
+  it('fills every formation with finite positions', () => {
+    Object.keys(FORMATIONS).forEach((name) => {
+      const positions = createFormation(name, 300, 100, { fold: 5, random: createRandom(1) });
+      expect(positions).toHaveLength(900);
+      positions.forEach(value => expect(Number.isFinite(value)).toBe(true));
+    });
+  });
+
+  it('repeats the symmetry formation every 2π / fold', () => {
+    const fold = 6;
+    const positions = createFormation('symmetry', fold * 50, 100, { fold, random: createRandom(3) });
+    // Point i sits in petal i % fold; turning it back by its petal angle lands in petal 0
+    for (let i = 0; i < fold * 50; i++) {
+      const angle = Math.atan2(positions[i * 3 + 1], positions[i * 3]) - (2 * Math.PI * (i % fold)) / fold;
+      expect(Math.abs(Math.atan2(Math.sin(angle), Math.cos(angle)))).toBeLessThan(Math.PI / fold);
+    }
+  });
+});
+
+describe('symmetryFold', () => {
+  it('grows from 3 to 8 with scroll depth and time on the page', () => {
+    expect(symmetryFold(0, 0)).toBe(3);
+    expect(symmetryFold(1, 60)).toBe(8);
+    expect(symmetryFold(0.5, 30)).toBe(5);
+  });
+});
@@ -0,0 +1,100 @@
+import { describe, expect, it } from 'vitest';
+import {
+  pageList, renderPage, renderSitemap, truncateDescription,
+} from '../scripts/prerender.js';
+
+const TEMPLATE = `<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <title>Placeholder</title>
+    <meta name="description" content="Placeholder" />
+  </head>
+  <body>
+    <div id="root"></div>
+  </body>
+</html>`;
+
+const site = {
+  name: 'Studio', wordmark: 'studio', tagline: 'Systems', title: 'Studio - Home', description: 'A studio.',
+};
+
+const project = {
+  slug: 'flock',
+  title: 'Flock & Field',
+  summary: 'Agents that <gather>',
+  year: 2024,
+  tags: ['emergence'],
+  formation: 'grid',
+  description: ['First paragraph.', 'Second paragraph.'],
+  demo: 'AdaptiveFlock',
+};
+
+const options = { siteUrl: 'https://example.com', base: '/', siteName: 'Studio' };
+
+describe('pageList', () => {
+  it('lists the home page, every project and every demo', () => {
+    const pages = pageList(site, [project, { ...project, slug: 'still', demo: null }]);
+    expect(pages.map(page => page.path)).toEqual(['/', '/work/flock/', '/work/flock/demo/', '/work/still/']);
+    expect(pages.map(page => page.image)).toEqual(['home', 'flock', 'flock-demo', 'still']);
+  });
+});
+
+describe('renderPage', () => {
+  const [, projectPage] = pageList(site, [project]);
+  const html = renderPage(TEMPLATE, projectPage, options);
+
+  it('replaces the title and description and escapes them', () => {
+    expect(html).toContain('<title>Flock &amp; Field - Studio</title>');
+    expect(html).toContain('<meta name="description" content="Agents that &lt;gather&gt;. First paragraph." />');
+    expect(html).not.toContain('Placeholder');
+  });
+
+  it('adds absolute canonical, Open Graph and Twitter URLs', () => {
+    expect(html).toContain('<link rel="canonical" href="https://example.com/work/flock/" />');
+    expect(html).toContain('<meta property="og:image" content="https://example.com/previews/flock.png" />');
+    expect(html).toContain('<meta name="twitter:card" content="summary_large_image" />');
+  });
+
+  it('embeds JSON-LD that cannot close its script tag', () => {
+    const json = html.match(/<script type="application\/ld\+json">(.*?)<\/script>/)[1];
+    expect(json).not.toContain('<');
+    expect(JSON.parse(json)).toMatchObject({ '@type': 'CreativeWork', name: 'Flock & Field', description: 'Agents that <gather>. First paragraph.' });
+  });
+
+  it('fills the root with links under the base path', () => {
+    const nested = renderPage(TEMPLATE, projectPage, { ...options, base: '/site/' });
+    expect(nested).toContain('href="/site/work/flock/demo/"');
+    expect(nested).toContain('<link rel="canonical" href="https://example.com/site/work/flock/" />');
+  });
+
+  it('can render over an already prerendered page', () => {
+    const again = renderPage(html, projectPage, options);
+    expect(again).toBe(html);
+  });
+
+  it('needs a root element to fill', () => {
+    expect(() => renderPage('<html><head></head><body></body></html>', projectPage, options)).toThrow(/root/);
+  });
+});
+
+describe('renderSitemap', () => {
+  it('lists absolute page URLs', () => {
+    const xml = renderSitemap(pageList(site, [project]), { ...options, date: '2024-01-02' });
+    expect(xml).toContain('<url><loc>https://example.com/work/flock/demo/</loc><lastmod>2024-01-02</lastmod></url>');
+    expect(xml.match(/<url>/g)).toHaveLength(3);
+  });
+});
+
+describe('truncateDescription', () => {
+  it('keeps short text as it is', () => {
+    expect(truncateDescription('Short.', 20)).toBe('Short.');
+  });
+
+  it('keeps whole sentences that fit', () => {
+    expect(truncateDescription('One two. Three four five six.', 12)).toBe('One two.');
+  });
+
+  it('cuts a single long sentence at a word boundary', () => {
+    expect(truncateDescription('one two three four', 12)).toBe('one two…');
+  });
+});
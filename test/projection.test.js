@@ -0,0 +1,41 @@
+import { describe, expect, it } from 'vitest';
+import { PERSPECTIVE_DEPTH, project } from '../src/scenes/projection.js';
+
+describe('project', () => {
+  it('puts the origin at the centre of the viewport with unit scale', () => {
+    expect(project({ x: 0, y: 0, z: 0 }, 0.7, -0.3, 800, 600)).toEqual({ px: 400, py: 300, scale: 1, z: 0 });
+  });
+
+  it('shrinks points further away and enlarges nearer ones', () => {
+    const far = project({ x: 100, y: 0, z: PERSPECTIVE_DEPTH }, 0, 0, 800, 600);
+    expect(far.scale).toBeCloseTo(0.5);
+    expect(far.px).toBeCloseTo(450);
+
+    const near = project({ x: 100, y: 0, z: -PERSPECTIVE_DEPTH / 2 }, 0, 0, 800, 600);
+    expect(near.scale).toBeCloseTo(2);
+    expect(near.px).toBeCloseTo(600);
+  });
+
+  it('rotates around Y, then X, then rolls around the view axis', () => {
+    // A quarter turn around Y carries +x away from the viewer
+    const yawed = project({ x: 100, y: 0, z: 0 }, Math.PI / 2, 0, 0, 0);
+    expect(yawed.px).toBeCloseTo(0);
+    expect(yawed.z).toBeCloseTo(-100);
+
+    // A quarter turn around X carries +y into depth
+    const tilted = project({ x: 0, y: 100, z: 0 }, 0, Math.PI / 2, 0, 0);
+    expect(tilted.py).toBeCloseTo(0);
+    expect(tilted.z).toBeCloseTo(100);
+
+    // Roll keeps the depth and turns the screen position
+    const rolled = project({ x: 100, y: 0, z: 0 }, 0, 0, 0, 0, Math.PI / 2);
+    expect(rolled.px).toBeCloseTo(0);
+    expect(rolled.py).toBeCloseTo(100);
+    expect(rolled.z).toBeCloseTo(0);
+  });
+
+  it('uses the given perspective depth', () => {
+    const p = project({ x: 0, y: 0, z: 500 }, 0, 0, 0, 0, 0, 500);
+    expect(p.scale).toBeCloseTo(0.5);
+  });
+});
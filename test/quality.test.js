@@ -0,0 +1,90 @@
+import { describe, expect, it } from 'vitest';
+import { QUALITY_TIERS, createQualityGovernor, scaleCount, scaleGridSize } from '../src/quality.js';
+
+// Feeds `frames` frame intervals of `ms` each
+const run = (governor, ms, frames) => {
+  for (let i = 0; i < frames; i++) governor.recordFrame(ms);
+};
+
+const SLOW = 40; // 25fps
+const FAST = 1000 / 60;
+const BORDERLINE = 1000 / 50; // between the two thresholds
+
+describe('createQualityGovernor', () => {
+  it('starts at the highest tier', () => {
+    expect(createQualityGovernor().tier).toBe(QUALITY_TIERS[0]);
+  });
+
+  it('steps down after two windows of slow frames, one tier at a time', () => {
+    const governor = createQualityGovernor();
+    run(governor, SLOW, 30);
+    expect(governor.tier.name).toBe('high'); // one slow window is not enough
+    run(governor, SLOW, 30);
+    expect(governor.tier.name).toBe('medium');
+    run(governor, SLOW, 60 * 10);
+    expect(governor.tier.name).toBe('minimal');
+  });
+
+  it('ignores a single stall inside an otherwise fast window', () => {
+    const governor = createQualityGovernor();
+    for (let i = 0; i < 4; i++) {
+      run(governor, FAST, 29);
+      governor.recordFrame(300);
+    }
+    expect(governor.tier.name).toBe('high');
+  });
+
+  it('only steps back up after a long run of fast frames', () => {
+    const governor = createQualityGovernor({ start: 'low' });
+    run(governor, FAST, 60 * 4);
+    expect(governor.tier.name).toBe('low');
+    run(governor, FAST, 60);
+    expect(governor.tier.name).toBe('medium');
+  });
+
+  it('holds the tier for frame times between the thresholds', () => {
+    const governor = createQualityGovernor({ start: 'medium' });
+    run(governor, BORDERLINE, 60 * 30);
+    expect(governor.tier.name).toBe('medium');
+  });
+
+  it('waits longer before returning to a tier it had to leave', () => {
+    const governor = createQualityGovernor();
+    run(governor, SLOW, 60);
+    expect(governor.tier.name).toBe('medium');
+    run(governor, FAST, 60 * 5);
+    expect(governor.tier.name).toBe('medium'); // twice the usual run is needed now
+    run(governor, FAST, 60 * 5);
+    expect(governor.tier.name).toBe('high');
+  });
+
+  it('keeps a forced tier whatever the frame times, and resumes when released', () => {
+    const changes = [];
+    const governor = createQualityGovernor({ onChange: () => changes.push(governor.tier.name) });
+    governor.force('low');
+    expect(governor.forced).toBe('low');
+    run(governor, FAST, 60 * 30);
+    expect(governor.tier.name).toBe('low');
+
+    governor.force(null);
+    expect(governor.forced).toBeNull();
+    expect(governor.tier.name).toBe('high');
+    expect(changes).toEqual(['low', 'high']);
+  });
+
+  it('treats an unknown tier name as automatic', () => {
+    const governor = createQualityGovernor();
+    governor.force('ultra');
+    expect(governor.forced).toBeNull();
+  });
+});
+
+describe('scaling', () => {
+  it('scales point counts and grid sides by the tier', () => {
+    const low = QUALITY_TIERS.find(tier => tier.name === 'low');
+    expect(scaleCount(1500, QUALITY_TIERS[0])).toBe(1500);
+    expect(scaleCount(1500, low)).toBe(525);
+    expect(scaleGridSize(80, QUALITY_TIERS[0])).toBe(80);
+    expect(scaleGridSize(80, low) ** 2 / 80 ** 2).toBeCloseTo(low.pointScale, 1);
+  });
+});
@@ -0,0 +1,82 @@
+import { describe, expect, it } from 'vitest';
+import { renderSceneAt } from '../src/engine/engine.js';
+import { getPalette } from '../src/palette.js';
+import {
+  createCloudMotion,
+  createCloudProps,
+  createCloudState,
+  createPointCloudScene,
+} from '../src/scenes/pointCloud.js';
+import { DEFAULT_CAMERA, createWaveFieldScene } from '../src/scenes/waveField.js';
+import { createWaveSim, exciteWaveSim } from '../src/scenes/waveSim.js';
+import { DEFAULT_WAVE_PARAMS } from '../src/demos/waveParams.js';
+import { compareWithSnapshot, renderToCanvas } from './helpers/imageSnapshot.js';
+
+// Frames of the real scenes, stepped to a fixed time and compared with stored snapshots.
+// Small so the suite stays quick; big enough that a changed shape or colour shows.
+const WIDTH = 320;
+const HEIGHT = 240;
+const MAX_MISMATCH = 0.002; // share of pixels allowed to differ (anti-aliasing noise)
+
+const pointCloudScene = (options = {}) => createPointCloudScene({
+  state: createCloudState(),
+  motion: createCloudMotion(),
+  props: createCloudProps(),
+  ...options,
+});
+
+const waveFieldScene = (options = {}) => createWaveFieldScene({
+  params: { ...DEFAULT_WAVE_PARAMS },
+  clock: { current: 0 },
+  ...options,
+});
+
+const frame = (scene, time) => renderToCanvas(WIDTH, HEIGHT, ctx => renderSceneAt(scene, ctx, { width: WIDTH, height: HEIGHT, time }));
+
+const pixels = canvas => canvas.getContext('2d').getImageData(0, 0, WIDTH, HEIGHT).data;
+
+describe('renderSceneAt', () => {
+  it('draws the same frame for the same seed and time', () => {
+    const a = pixels(frame(pointCloudScene({ seed: 11 }), 1.5));
+    const b = pixels(frame(pointCloudScene({ seed: 11 }), 1.5));
+    expect(Buffer.from(a).equals(Buffer.from(b))).toBe(true);
+  });
+
+  it('draws a different cloud for another seed', () => {
+    const a = pixels(frame(pointCloudScene({ seed: 11 }), 1.5));
+    const b = pixels(frame(pointCloudScene({ seed: 12 }), 1.5));
+    expect(Buffer.from(a).equals(Buffer.from(b))).toBe(false);
+  });
+});
+
+describe('scene snapshots', () => {
+  it('point cloud, 2s in', async () => {
+    expect(await compareWithSnapshot(frame(pointCloudScene(), 2), 'point-cloud')).toBeLessThanOrEqual(MAX_MISMATCH);
+  });
+
+  it('point cloud in the ember theme, reduced motion', async () => {
+    const scene = pointCloudScene({ theme: getPalette('ember'), reducedMotion: true });
+    expect(await compareWithSnapshot(frame(scene, 2), 'point-cloud-ember-reduced')).toBeLessThanOrEqual(MAX_MISMATCH);
+  });
+
+  it('point cloud at the low quality tier (fewer points, no blending)', async () => {
+    const scene = pointCloudScene({ count: 525, blending: false });
+    expect(await compareWithSnapshot(frame(scene, 2), 'point-cloud-flat')).toBeLessThanOrEqual(MAX_MISMATCH);
+  });
+
+  it('wave field, 2s in', async () => {
+    expect(await compareWithSnapshot(frame(waveFieldScene(), 2), 'wave-field')).toBeLessThanOrEqual(MAX_MISMATCH);
+  });
+
+  it('wave field from above with the wireframe', async () => {
+    const scene = waveFieldScene({ camera: { ...DEFAULT_CAMERA, tilt: Math.PI / 2, yaw: 0, wireframe: true } });
+    expect(await compareWithSnapshot(frame(scene, 1), 'wave-field-wireframe')).toBeLessThanOrEqual(MAX_MISMATCH);
+  });
+
+  it('simulated wave field, 1s after a ripple', async () => {
+    const sim = createWaveSim(80);
+    exciteWaveSim(sim, 40, 40, { radius: 2.5, strength: 1.5 });
+    const scene = waveFieldScene({ simulation: { sim, settings: {} } });
+    expect(await compareWithSnapshot(frame(scene, 1), 'wave-field-simulated')).toBeLessThanOrEqual(MAX_MISMATCH);
+  });
+});
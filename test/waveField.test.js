@@ -0,0 +1,76 @@
+import { describe, expect, it } from 'vitest';
+import { DEFAULT_WAVE_PARAMS } from '../src/demos/waveParams.js';
+import {
+  DEFAULT_CAMERA,
+  createModulation,
+  waveGridCellAt,
+  waveGridLayout,
+  waveHeight,
+} from '../src/scenes/waveField.js';
+import { project } from '../src/scenes/projection.js';
+
+const params = { ...DEFAULT_WAVE_PARAMS };
+
+describe('waveHeight', () => {
+  it('sums the three terms scaled by the amplitude', () => {
+    const { amplitude, frequency, scale1, speed1, phase1, scale2, speed2, phase2, scale3, speed3, phase3 } = params;
+    const dx = 12;
+    const dy = -7;
+    const t = 90;
+    const expected = amplitude * (
+      Math.sin(dx * scale1 * frequency + t * speed1 + phase1)
+      + Math.cos(dy * scale2 * frequency + t * speed2 + phase2)
+      + Math.sin((dx + dy) * scale3 * frequency + t * speed3 + phase3)
+    );
+    expect(waveHeight(params, dx, dy, t)).toBeCloseTo(expected, 10);
+  });
+
+  it('stays within three amplitudes', () => {
+    for (let t = 0; t < 600; t += 37) {
+      for (let d = -200; d <= 200; d += 23) {
+        expect(Math.abs(waveHeight(params, d, -d / 2, t))).toBeLessThanOrEqual(3 * params.amplitude + 1e-9);
+      }
+    }
+  });
+
+  it('applies the gain and drift of a modulation', () => {
+    const silent = createModulation();
+    silent.gain = [0, 0, 0];
+    expect(waveHeight(params, 40, 10, 12, silent)).toBe(0);
+
+    // Drifting every term by the phase advanced in one frame is the same as the next frame
+    const drifted = createModulation();
+    drifted.drift = [params.speed1, params.speed2, params.speed3];
+    expect(waveHeight(params, 40, 10, 12, drifted)).toBeCloseTo(waveHeight(params, 40, 10, 13), 10);
+  });
+
+  it('drops the diagonal term first when fewer terms are asked for', () => {
+    const noDiagonal = createModulation();
+    noDiagonal.gain = [1, 1, 0];
+    expect(waveHeight(params, 40, 10, 12, undefined, 2)).toBeCloseTo(waveHeight(params, 40, 10, 12, noDiagonal), 10);
+
+    const xOnly = createModulation();
+    xOnly.gain = [1, 0, 0];
+    expect(waveHeight(params, 40, 10, 12, undefined, 1)).toBeCloseTo(waveHeight(params, 40, 10, 12, xOnly), 10);
+  });
+});
+
+describe('waveGridCellAt', () => {
+  it('inverts the camera projection of a grid point at rest', () => {
+    const [width, height, gridSize] = [800, 600, 80];
+    const camera = { ...DEFAULT_CAMERA, yaw: -0.8, tilt: 0.6, zoom: 1.4 };
+    const { cell, center } = waveGridLayout(width, height, gridSize);
+    const [gx, gy] = [17.5, 61.25];
+    const world = { x: (gx - center) * cell * camera.zoom, y: 0, z: (center - gy) * cell * camera.zoom };
+    const { px, py } = project(world, camera.yaw, camera.tilt, width, height, 0, camera.perspective);
+
+    const found = waveGridCellAt(width, height, gridSize, px, py, camera);
+    expect(found.x).toBeCloseTo(gx, 6);
+    expect(found.y).toBeCloseTo(gy, 6);
+  });
+
+  it('returns null above the horizon', () => {
+    const camera = { ...DEFAULT_CAMERA, tilt: 0.1 };
+    expect(waveGridCellAt(800, 600, 80, 400, -5000, camera)).toBeNull();
+  });
+});
@@ -0,0 +1,42 @@
+import { describe, expect, it } from 'vitest';
+import {
+  DEFAULT_WAVE_PARAMS,
+  DEFAULT_WAVE_VIEW,
+  decodeWaveParams,
+  decodeWaveView,
+  encodeWaveParams,
+  encodeWaveView,
+} from '../src/demos/waveParams.js';
+import { CAMERA_LIMITS } from '../src/scenes/waveField.js';
+
+describe('wave parameter links', () => {
+  it('round-trips the terms and the time origin', () => {
+    const params = { ...DEFAULT_WAVE_PARAMS, frequency: 4.25, phase2: 1.5, seed: 1234 };
+    expect(decodeWaveParams(encodeWaveParams(params))).toEqual(params);
+  });
+
+  it('round-trips the camera and the field mode', () => {
+    const view = {
+      camera: { yaw: -2.1, tilt: Math.PI / 2, zoom: 2.5, perspective: 900, wireframe: true },
+      mode: 'simulated',
+    };
+    const decoded = decodeWaveView(encodeWaveView(view));
+    expect(decoded.mode).toBe('simulated');
+    expect(decoded.camera.wireframe).toBe(true);
+    ['yaw', 'tilt', 'zoom', 'perspective'].forEach(key => expect(decoded.camera[key]).toBeCloseTo(view.camera[key], 3));
+  });
+
+  it('clamps the camera, wraps the yaw and ignores unknown modes', () => {
+    const { camera, mode } = decodeWaveView({ cy: String(Math.PI * 3), ct: '9', cz: '0', cp: 'x', m: 'fractal' });
+    expect(camera.yaw).toBeCloseTo(Math.PI, 6);
+    expect(camera.tilt).toBe(CAMERA_LIMITS.tilt.max);
+    expect(camera.zoom).toBe(CAMERA_LIMITS.zoom.min);
+    expect(camera.perspective).toBe(DEFAULT_WAVE_VIEW.camera.perspective);
+    expect(mode).toBe('analytic');
+  });
+
+  it('keeps the fallback view for links without one', () => {
+    const fallback = { camera: { ...DEFAULT_WAVE_VIEW.camera, zoom: 2 }, mode: 'simulated' };
+    expect(decodeWaveView(encodeWaveParams(DEFAULT_WAVE_PARAMS), fallback)).toEqual(fallback);
+  });
+});
@@ -0,0 +1,72 @@
+import { describe, expect, it } from 'vitest';
+import {
+  MAX_WAVE_SPEED,
+  createWaveSim,
+  exciteWaveSim,
+  stepWaveSim,
+  waveSimEnergy,
+} from '../src/scenes/waveSim.js';
+
+const SIZE = 48;
+
+// A bump in the middle of a still grid, and its energy before any step
+const pulse = (size = SIZE) => {
+  const sim = exciteWaveSim(createWaveSim(size), size / 2, size / 2, { radius: 2 });
+  return { sim, initial: waveSimEnergy(sim) };
+};
+
+// Energy relative to the start after every `every` steps, up to `steps`
+const energyTrace = (settings, steps = 400, every = 50) => {
+  const { sim, initial } = pulse();
+  const trace = [];
+  for (let i = 1; i <= steps; i++) {
+    stepWaveSim(sim, settings);
+    if (i % every === 0) trace.push(waveSimEnergy(sim) / initial);
+  }
+  return trace;
+};
+
+describe('stepWaveSim', () => {
+  it('keeps an undamped pulse bouncing inside reflective and periodic edges', () => {
+    ['reflective', 'periodic'].forEach((boundary) => {
+      energyTrace({ speed: 0.5, damping: 0, boundary }).forEach(energy => expect(energy).toBeGreaterThan(0.3));
+    });
+  });
+
+  it('lets a pulse leave through absorbing edges without reflecting', () => {
+    // The front needs about 50 steps to cross the 24 cells to the nearest edge
+    const absorbing = energyTrace({ speed: 0.5, damping: 0, boundary: 'absorbing' });
+    const reflective = energyTrace({ speed: 0.5, damping: 0, boundary: 'reflective' });
+    absorbing.slice(1).forEach((energy, i) => {
+      expect(energy).toBeLessThan(0.001);
+      expect(energy).toBeLessThan(reflective[i + 1] / 100);
+    });
+  });
+
+  it('loses energy to damping', () => {
+    const undamped = energyTrace({ speed: 0.5, damping: 0, boundary: 'reflective' });
+    const damped = energyTrace({ speed: 0.5, damping: 0.01, boundary: 'reflective' });
+    damped.forEach((energy, i) => expect(energy).toBeLessThan(undamped[i]));
+    expect(damped.at(-1)).toBeLessThan(undamped.at(-1) / 10);
+    expect(damped.at(-1)).toBeLessThan(damped[0] / 10);
+  });
+
+  it('clamps the speed to the stable limit', () => {
+    const run = (speed) => {
+      const { sim } = pulse(32);
+      for (let i = 0; i < 2000; i++) stepWaveSim(sim, { speed, damping: 0 });
+      return sim.current;
+    };
+    const tooFast = run(5);
+    // Past the limit the update would grow without bound; clamped it stays the limit's own run
+    expect(tooFast).toEqual(run(MAX_WAVE_SPEED));
+    tooFast.forEach(height => expect(Math.abs(height)).toBeLessThanOrEqual(1));
+  });
+
+  it('leaves the field still for a negative speed', () => {
+    const { sim } = pulse();
+    const before = Float32Array.from(sim.current);
+    stepWaveSim(sim, { speed: -1, damping: 0 });
+    expect(sim.current).toEqual(before);
+  });
+});
@@ -1,7 +1,14 @@
 import { defineConfig } from 'vite';
 import react from '@vitejs/plugin-react';
+import { validateProjectsPlugin } from './scripts/validate-projects.js';
+import { prerenderPlugin } from './scripts/prerender.js';
 
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), validateProjectsPlugin(), prerenderPlugin()],
   base: '/', // Change to '/repo-name/' if not using custom domain
+  // `npm test`: headless checks of the scene maths and rendered frames (see test/)
+  test: {
+    include: ['test/**/*.test.js'],
+    environment: 'node',
+  },
 });